@@ -3,24 +3,38 @@
  * Track and manage CNC tool library
  */
 
-// Helper: Generate unique tool ID
-const generateToolId = (tools) => {
-  if (tools.length === 0) return 1;
-  return Math.max(...tools.map(t => t.id)) + 1;
+// Helper: Generate unique tool ID. `nextToolId` (from the settings) keeps deleted tools' ids from being reused.
+const generateToolId = (tools, nextToolId = 1) => {
+  if (tools.length === 0) return nextToolId;
+  return Math.max(nextToolId, Math.max(...tools.map(t => t.id)) + 1);
 };
 
 // Helper: Migrate old data structure (id = toolNumber) to new structure (id + toolNumber)
+// and fill in any blocks added since the tool was saved
 const migrateTools = (tools) => {
   return tools.map(tool => {
-    // If tool already has the new structure, return as is
-    if (tool.hasOwnProperty('toolNumber')) {
-      return tool;
-    }
     // Migrate old structure: id becomes toolNumber, generate new internal id
+    const migrated = tool.hasOwnProperty('toolNumber')
+      ? tool
+      : {
+        ...tool,
+        toolNumber: tool.id,
+        id: tool.id // Keep same ID for migration
+      };
+
+    const defaults = createDefaultTool(migrated.id, migrated.toolNumber ?? null);
     return {
-      ...tool,
-      toolNumber: tool.id,
-      id: tool.id // Keep same ID for migration
+      ...defaults,
+      ...migrated,
+      toolNumber: migrated.toolNumber ?? null,
+      offsets: { ...defaults.offsets, ...migrated.offsets },
+      metadata: { ...defaults.metadata, ...migrated.metadata },
+      dimensions: { ...defaults.dimensions, ...migrated.dimensions },
+      specs: { ...defaults.specs, ...migrated.specs },
+      life: { ...defaults.life, ...migrated.life },
+      stock: { ...defaults.stock, ...migrated.stock },
+      instances: (migrated.instances || []).map(instance => ({ ...createInstance(instance.id, instance.serial), ...instance })),
+      presets: (migrated.presets || []).map(preset => ({ ...createPreset(), ...preset }))
     };
   });
 };
@@ -57,11 +71,41 @@ const validateTool = (tool, allTools, originalTool = null) => {
   }
 
   // Check type
-  const validTypes = ['flat', 'ball', 'v-bit', 'drill', 'chamfer', 'surfacing', 'probe', 'thread-mill'];
+  const validTypes = ['flat', 'ball', 'bull', 'v-bit', 'drill', 'chamfer', 'surfacing', 'probe', 'thread-mill'];
   if (!tool.type || !validTypes.includes(tool.type)) {
     errors.push('Invalid tool type');
   }
 
+  // Check units
+  if (tool.units !== undefined && !LENGTH_UNITS[tool.units]) {
+    errors.push('Units must be mm or inch');
+  }
+
+  // Check geometry for the tool type
+  errors.push(...validateDimensions(tool));
+
+  // Check tool life
+  if (tool.life && tool.life.enabled) {
+    const totalMinutes = parseFloat(tool.life.total_minutes);
+    if (!Number.isFinite(totalMinutes) || totalMinutes <= 0) {
+      errors.push('Expected tool life must be greater than 0 minutes');
+    }
+  }
+
+  errors.push(...validateInstances(tool));
+  errors.push(...validatePresets(tool));
+
+  // Check stock
+  const stock = tool.stock || {};
+  ['quantity', 'minimum'].forEach(key => {
+    if (stock[key] !== null && stock[key] !== undefined && (!Number.isInteger(stock[key]) || stock[key] < 0)) {
+      errors.push(`Stock ${key === 'quantity' ? 'on hand' : 'minimum'} must be a whole number of 0 or more`);
+    }
+  });
+  if (stock.price !== null && stock.price !== undefined && !(Number.isFinite(stock.price) && stock.price >= 0)) {
+    errors.push('Price cannot be negative');
+  }
+
   return errors;
 };
 
@@ -72,8 +116,11 @@ const createDefaultTool = (id, toolNumber = null) => ({
   name: '',
   type: 'flat',
   diameter: 0,
+  units: 'mm',
   offsets: {
-    tlo: 0.0
+    tlo: 0.0,
+    tlo_measured_at: null,
+    tlo_history: []
   },
   metadata: {
     notes: '',
@@ -84,97 +131,6763 @@ const createDefaultTool = (id, toolNumber = null) => ({
     flute_length: null,
     overall_length: null,
     taper_angle: null,
+    tip_diameter: null,
     radius: null,
+    point_angle: null,
+    pitch: null,
     stickout: null
   },
   specs: {
     material: null,
-    coating: null
+    coating: null,
+    flutes: null
   },
+  presets: [],
   life: {
     enabled: false,
     total_minutes: null,
     used_minutes: 0,
     remaining_minutes: null,
     usage_count: 0
+  },
+  stock: {
+    quantity: null,
+    minimum: null,
+    supplier: '',
+    price: null
+  },
+  instances: [],
+  mountedInstanceId: null
+});
+
+// Length units. Lengths are stored in mm; tool.units records whether a tool is specified in
+// mm or inches so it can be shown and exported in its own units.
+const LENGTH_UNITS = {
+  mm: { label: 'mm', factor: 1 },
+  inch: { label: 'in', factor: 25.4 }
+};
+
+// Helper: Convert a length in the given units to mm. Rounded to 1 nm so 1/64" stays exact.
+const toMm = (value, units = 'mm') => {
+  if (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))) return null;
+  return Math.round(Number(value) * (LENGTH_UNITS[units] || LENGTH_UNITS.mm).factor * 1000000) / 1000000;
+};
+
+// Helper: Convert a length in mm to the given units (inverse of toMm)
+const fromMm = (value, units = 'mm') => {
+  if (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))) return null;
+  return Math.round(Number(value) / (LENGTH_UNITS[units] || LENGTH_UNITS.mm).factor * 1000000) / 1000000;
+};
+
+// Helper: Read a typed length such as 6.35, 6.35mm, 0.25in, 1/4" or 1-1/4".
+// Bare numbers are in defaultUnits; bare fractions are inches. Returns { mm, units },
+// null for an empty field, and throws when the text can't be read.
+const parseLength = (text, defaultUnits = 'mm') => {
+  const source = String(text ?? '').trim().toLowerCase().replace(/,/g, '.');
+  if (source === '') return null;
+
+  const unitMatch = source.match(/\s*(mm|millimeters?|in|inch|inches|"|''|″)$/);
+  const number = unitMatch ? source.slice(0, unitMatch.index).trim() : source;
+  const fraction = number.match(/^(?:(\d+)[\s-]+)?(\d+)\s*\/\s*(\d+)$/);
+
+  let value;
+  let units = unitMatch ? (unitMatch[1].startsWith('m') ? 'mm' : 'inch') : defaultUnits;
+  if (fraction && Number(fraction[3]) > 0) {
+    value = Number(fraction[1] || 0) + Number(fraction[2]) / Number(fraction[3]);
+    if (!unitMatch) units = 'inch';
+  } else if (/^\d*\.?\d+$/.test(number)) {
+    value = Number(number);
+  } else {
+    throw new Error(`Can't read "${text}" as a length (try 6.35, 6.35mm, 0.25in or 1/4")`);
+  }
+
+  return { mm: toMm(value, units), units };
+};
+
+// Helper: Show a length in mm in the given units, without a unit label. Inch values that are a
+// whole number of 64ths are shown as fractions (1/4, 1 1/8), others to 4 decimals.
+const formatLength = (value, units = 'mm', digits = 3) => {
+  if (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))) return '';
+  if (units !== 'inch') return Number(value).toFixed(digits);
+
+  const inches = Number(value) / LENGTH_UNITS.inch.factor;
+  const sixtyFourths = Math.round(inches * 64);
+  // Values stored rounded to 3 mm decimals are up to 0.0005 mm off (1/16" = 1.5875 mm is stored as 1.588)
+  if (sixtyFourths > 0 && Math.abs(sixtyFourths / 64 - inches) <= 0.0005 / LENGTH_UNITS.inch.factor + 1e-9) {
+    let denominator = 64;
+    let numerator = sixtyFourths;
+    while (numerator % 2 === 0 && denominator > 1) {
+      numerator /= 2;
+      denominator /= 2;
+    }
+    const whole = Math.floor(numerator / denominator);
+    const rest = numerator % denominator;
+    if (rest === 0) return String(whole);
+    return (whole > 0 ? whole + ' ' : '') + rest + '/' + denominator;
+  }
+  return inches.toFixed(4);
+};
+
+// Helper: formatLength with the unit label, e.g. "6.350 mm" or "1/4""
+const formatLengthWithUnits = (value, units = 'mm', digits = 3) => {
+  const text = formatLength(value, units, digits);
+  if (text === '') return '';
+  return units === 'inch' ? `${text}"` : `${text} mm`;
+};
+
+// Geometry fields in tool.dimensions. `types` limits a field to certain tool types (null = all types).
+const DIMENSION_FIELDS = [
+  { key: 'flute_length', name: 'Flute length', label: 'Flute Length', column: 'Flute', check: 'positive', types: null, length: true },
+  { key: 'overall_length', name: 'Overall length', label: 'Overall Length', column: 'OAL', check: 'positive', types: null, length: true },
+  { key: 'stickout', name: 'Stickout', label: 'Stickout', column: 'Stickout', check: 'positive', types: null, length: true },
+  { key: 'taper_angle', name: 'Taper angle', label: 'Taper Angle (° included)', column: 'Angle', check: 'angle', types: ['v-bit', 'chamfer'] },
+  { key: 'tip_diameter', name: 'Tip diameter', label: 'Tip Diameter', column: 'Tip Ø', check: 'non-negative', types: ['v-bit', 'chamfer'], length: true },
+  { key: 'radius', name: 'Corner radius', label: 'Corner Radius', column: 'Radius', check: 'positive', types: ['ball', 'bull'], length: true },
+  { key: 'point_angle', name: 'Point angle', label: 'Point Angle (°)', column: 'Point', check: 'angle', types: ['drill'] },
+  { key: 'pitch', name: 'Thread pitch', label: 'Thread Pitch', column: 'Pitch', check: 'positive', types: ['thread-mill'], length: true }
+];
+
+// Helper: Validate tool.dimensions against the rules for the tool's type
+const validateDimensions = (tool) => {
+  const errors = [];
+  const dims = tool.dimensions || {};
+  const diameter = Number(tool.diameter);
+  const has = (key) => dims[key] !== null && dims[key] !== undefined && dims[key] !== '';
+
+  DIMENSION_FIELDS.forEach(field => {
+    if (field.types && !field.types.includes(tool.type)) return;
+
+    if (!has(field.key)) return;
+
+    const value = Number(dims[field.key]);
+    if (!Number.isFinite(value)) {
+      errors.push(`${field.name} must be a number`);
+    } else if (field.check === 'positive' && value <= 0) {
+      errors.push(`${field.name} must be greater than 0`);
+    } else if (field.check === 'non-negative' && value < 0) {
+      errors.push(`${field.name} cannot be negative`);
+    } else if (field.check === 'angle' && (value <= 0 || value >= 180)) {
+      errors.push(`${field.name} must be between 0 and 180°`);
+    }
+  });
+
+  if (has('flute_length') && has('overall_length') && Number(dims.flute_length) > Number(dims.overall_length)) {
+    errors.push('Flute length cannot exceed overall length');
+  }
+
+  if (has('stickout') && has('overall_length') && Number(dims.stickout) > Number(dims.overall_length)) {
+    errors.push('Stickout cannot exceed overall length');
+  }
+
+  if (['v-bit', 'chamfer'].includes(tool.type) && has('tip_diameter') && Number(dims.tip_diameter) >= diameter) {
+    errors.push('Tip diameter must be smaller than the tool diameter');
+  }
+
+  if (tool.type === 'ball' && has('radius') && Number(dims.radius) > diameter / 2 + 0.001) {
+    errors.push('Ball radius cannot exceed half the diameter');
+  }
+
+  if (tool.type === 'bull' && has('radius') && Number(dims.radius) >= diameter / 2) {
+    errors.push('Corner radius must be less than half the diameter (use Ball End Mill for a full radius)');
+  }
+
+  return errors;
+};
+
+// Cutting values a feeds and speeds preset holds: spindle RPM, feeds in mm/min, depths in mm.
+// `length` marks the values shown and typed in the tool's units; `rate` marks the feeds (per minute).
+const PRESET_FIELDS = [
+  { key: 'rpm', label: 'RPM' },
+  { key: 'feed', label: 'Feed', length: true, rate: true },
+  { key: 'plunge', label: 'Plunge', length: true, rate: true },
+  { key: 'stepdown', label: 'Stepdown', length: true },
+  { key: 'stepover', label: 'Stepover', length: true }
+];
+
+// Helper: Preset column heading with its units, e.g. "Feed (mm/min)" or "Stepdown (in)"
+const presetFieldLabel = (field, units = 'mm') => {
+  if (!field.length) return field.label;
+  return `${field.label} (${units === 'inch' ? 'in' : 'mm'}${field.rate ? '/min' : ''})`;
+};
+
+// Workpiece materials offered when adding a preset (any name can be typed)
+const WORKPIECE_MATERIALS = ['Softwood', 'Hardwood', 'Plywood', 'MDF', 'Acrylic', 'HDPE', 'Aluminum', 'Brass', 'Mild Steel'];
+
+// Helper: Empty feeds and speeds preset for a workpiece material
+const createPreset = (material = '') => ({ material, rpm: null, feed: null, plunge: null, stepdown: null, stepover: null });
+
+// Helper: Chip load in mm per tooth, or null when a value is missing
+const computeChipLoad = (feed, rpm, flutes) =>
+  feed > 0 && rpm > 0 && flutes > 0 ? feed / (rpm * flutes) : null;
+
+// Helper: Feed in mm/min that gives a chip load, or null when a value is missing
+const computeFeedForChipLoad = (chipLoad, rpm, flutes) =>
+  chipLoad > 0 && rpm > 0 && flutes > 0 ? Math.round(chipLoad * rpm * flutes) : null;
+
+// Helper: Cutting speed at the tool's edge in m/min
+const computeSurfaceSpeed = (rpm, diameter) =>
+  rpm > 0 && diameter > 0 ? (Math.PI * diameter * rpm) / 1000 : null;
+
+// Helper: Validate the flute count and feeds and speeds presets
+const validatePresets = (tool) => {
+  const errors = [];
+  const flutes = tool.specs ? tool.specs.flutes : null;
+  if (flutes !== null && flutes !== undefined && !(Number.isInteger(flutes) && flutes > 0)) {
+    errors.push('Flute count must be a whole number greater than 0');
   }
+
+  const materials = new Set();
+  (tool.presets || []).forEach((preset, index) => {
+    const material = String(preset.material || '').trim();
+    if (!material) {
+      errors.push(`Preset ${index + 1} needs a workpiece material`);
+    } else if (materials.has(material.toLowerCase())) {
+      errors.push(`There is more than one preset for ${material}`);
+    }
+    materials.add(material.toLowerCase());
+
+    PRESET_FIELDS.forEach(field => {
+      const value = preset[field.key];
+      if (value !== null && value !== undefined && !(Number.isFinite(value) && value > 0)) {
+        errors.push(`${material || `Preset ${index + 1}`}: ${field.label} must be greater than 0`);
+      }
+    });
+    if (preset.stepover > 0 && tool.diameter > 0 && preset.stepover > tool.diameter) {
+      errors.push(`${material}: stepover cannot exceed the tool diameter`);
+    }
+  });
+
+  return errors;
+};
+
+// Helper: Combine two preset lists; an incoming preset replaces the one for the same material
+const mergePresets = (current = [], incoming = []) => {
+  const key = (preset) => String(preset.material || '').trim().toLowerCase();
+  const incomingKeys = new Set(incoming.map(key));
+  return current.filter(preset => !incomingKeys.has(key(preset))).concat(incoming);
+};
+
+// Default remaining-life percentage below which a tool is flagged for replacement
+const DEFAULT_LIFE_WARNING_PERCENT = 20;
+
+// Helper: Fill in any missing life fields (older tools and imports may not have them)
+const normalizeLife = (life = {}) => {
+  const totalMinutes = life.total_minutes === null || life.total_minutes === undefined || life.total_minutes === ''
+    ? null
+    : parseFloat(life.total_minutes);
+  const usedMinutes = parseFloat(life.used_minutes) || 0;
+
+  return {
+    enabled: life.enabled === true,
+    total_minutes: Number.isFinite(totalMinutes) ? totalMinutes : null,
+    used_minutes: usedMinutes,
+    remaining_minutes: Number.isFinite(totalMinutes) ? Math.max(0, totalMinutes - usedMinutes) : null,
+    usage_count: parseInt(life.usage_count) || 0
+  };
+};
+
+// Helper: Add spindle run time and/or completed jobs to a tool's life counters (and the mounted instance's)
+const recordToolUsage = (tool, minutes = 0, jobs = 0) => {
+  const life = normalizeLife(tool.life);
+  const usedMinutes = Math.round((life.used_minutes + minutes) * 100) / 100;
+
+  return {
+    ...tool,
+    life: normalizeLife({
+      ...life,
+      used_minutes: usedMinutes,
+      usage_count: life.usage_count + jobs
+    }),
+    instances: (tool.instances || []).map(instance => instance.id === tool.mountedInstanceId
+      ? {
+        ...instance,
+        used_minutes: Math.round(((instance.used_minutes || 0) + minutes) * 100) / 100,
+        usage_count: (instance.usage_count || 0) + jobs
+      }
+      : instance)
+  };
+};
+
+// Lifecycle of a physical tool instance
+const INSTANCE_STATUSES = [
+  { key: 'new', label: 'New' },
+  { key: 'in-use', label: 'In use' },
+  { key: 'dull', label: 'Dull' },
+  { key: 'regrind', label: 'At regrind' },
+  { key: 'scrapped', label: 'Scrapped' }
+];
+
+// Jobs remembered per instance (oldest are dropped first)
+const INSTANCE_JOB_LIMIT = 20;
+
+// Helper: A physical cutter of a catalog tool. diameter is the size after regrinding (null = catalog diameter).
+const createInstance = (id, serial = '') => ({
+  id,
+  serial,
+  status: 'new',
+  diameter: null,
+  regrind_count: 0,
+  used_minutes: 0,
+  usage_count: 0,
+  jobs: []
 });
 
-export async function onLoad(ctx) {
-  ctx.log('Tool Management plugin loaded');
+// Helper: Next free instance id within a tool
+const generateInstanceId = (tool) => Math.max(0, ...(tool.instances || []).map(i => i.id)) + 1;
 
-  ctx.registerToolMenu('Tool Inventory', async () => {
-    ctx.log('Tool Inventory opened');
+// Helper: The instance in the tool's slot, or null
+const getMountedInstance = (tool) =>
+  (tool.instances || []).find(instance => instance.id === tool.mountedInstanceId) || null;
 
-    // Load stored tools and migrate if necessary
-    const storedSettings = ctx.getSettings() || {};
-    let tools = storedSettings.tools || [];
-    tools = migrateTools(tools);
+// Helper: Diameter of the cutter actually in the slot (a reground instance is smaller than the catalog size)
+const getEffectiveDiameter = (tool) => {
+  const instance = getMountedInstance(tool);
+  return instance && instance.diameter > 0 ? instance.diameter : tool.diameter;
+};
 
-    // Save migrated data if needed
-    if (tools.length > 0 && !tools[0].hasOwnProperty('toolNumber')) {
-      ctx.setSettings({ tools });
+// Helper: Put an instance in the tool's slot. The tool's life counters follow the mounted cutter.
+const mountInstance = (tool, instanceId) => {
+  const instance = (tool.instances || []).find(i => i.id === instanceId) || null;
+  return {
+    ...tool,
+    mountedInstanceId: instance ? instance.id : null,
+    instances: (tool.instances || []).map(i => i.id === instanceId && i.status === 'new' ? { ...i, status: 'in-use' } : i),
+    life: instance
+      ? normalizeLife({ ...tool.life, used_minutes: instance.used_minutes || 0, usage_count: instance.usage_count || 0 })
+      : tool.life
+  };
+};
+
+// Helper: An instance back from regrinding: one more regrind, its new diameter, and fresh life counters
+const regrindInstance = (instance, diameter) => ({
+  ...instance,
+  status: 'new',
+  diameter,
+  regrind_count: (instance.regrind_count || 0) + 1,
+  used_minutes: 0,
+  usage_count: 0
+});
+
+// Helper: Remember that the mounted instance ran a job
+const recordInstanceJob = (tool, job) => ({
+  ...tool,
+  instances: (tool.instances || []).map(instance => instance.id === tool.mountedInstanceId
+    ? { ...instance, jobs: [job, ...(instance.jobs || [])].slice(0, INSTANCE_JOB_LIMIT) }
+    : instance)
+});
+
+// Helper: Fold what the server recorded while the dialog was open into settings the dialog is about to save.
+// The server counts spindle time and jobs and follows M6 changes. A value the dialog left as it was in `base`
+// (its last saved settings) takes the server's current value; one the dialog changed, such as a retired
+// tool's reset counters or a spindle tool picked by hand, is kept.
+const mergeServerRecorded = (base, next, server) => {
+  const take = (baseValue, nextValue, serverValue) =>
+    serverValue !== undefined && JSON.stringify(nextValue) === JSON.stringify(baseValue) ? serverValue : nextValue;
+  const byId = (list) => new Map((list || []).map(item => [item.id, item]));
+  const baseTools = byId(base.tools);
+  const serverTools = byId(server.tools);
+
+  return {
+    ...next,
+    activeToolNumber: take(base.activeToolNumber, next.activeToolNumber, server.activeToolNumber),
+    tools: next.tools.map(tool => {
+      const before = baseTools.get(tool.id);
+      const current = serverTools.get(tool.id);
+      if (!before || !current) return tool;
+
+      const life = { ...tool.life };
+      ['used_minutes', 'usage_count'].forEach(key => {
+        life[key] = take(before.life?.[key], tool.life?.[key], current.life?.[key]);
+      });
+
+      const baseInstances = byId(before.instances);
+      const serverInstances = byId(current.instances);
+      return {
+        ...tool,
+        life: normalizeLife(life),
+        instances: (tool.instances || []).map(instance => {
+          const instanceBefore = baseInstances.get(instance.id);
+          const instanceNow = serverInstances.get(instance.id);
+          if (!instanceBefore || !instanceNow) return instance;
+
+          const merged = { ...instance };
+          ['used_minutes', 'usage_count', 'jobs'].forEach(key => {
+            merged[key] = take(instanceBefore[key], instance[key], instanceNow[key]);
+          });
+          return merged;
+        })
+      };
+    })
+  };
+};
+
+// Helper: Validate a tool's instances and the one it has mounted
+const validateInstances = (tool) => {
+  const errors = [];
+  const instances = tool.instances || [];
+  const serials = new Set();
+
+  instances.forEach((instance, index) => {
+    const serial = String(instance.serial || '').trim();
+    if (!serial) {
+      errors.push(`Instance ${index + 1} needs a serial or label`);
+    } else if (serials.has(serial.toLowerCase())) {
+      errors.push(`Serial "${serial}" is used by more than one instance`);
     }
+    serials.add(serial.toLowerCase());
 
-    // Properly escape JSON for embedding in JavaScript template literal
-    const toolsJson = JSON.stringify(tools)
-      .replace(/\\/g, '\\\\')    // Escape backslashes
-      .replace(/'/g, "\\'")      // Escape single quotes
-      .replace(/`/g, '\\`')      // Escape backticks
-      .replace(/</g, '\\u003c')  // Escape < for HTML safety
-      .replace(/>/g, '\\u003e'); // Escape > for HTML safety
+    if (!INSTANCE_STATUSES.some(status => status.key === instance.status)) {
+      errors.push(`Instance "${serial}" has an invalid status`);
+    }
+    if (instance.diameter !== null && instance.diameter !== undefined && !(instance.diameter > 0)) {
+      errors.push(`Instance "${serial}" diameter must be greater than 0`);
+    }
+  });
 
-    // Get app settings to read tool.count
-    const appSettings = ctx.getAppSettings() || {};
-    const maxToolCount = appSettings.tool?.count || 1;
+  if (tool.mountedInstanceId !== null && tool.mountedInstanceId !== undefined) {
+    const mounted = instances.find(instance => instance.id === tool.mountedInstanceId);
+    if (!mounted) {
+      errors.push('The mounted instance does not exist');
+    } else if (mounted.status === 'scrapped') {
+      errors.push(`Instance "${mounted.serial}" is scrapped and can't be mounted`);
+    }
+  }
 
-    ctx.showDialog(
-      'Tool Inventory',
-      /* html */ `
-      <style>
-        .tool-dialog-wrapper {
-          display: grid;
-          grid-template-rows: auto 1fr auto;
-          overflow: hidden;
-          width: 95vw;
-          max-width: 1400px;
-          height: 90vh;
-          max-height: 900px;
-        }
+  return errors;
+};
 
-        .tool-header {
-          padding: 16px 24px;
-          border-bottom: 1px solid var(--color-border);
-          display: flex;
-          gap: 12px;
-          align-items: center;
-          flex-wrap: wrap;
-        }
+// Helper: Remaining life as a percentage (null when tracking is off or no life is set)
+const getLifeRemainingPercent = (tool) => {
+  const life = normalizeLife(tool.life);
+  if (!life.enabled || !life.total_minutes) return null;
+  return (life.remaining_minutes / life.total_minutes) * 100;
+};
 
-        .tool-search {
-          flex: 1;
-          min-width: 200px;
-          padding: 8px 12px;
-          border: 1px solid var(--color-border);
-          border-radius: var(--radius-small);
-          background: var(--color-surface);
-          color: var(--color-text-primary);
-          font-size: 0.9rem;
+// Helper: True when fewer spares are on the shelf than the tool's minimum stock level
+const isLowStock = (tool) => {
+  const stock = tool.stock || {};
+  return Number.isInteger(stock.quantity) && Number.isInteger(stock.minimum) && stock.quantity < stock.minimum;
+};
+
+// Helper: Stock on hand for the tables, e.g. "3" or "1 (min 2)" when it's time to reorder
+const formatStock = (tool) => {
+  const stock = tool.stock || {};
+  if (!Number.isInteger(stock.quantity)) return null;
+  return isLowStock(tool) ? `${stock.quantity} (min ${stock.minimum})` : String(stock.quantity);
+};
+
+// Helper: Replace a worn tool with a spare: the life counters start over and one spare comes off the shelf.
+// A mounted instance is marked dull and taken out of the slot. Returns { tool, errors }; when stock is
+// counted and none is left there is no spare to fit, so the worn tool is returned unchanged.
+const retireTool = (tool) => {
+  const stock = { ...tool.stock };
+  if (Number.isInteger(stock.quantity)) {
+    if (stock.quantity <= 0) {
+      return { tool, errors: [`No spare "${tool.name}" in stock. Restock it before retiring the worn one.`] };
+    }
+    stock.quantity -= 1;
+  }
+
+  return {
+    tool: {
+      ...tool,
+      life: normalizeLife({ ...tool.life, used_minutes: 0, usage_count: 0 }),
+      stock,
+      instances: (tool.instances || []).map(instance =>
+        instance.id === tool.mountedInstanceId ? { ...instance, status: 'dull' } : instance
+      ),
+      mountedInstanceId: null
+    },
+    errors: []
+  };
+};
+
+// Helper: Tools below their minimum stock, grouped by supplier (no supplier last), with what to order
+const buildReorderReport = (tools) => {
+  const groups = new Map();
+  tools.filter(isLowStock).forEach(tool => {
+    const supplier = (tool.stock.supplier || '').trim();
+    const toOrder = tool.stock.minimum - tool.stock.quantity;
+    const price = Number.isFinite(tool.stock.price) ? tool.stock.price : null;
+    if (!groups.has(supplier)) groups.set(supplier, []);
+    groups.get(supplier).push({ tool, toOrder, price, total: price === null ? null : price * toOrder });
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === '') - (b === '') || a.localeCompare(b))
+    .map(([supplier, items]) => ({
+      supplier,
+      items: items.sort((a, b) => a.tool.name.localeCompare(b.tool.name)),
+      total: items.reduce((sum, item) => sum + (item.total || 0), 0)
+    }));
+};
+
+// Helper: CSV of a buildReorderReport() result, one row per tool to order
+const exportReorderCsv = (report) => {
+  const headers = ['Supplier', 'Name', 'SKU', 'On Hand', 'Minimum', 'To Order', 'Unit Price', 'Line Total'];
+  const rows = [];
+  report.forEach(group => group.items.forEach(item => rows.push([
+    group.supplier,
+    item.tool.name,
+    item.tool.metadata?.sku || '',
+    item.tool.stock.quantity,
+    item.tool.stock.minimum,
+    item.toOrder,
+    item.price === null ? '' : item.price.toFixed(2),
+    item.total === null ? '' : item.total.toFixed(2)
+  ])));
+
+  return [headers].concat(rows).map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// Tool-setter macro run for each TLO measurement. {tool} is replaced with the T# being measured, and
+// {x} {y} with the tool setter's machine position from the Measure dialog's probe settings.
+const DEFAULT_TLO_MACRO = [
+  '(Measure T{tool} on the tool setter)',
+  'G21 G90',
+  'G53 G0 Z-5',
+  'G53 G0 X{x} Y{y}',
+  'G91 G38.2 Z-150 F300',
+  'G0 Z2',
+  'G38.2 Z-5 F40',
+  'G90 G53 G0 Z-5'
+].join('\n');
+
+// Helper: What still has to be set before a TLO can be measured. Without the setter position the
+// macro would probe wherever the spindle is, and without the reference Z the TLO would be a raw machine Z.
+const getTloSetupErrors = (settings) => {
+  const errors = [];
+  if (!Number.isFinite(settings.tloSetterX) || !Number.isFinite(settings.tloSetterY)) {
+    errors.push('Set the tool setter X and Y');
+  }
+  if (!Number.isFinite(settings.tloReferenceZ)) {
+    errors.push('Set the reference tool probed Z');
+  }
+  return errors;
+};
+
+// Helper: The probe macro for a T#, with the tool setter position filled in
+const buildTloMacro = (settings, toolNumber) => settings.tloMacro
+  .split('{tool}').join(String(toolNumber))
+  .split('{x}').join(settings.tloSetterX.toFixed(3))
+  .split('{y}').join(settings.tloSetterY.toFixed(3));
+
+// TLO change (mm) between two measurements that flags a worn or mis-seated tool
+const DEFAULT_TLO_DRIFT_WARN_MM = 0.05;
+
+// Number of previous TLO measurements kept per tool
+const TLO_HISTORY_LIMIT = 10;
+
+// Helper: Read the probed Z from a Grbl/grblHAL probe report ("[PRB:x,y,z:1]") or a plain number
+const parseProbeResult = (text) => {
+  const value = String(text || '').trim();
+  const report = value.match(/PRB:\s*(-?[\d.]+),\s*(-?[\d.]+),\s*(-?[\d.]+)(?:[^:\]]*)?(?::\s*(\d))?/i);
+  if (report) {
+    if (report[4] === '0') {
+      throw new Error('The probe did not make contact');
+    }
+    return parseFloat(report[3]);
+  }
+
+  const number = parseFloat(value);
+  if (value === '' || !Number.isFinite(number)) {
+    throw new Error('Enter the probed Z or paste the [PRB:...] line');
+  }
+  return number;
+};
+
+// Helper: TLO from a probed Z: its distance from the reference tool's probed Z
+const computeTlo = (probedZ, referenceZ) => {
+  if (!Number.isFinite(referenceZ)) {
+    throw new Error('Set the reference tool probed Z first: a TLO is measured from it');
+  }
+  return Math.round((probedZ - referenceZ) * 1000) / 1000;
+};
+
+// Helper: Store a measured TLO with its timestamp, keeping the previous measurements
+const recordTloMeasurement = (tool, tlo, measuredAt = new Date().toISOString()) => {
+  const offsets = tool.offsets || {};
+  return {
+    ...tool,
+    offsets: {
+      ...offsets,
+      tlo,
+      tlo_measured_at: measuredAt,
+      tlo_history: [{ tlo, measured_at: measuredAt }, ...(offsets.tlo_history || [])].slice(0, TLO_HISTORY_LIMIT)
+    }
+  };
+};
+
+// Helper: Change (mm) between the last two TLO measurements, or null with fewer than two
+const getTloDrift = (tool) => {
+  const history = (tool.offsets && tool.offsets.tlo_history) || [];
+  if (history.length < 2) return null;
+  return Math.round((history[0].tlo - history[1].tlo) * 1000) / 1000;
+};
+
+// Helper: Extract tool and spindle words from a single G-code line
+const parseGcodeLine = (line) => {
+  const code = String(line || '')
+    .replace(/\(.*?\)/g, '')
+    .replace(/;.*$/, '')
+    .toUpperCase();
+
+  const toolMatch = code.match(/T\s*(\d+)/);
+  const mCodes = (code.match(/M\s*\d+/g) || []).map(m => parseInt(m.replace(/M\s*/, ''), 10));
+
+  let spindle = null;
+  if (mCodes.includes(3) || mCodes.includes(4)) spindle = 'on';
+  if (mCodes.includes(5) || mCodes.includes(2) || mCodes.includes(30)) spindle = 'off';
+
+  return {
+    toolNumber: toolMatch ? parseInt(toolMatch[1], 10) : null,
+    toolChange: mCodes.includes(6),
+    spindle
+  };
+};
+
+// Display names for tool types
+const TOOL_TYPE_LABELS = {
+  'flat': 'Flat End Mill',
+  'ball': 'Ball End Mill',
+  'bull': 'Bull Nose End Mill',
+  'v-bit': 'V-Bit',
+  'drill': 'Drill',
+  'chamfer': 'Chamfer',
+  'surfacing': 'Surfacing',
+  'probe': 'Probe',
+  'thread-mill': 'Thread Mill'
+};
+
+// Helper: Escape text for HTML rendered outside the dialog script
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Helper: Resolve a requested T# against the inventory for an M6 tool change
+const resolveToolChange = (toolNumber, tools, maxToolCount) => {
+  const tool = tools.find(t => t.toolNumber === toolNumber) || null;
+
+  if (!tool) {
+    return {
+      status: 'unassigned',
+      tool: null,
+      message: `T${toolNumber} has no tool assigned in the Tool Inventory`
+    };
+  }
+
+  if (toolNumber > maxToolCount) {
+    return {
+      status: 'not-in-magazine',
+      tool,
+      message: `T${toolNumber} (${tool.name}) is in the library, not in one of the ${maxToolCount} magazine pockets`
+    };
+  }
+
+  return { status: 'ok', tool, message: null };
+};
+
+// Helper: One-line tool summary for controller messages, e.g. "T3 1/4in Flat | Flat End Mill | D6.350 | TLO 0.000"
+const formatToolSummary = (tool) => [
+  `T${tool.toolNumber} ${tool.name}`,
+  TOOL_TYPE_LABELS[tool.type] || tool.type,
+  `D${Number(getEffectiveDiameter(tool)).toFixed(3)}`,
+  `TLO ${Number(tool.offsets?.tlo || 0).toFixed(3)}`
+].join(' | ');
+
+// Id of the active-tool status chip the plugin's dialogs keep in the page
+const ACTIVE_TOOL_CHIP_ID = 'tool-inventory-active-tool';
+
+// Helper: Status text for the tool in the spindle, e.g. "T3 · 1/4in Flat · Ø6.350 mm"
+const formatActiveTool = (toolNumber, tool, units = 'mm') => {
+  if (toolNumber === null || toolNumber === undefined) return 'No tool in spindle';
+  if (!tool) return `T${toolNumber} · not in inventory`;
+  return `T${toolNumber} · ${tool.name} · Ø${formatLengthWithUnits(getEffectiveDiameter(tool), units)}`;
+};
+
+// Helper (runs in the page): Show or update the active-tool chip. It is attached to the page body,
+// outside any dialog, so it stays on screen after the dialog closes.
+const showActiveToolChip = (text) => {
+  let chip = document.getElementById(ACTIVE_TOOL_CHIP_ID);
+  if (!chip) {
+    chip = document.createElement('div');
+    chip.id = ACTIVE_TOOL_CHIP_ID;
+    chip.title = 'Tool in the spindle (Tool Inventory)';
+    chip.style.cssText = [
+      'position: fixed',
+      'right: 12px',
+      'bottom: 12px',
+      'z-index: 9000',
+      'padding: 6px 14px',
+      'border-radius: 999px',
+      'border: 1px solid var(--color-border)',
+      'background: var(--color-surface)',
+      'color: var(--color-text-primary)',
+      'box-shadow: 0 2px 8px rgba(0, 0, 0, 0.25)',
+      'font-size: 0.85rem',
+      'font-weight: 600',
+      'pointer-events: none'
+    ].join('; ');
+    document.body.appendChild(chip);
+  }
+  chip.textContent = text;
+};
+
+// Helper: Inline script that updates the active-tool chip from a server-built dialog
+const activeToolChipScript = (text) => `
+  <script>
+    (function() {
+      ${shareWithDialog({ ACTIVE_TOOL_CHIP_ID, showActiveToolChip })}
+      showActiveToolChip(${toScriptData(text)});
+    })();
+  </script>
+`;
+
+// Helper: Dialog body shown to the operator on an M6 tool change
+const buildToolChangeDialog = (toolNumber, result, units = 'mm') => {
+  const rows = result.tool
+    ? [
+      ['Tool', `T${toolNumber}`],
+      ['Name', result.tool.name],
+      ['Type', TOOL_TYPE_LABELS[result.tool.type] || result.tool.type],
+      ['Diameter', formatLengthWithUnits(getEffectiveDiameter(result.tool), units)],
+      ['TLO', `${Number(result.tool.offsets?.tlo || 0).toFixed(3)} mm`]
+    ]
+    : [['Tool', `T${toolNumber}`]];
+
+  const instance = result.tool ? getMountedInstance(result.tool) : null;
+  if (instance) {
+    rows.push(['Instance', `${instance.serial}${instance.regrind_count ? ` (reground ${instance.regrind_count}×)` : ''}`]);
+  }
+
+  if (result.tool && result.tool.offsets?.tlo_measured_at) {
+    rows.push(['TLO Measured', new Date(result.tool.offsets.tlo_measured_at).toLocaleString()]);
+  }
+
+  const remaining = result.tool ? getLifeRemainingPercent(result.tool) : null;
+  if (remaining !== null) {
+    rows.push(['Life Remaining', `${remaining.toFixed(0)}%`]);
+  }
+
+  const blocked = result.status !== 'ok';
+
+  return /* html */ `
+    <style>
+      .tool-change { padding: 20px 24px; min-width: 360px; color: var(--color-text-primary); }
+      .tool-change-message { margin: 0 0 16px; padding: 12px; border-radius: var(--radius-small); font-weight: 500; }
+      .tool-change-message.blocked { background: color-mix(in srgb, var(--color-error) 15%, transparent); color: var(--color-error); }
+      .tool-change-table { width: 100%; border-collapse: collapse; font-size: 0.95rem; }
+      .tool-change-table th { text-align: left; padding: 6px 12px 6px 0; color: var(--color-text-secondary); font-weight: 500; }
+      .tool-change-table td { padding: 6px 0; font-weight: 600; }
+      .tool-change-footer { display: flex; justify-content: flex-end; margin-top: 20px; }
+      .tool-change-footer button { padding: 10px 20px; border: none; border-radius: var(--radius-small); background: var(--gradient-accent); color: white; cursor: pointer; }
+    </style>
+    <div class="tool-change">
+      ${blocked
+        ? `<p class="tool-change-message blocked">${escapeHtml(result.message)}. The M6 was not sent and the program has been paused (M0). ` +
+          `Nothing more of the program is sent until T${toolNumber} can be loaded: load the correct tool or update the inventory, then resume, or stop the job.</p>`
+        : ''}
+      <table class="tool-change-table">
+        ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+      </table>
+      <div class="tool-change-footer">
+        <button onclick="window.postMessage({ type: 'close-plugin-dialog' }, '*')">OK</button>
+      </div>
+    </div>
+    ${blocked ? '' : activeToolChipScript(formatActiveTool(toolNumber, result.tool, units))}
+  `;
+};
+
+// Diameter difference (mm) tolerated between a program's tool header and the inventory
+const DIAMETER_TOLERANCE_MM = 0.01;
+
+// Helper: Map a CAM tool description (Fusion 360 / Vectric) onto an inventory tool type
+const matchToolType = (description) => {
+  const text = String(description || '').toLowerCase();
+  if (text.includes('bull')) return 'bull';
+  if (text.includes('ball')) return 'ball';
+  if (text.includes('chamfer')) return 'chamfer';
+  if (/v[- ]?bit|v[- ]?carve|engrav|vee/.test(text)) return 'v-bit';
+  if (text.includes('thread')) return 'thread-mill';
+  if (text.includes('drill')) return 'drill';
+  if (/face|surfac|fly ?cut|spoilboard/.test(text)) return 'surfacing';
+  if (text.includes('probe')) return 'probe';
+  if (/flat|end ?mill|slot/.test(text)) return 'flat';
+  return null;
+};
+
+// Helper: Read tool comment headers written by Fusion 360 and Vectric post processors
+//   Fusion 360: (T1 D=6.35 CR=0. - ZMIN=-3. - flat end mill)
+//   Vectric:    (Tool: Ball Nose (3 mm)) followed by (T2 : 3.0)
+const parseToolComments = (gcode) => {
+  const lines = String(gcode || '').split(/\r?\n/);
+  const headers = {};
+
+  // Header diameters are in program units, so find the first G20/G21 outside comments
+  let inches = false;
+  for (const line of lines) {
+    const code = line.replace(/\(.*?\)/g, '').replace(/;.*$/, '').toUpperCase();
+    const unitMatch = code.match(/G\s*2([01])(?!\d)/);
+    if (unitMatch) {
+      inches = unitMatch[1] === '0';
+      break;
+    }
+  }
+  const toMm = (value) => Math.round(parseFloat(value) * (inches ? 25.4 : 1) * 1000) / 1000;
+
+  let pendingDescription = null;
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+
+    const fusion = line.match(/^\(\s*T(\d+)\s+D\s*=\s*([\d.]+)([^)]*)\)/i);
+    if (fusion) {
+      const parts = fusion[3].split(' - ');
+      const description = parts.length > 1 ? parts[parts.length - 1].trim() : '';
+      headers[parseInt(fusion[1], 10)] = {
+        diameter: toMm(fusion[2]),
+        type: matchToolType(description),
+        description,
+        line: index + 1
+      };
+      return;
+    }
+
+    const vectricName = line.match(/^\(\s*Tool\s*:\s*(.+)\)\s*$/i);
+    if (vectricName) {
+      pendingDescription = vectricName[1].trim();
+      return;
+    }
+
+    const vectric = line.match(/^\(\s*T(\d+)\s*:\s*([\d.]+)\s*\)/i);
+    if (vectric) {
+      headers[parseInt(vectric[1], 10)] = {
+        diameter: toMm(vectric[2]),
+        type: matchToolType(pendingDescription),
+        description: pendingDescription || '',
+        line: index + 1
+      };
+      pendingDescription = null;
+    }
+  });
+
+  return headers;
+};
+
+// Helper: Check every T word in a program against the tool table
+const analyzeProgram = (gcode, tools, maxToolCount) => {
+  const lines = String(gcode || '').split(/\r?\n/);
+  const headers = parseToolComments(gcode);
+  const firstUse = new Map();
+
+  lines.forEach((line, index) => {
+    const { toolNumber } = parseGcodeLine(line);
+    if (toolNumber !== null && toolNumber !== 0 && !firstUse.has(toolNumber)) {
+      firstUse.set(toolNumber, index + 1);
+    }
+  });
+
+  const issues = [];
+  const isOutsideMagazine = (t) => t.toolNumber === null || t.toolNumber === undefined || t.toolNumber > maxToolCount;
+
+  const entries = [...firstUse.keys()].sort((a, b) => a - b).map(toolNumber => {
+    const tool = tools.find(t => t.toolNumber === toolNumber) || null;
+    const header = headers[toolNumber] || null;
+    let status = 'ok';
+
+    if (toolNumber > maxToolCount) {
+      status = 'over-capacity';
+      issues.push({
+        level: 'error',
+        toolNumber,
+        message: tool
+          ? `T${toolNumber} is above the magazine's ${maxToolCount} pockets — "${tool.name}" must be loaded from the library`
+          : `T${toolNumber} is above the magazine's ${maxToolCount} pockets`
+      });
+    } else if (!tool) {
+      // Suggest a library tool that fits the program's header, if there is one
+      const candidate = header
+        ? tools.find(t =>
+          isOutsideMagazine(t) &&
+          Math.abs(getEffectiveDiameter(t) - header.diameter) <= DIAMETER_TOLERANCE_MM &&
+          (!header.type || t.type === header.type))
+        : null;
+
+      status = candidate ? 'load-from-library' : 'missing';
+      issues.push({
+        level: 'error',
+        toolNumber,
+        message: candidate
+          ? `T${toolNumber} is not in the magazine — load library tool "${candidate.name}" into pocket ${toolNumber}`
+          : `T${toolNumber} has no tool assigned in the magazine`
+      });
+    }
+
+    // Diameters are the mounted cutters': a reground cutter no longer matches the program's nominal size
+    if (tool && header) {
+      const diameter = getEffectiveDiameter(tool);
+      if (Math.abs(diameter - header.diameter) > DIAMETER_TOLERANCE_MM) {
+        status = status === 'ok' ? 'mismatch' : status;
+        issues.push({
+          level: 'warning',
+          toolNumber,
+          message: `T${toolNumber} diameter is ${header.diameter.toFixed(3)} mm in the program but ${Number(diameter).toFixed(3)} mm for "${tool.name}"`
+        });
+      }
+      if (header.type && header.type !== tool.type) {
+        status = status === 'ok' ? 'mismatch' : status;
+        issues.push({
+          level: 'warning',
+          toolNumber,
+          message: `T${toolNumber} is a ${TOOL_TYPE_LABELS[header.type]} in the program but "${tool.name}" is a ${TOOL_TYPE_LABELS[tool.type] || tool.type}`
+        });
+      }
+    }
+
+    return { toolNumber, line: firstUse.get(toolNumber), tool, header, status };
+  });
+
+  return { tools: entries, issues };
+};
+
+// Styles for the program check report (used in the inventory dialog and the job-start dialog)
+const PROGRAM_REPORT_STYLES = /* css */ `
+  .program-report { display: flex; flex-direction: column; gap: 16px; color: var(--color-text-primary); }
+  .program-report-summary { font-weight: 500; }
+  .program-report-summary.ok { color: var(--color-success, inherit); }
+  .program-report-issues { margin: 0; padding-left: 20px; display: flex; flex-direction: column; gap: 6px; }
+  .program-report-issues .error { color: var(--color-error); }
+  .program-report-issues .warning { color: var(--color-warning, var(--color-text-primary)); }
+  .program-report table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  .program-report th { text-align: left; padding: 8px; background: var(--color-surface-muted); border-bottom: 2px solid var(--color-border); }
+  .program-report td { padding: 8px; border-bottom: 1px solid var(--color-border); }
+  .program-report .status-error { color: var(--color-error); font-weight: 600; }
+  .program-report .status-warning { color: var(--color-warning, var(--color-text-primary)); font-weight: 600; }
+`;
+
+// Helper: Render an analyzeProgram() report as HTML
+const renderProgramReport = (report) => {
+  const statusLabels = {
+    'ok': ['OK', ''],
+    'mismatch': ['Mismatch', 'status-warning'],
+    'missing': ['Not in magazine', 'status-error'],
+    'load-from-library': ['Load from library', 'status-error'],
+    'over-capacity': ['Over capacity', 'status-error']
+  };
+
+  if (report.tools.length === 0) {
+    return '<div class="program-report"><div class="program-report-summary">No tool numbers (T words) found in this program.</div></div>';
+  }
+
+  const errorCount = report.issues.filter(i => i.level === 'error').length;
+  const warningCount = report.issues.length - errorCount;
+  const summary = report.issues.length === 0
+    ? `<div class="program-report-summary ok">All ${report.tools.length} tool(s) used by this program are in the magazine.</div>`
+    : `<div class="program-report-summary">${errorCount} problem(s) and ${warningCount} warning(s) in ${report.tools.length} tool(s).</div>`;
+
+  const issues = report.issues.length === 0
+    ? ''
+    : '<ul class="program-report-issues">' +
+      report.issues.map(i => `<li class="${i.level}">${escapeHtml(i.message)}</li>`).join('') +
+      '</ul>';
+
+  const rows = report.tools.map(entry => {
+    const [label, className] = statusLabels[entry.status];
+    const program = entry.header
+      ? `${entry.header.diameter.toFixed(3)} mm ${escapeHtml(entry.header.description)}`
+      : '—';
+    const inventory = entry.tool
+      ? `${escapeHtml(entry.tool.name)} (${Number(getEffectiveDiameter(entry.tool)).toFixed(3)} mm)`
+      : '—';
+    return `<tr><td>T${entry.toolNumber}</td><td>${entry.line}</td><td>${program}</td><td>${inventory}</td><td class="${className}">${label}</td></tr>`;
+  }).join('');
+
+  return '<div class="program-report">' + summary + issues +
+    '<table><thead><tr><th>T#</th><th>First Line</th><th>Program Header</th><th>Inventory</th><th>Status</th></tr></thead>' +
+    '<tbody>' + rows + '</tbody></table></div>';
+};
+
+// Helper: Turn a module-level helper or constant into dialog script source.
+// Lets the dialog run the exact same code as the server instead of a copy.
+const shareWithDialog = (helpers) => Object.entries(helpers)
+  .map(([name, value]) => `const ${name} = ${typeof value === 'function' ? value.toString() : JSON.stringify(value)};`)
+  .join('\n');
+
+// Fusion 360 tool library types mapped onto inventory types (holders and unknown types are skipped)
+const FUSION_TYPE_MAP = {
+  'flat end mill': 'flat',
+  'slot mill': 'flat',
+  'ball end mill': 'ball',
+  'lollipop mill': 'ball',
+  'bull nose end mill': 'bull',
+  'radius mill': 'bull',
+  'chamfer mill': 'chamfer',
+  'counter sink': 'chamfer',
+  'engrave': 'v-bit',
+  'tapered mill': 'v-bit',
+  'face mill': 'surfacing',
+  'thread mill': 'thread-mill',
+  'drill': 'drill',
+  'spot drill': 'drill',
+  'center drill': 'drill',
+  'probe': 'probe'
+};
+
+// Helper: Convert a Fusion 360 tool library (JSON export or tools.json inside a .tools archive) to import drafts
+const parseFusionLibrary = (library) => {
+  const entries = Array.isArray(library) ? library : (library && Array.isArray(library.data) ? library.data : null);
+  if (!entries) {
+    throw new Error('Not a Fusion 360 tool library (expected a "data" array)');
+  }
+
+  return entries
+    .filter(entry => entry && entry.type !== 'holder' && entry.type !== 'shaft')
+    .map(entry => {
+      const warnings = [];
+      const geometry = entry.geometry || {};
+      const postProcess = entry['post-process'] || {};
+      const units = entry.unit === 'inches' ? 'inch' : 'mm';
+      const length = (value) => (typeof value === 'number' ? toMm(value, units) : null);
+
+      let type = FUSION_TYPE_MAP[String(entry.type || '').toLowerCase()] || matchToolType(entry.type);
+      if (!type) {
+        warnings.push(`Unknown Fusion tool type "${entry.type}", imported as Flat End Mill`);
+        type = 'flat';
+      }
+
+      // Fusion stores taper as the angle from the tool axis; the inventory uses the included angle
+      const taperAngle = typeof geometry.TA === 'number' && geometry.TA > 0 ? geometry.TA * 2 : null;
+      const material = { carbide: 'Carbide', hss: 'HSS', ceramics: 'Ceramic', diamond: 'Diamond (PCD)' }[String(entry.BMC || '').toLowerCase()] || null;
+
+      return {
+        name: entry.description || `${formatLengthWithUnits(length(geometry.DC), units)} ${entry.type || 'tool'}`,
+        type,
+        diameter: length(geometry.DC),
+        units,
+        toolNumber: Number.isInteger(postProcess.number) && postProcess.number > 0 ? postProcess.number : null,
+        sku: entry['product-id'] || '',
+        notes: [entry.vendor, postProcess.comment].filter(Boolean).join(' — '),
+        dimensions: {
+          flute_length: length(geometry.LCF),
+          overall_length: length(geometry.OAL),
+          stickout: length(geometry.LB),
+          taper_angle: ['v-bit', 'chamfer'].includes(type) ? taperAngle : null,
+          tip_diameter: ['v-bit', 'chamfer'].includes(type) ? length(geometry['tip-diameter']) : null,
+          radius: ['ball', 'bull'].includes(type) && geometry.RE > 0 ? length(geometry.RE) : null,
+          point_angle: type === 'drill' && geometry.SIG > 0 ? geometry.SIG : null,
+          pitch: type === 'thread-mill' ? length(geometry['thread-pitch']) : null
+        },
+        specs: { material, coating: entry.GRADE || null, flutes: Number.isInteger(geometry.NOF) && geometry.NOF > 0 ? geometry.NOF : null },
+        presets: ((entry['start-values'] || {}).presets || []).map(preset => {
+          const positive = (value) => (typeof value === 'number' && value > 0 ? value : null);
+          const scaled = (value) => (positive(value) === null ? null : length(value));
+          return {
+            material: String(preset.name || preset.description || 'Default'),
+            rpm: positive(preset.n),
+            feed: scaled(preset.v_f),
+            plunge: scaled(preset.v_f_plunge),
+            stepdown: scaled(preset.stepdown),
+            stepover: scaled(preset.stepover)
+          };
+        }),
+        warnings
+      };
+    });
+};
+
+// Helper: List the files in a ZIP archive (Fusion 360 .tools files are ZIPs holding tools.json)
+const readZipEntries = async (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // End of central directory record is in the last 64KB + 22 bytes
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.push({
+      name,
+      read: async () => {
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) return data;
+        if (method !== 8) throw new Error(`Unsupported ZIP compression method ${method}`);
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+      }
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// Helper: Read every table of an SQLite database file into plain row objects (Vectric .vtdb files are SQLite).
+// Read-only and minimal: table b-trees, overflow pages and the record format; indexes are ignored.
+const readSqliteTables = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (new TextDecoder().decode(bytes.subarray(0, 15)) !== 'SQLite format 3') {
+    throw new Error('Not an SQLite database');
+  }
+
+  const rawPageSize = view.getUint16(16);
+  const pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+  const usableSize = pageSize - bytes[20];
+  const encoding = view.getUint32(56);
+  const textDecoder = new TextDecoder(encoding === 2 ? 'utf-16le' : encoding === 3 ? 'utf-16be' : 'utf-8');
+
+  // Returns [value, length in bytes]
+  const readVarint = (source, pos) => {
+    let value = 0;
+    for (let i = 0; i < 8; i++) {
+      const byte = source[pos + i];
+      value = value * 128 + (byte & 0x7f);
+      if (!(byte & 0x80)) return [value, i + 1];
+    }
+    return [value * 256 + source[pos + 8], 9];
+  };
+
+  const readPayload = (cellPos, payloadSize, headerLength) => {
+    const start = cellPos + headerLength;
+    const maxLocal = usableSize - 35;
+    if (payloadSize <= maxLocal) {
+      return bytes.subarray(start, start + payloadSize);
+    }
+
+    const minLocal = Math.floor(((usableSize - 12) * 32) / 255) - 23;
+    let localSize = minLocal + ((payloadSize - minLocal) % (usableSize - 4));
+    if (localSize > maxLocal) localSize = minLocal;
+
+    const payload = new Uint8Array(payloadSize);
+    payload.set(bytes.subarray(start, start + localSize));
+    let written = localSize;
+    let overflowPage = view.getUint32(start + localSize);
+    while (overflowPage && written < payloadSize) {
+      const pageStart = (overflowPage - 1) * pageSize;
+      const chunk = Math.min(usableSize - 4, payloadSize - written);
+      payload.set(bytes.subarray(pageStart + 4, pageStart + 4 + chunk), written);
+      written += chunk;
+      overflowPage = view.getUint32(pageStart);
+    }
+    return payload;
+  };
+
+  const decodeRecord = (payload) => {
+    const recordView = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    const [headerSize, headerVarintLength] = readVarint(payload, 0);
+    const serialTypes = [];
+    let pos = headerVarintLength;
+    while (pos < headerSize) {
+      const [serialType, length] = readVarint(payload, pos);
+      serialTypes.push(serialType);
+      pos += length;
+    }
+
+    let dataPos = headerSize;
+    return serialTypes.map(serialType => {
+      if (serialType === 0) return null;
+      if (serialType === 8) return 0;
+      if (serialType === 9) return 1;
+      if (serialType === 7) {
+        const value = recordView.getFloat64(dataPos);
+        dataPos += 8;
+        return value;
+      }
+      if (serialType >= 1 && serialType <= 6) {
+        const size = [0, 1, 2, 3, 4, 6, 8][serialType];
+        let value = 0;
+        for (let i = 0; i < size; i++) value = value * 256 + payload[dataPos + i];
+        if (payload[dataPos] & 0x80) value -= Math.pow(2, size * 8);
+        dataPos += size;
+        return value;
+      }
+      const size = Math.floor((serialType - 12) / 2);
+      const data = payload.subarray(dataPos, dataPos + size);
+      dataPos += size;
+      return serialType % 2 === 1 ? textDecoder.decode(data) : data;
+    });
+  };
+
+  const readTableRows = (rootPage) => {
+    const rows = [];
+    const visit = (pageNumber) => {
+      const pageStart = (pageNumber - 1) * pageSize;
+      const headerStart = pageNumber === 1 ? 100 : pageStart;
+      const pageType = bytes[headerStart];
+      const cellCount = view.getUint16(headerStart + 3);
+      const pointerStart = headerStart + (pageType === 0x05 ? 12 : 8);
+
+      for (let i = 0; i < cellCount; i++) {
+        const cellPos = pageStart + view.getUint16(pointerStart + i * 2);
+        if (pageType === 0x05) {
+          visit(view.getUint32(cellPos));
+        } else if (pageType === 0x0d) {
+          const [payloadSize, sizeLength] = readVarint(bytes, cellPos);
+          const [rowId, rowIdLength] = readVarint(bytes, cellPos + sizeLength);
+          const payload = readPayload(cellPos, payloadSize, sizeLength + rowIdLength);
+          rows.push({ rowId, values: decodeRecord(payload) });
         }
+      }
 
-        .tool-search:focus {
-          outline: none;
-          border-color: var(--color-accent);
+      if (pageType === 0x05) {
+        visit(view.getUint32(headerStart + 8));
+      }
+    };
+    visit(rootPage);
+    return rows;
+  };
+
+  // Column names come from the CREATE TABLE statement
+  const parseColumns = (sql) => {
+    const body = String(sql || '').slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+    const definitions = [];
+    let depth = 0;
+    let current = '';
+    for (const char of body) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) {
+        definitions.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    definitions.push(current);
+
+    return definitions
+      .map(definition => definition.trim())
+      .filter(definition => definition && !/^(PRIMARY|UNIQUE|CHECK|FOREIGN|CONSTRAINT)\b/i.test(definition))
+      .map(definition => ({
+        name: definition.match(/^("[^"]+"|\[[^\]]+\]|`[^`]+`|\S+)/)[1].replace(/^["[`]|["\]`]$/g, ''),
+        isRowId: /^\S+\s+INTEGER\s+PRIMARY\s+KEY/i.test(definition)
+      }));
+  };
+
+  const tables = {};
+  readTableRows(1).forEach(({ values }) => {
+    const [type, name, , rootPage, sql] = values;
+    if (type !== 'table' || !rootPage || name.startsWith('sqlite_')) return;
+
+    const columns = parseColumns(sql);
+    tables[name] = readTableRows(rootPage).map(({ rowId, values: rowValues }) => {
+      const row = {};
+      columns.forEach((column, index) => {
+        row[column.name] = column.isRowId && rowValues[index] === null ? rowId : rowValues[index];
+      });
+      return row;
+    });
+  });
+
+  return tables;
+};
+
+// Vectric tool_type values mapped onto inventory types (types not listed fall back to the tool name)
+const VECTRIC_TYPE_MAP = {
+  0: 'ball',
+  1: 'flat',
+  2: 'bull',
+  3: 'v-bit',
+  5: 'ball',
+  6: 'drill'
+};
+
+// Helper: Convert the tables of a Vectric .vtdb tool database to import drafts
+const parseVectricDatabase = (tables) => {
+  const findTable = (name) => {
+    const key = Object.keys(tables).find(k => k.toLowerCase() === name);
+    return key ? tables[key] : [];
+  };
+  const pick = (row, ...names) => {
+    if (!row) return null;
+    const key = Object.keys(row).find(k => names.includes(k.toLowerCase()));
+    return key === undefined ? null : row[key];
+  };
+  const number = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+  // Vectric ids are UUID blobs, read as Uint8Array: compare them by value
+  const idKey = (value) => (value instanceof Uint8Array ? Array.from(value, byte => byte.toString(16).padStart(2, '0')).join('') : value);
+  const sameId = (a, b) => a !== null && a !== undefined && idKey(a) === idKey(b);
+
+  const geometries = findTable('tool_geometry');
+  if (geometries.length === 0) {
+    throw new Error('No tool_geometry table found in the Vectric tool database');
+  }
+
+  const entities = findTable('tool_entity');
+  const cuttingData = findTable('tool_cutting_data');
+  const treeEntries = findTable('tool_tree_entry');
+
+  return geometries.map(geometry => {
+    const warnings = [];
+    const id = pick(geometry, 'id');
+    const entity = entities.find(e => sameId(pick(e, 'tool_geometry_id'), id));
+    const cutting = entity ? cuttingData.find(c => sameId(pick(c, 'id'), pick(entity, 'tool_cutting_data_id'))) : null;
+    const treeEntry = treeEntries.find(e => sameId(pick(e, 'tool_geometry_id'), id));
+
+    // Vectric stores units per tool: 0 = mm, 1 = inches
+    const units = pick(geometry, 'units') === 1 ? 'inch' : 'mm';
+    const length = (value) => (number(value) === null ? null : toMm(value, units));
+
+    const diameter = length(pick(geometry, 'diameter'));
+    const nameFormat = String(pick(geometry, 'name_format') || '')
+      .replace(/\{[^}]*diameter[^}]*\}/gi, diameter === null ? '' : formatLengthWithUnits(diameter, units))
+      .replace(/\{[^}]*\}/g, '')
+      .trim();
+    const name = pick(treeEntry, 'name') || nameFormat || 'Vectric tool';
+
+    let type = VECTRIC_TYPE_MAP[pick(geometry, 'tool_type')] || matchToolType(name);
+    if (!type) {
+      warnings.push('Unknown Vectric tool type, imported as Flat End Mill');
+      type = 'flat';
+    }
+
+    const toolNumber = number(pick(cutting, 'tool_number'));
+
+    return {
+      name,
+      type,
+      diameter,
+      units,
+      toolNumber: toolNumber > 0 ? toolNumber : null,
+      sku: '',
+      notes: String(pick(geometry, 'notes') || pick(treeEntry, 'notes') || ''),
+      dimensions: {
+        flute_length: length(pick(geometry, 'flute_length')),
+        overall_length: null,
+        stickout: null,
+        taper_angle: ['v-bit', 'chamfer'].includes(type) ? number(pick(geometry, 'included_angle')) : null,
+        tip_diameter: ['v-bit', 'chamfer'].includes(type) ? length(pick(geometry, 'flat_diameter', 'tip_diameter')) : null,
+        radius: ['ball', 'bull'].includes(type) ? length(pick(geometry, 'tip_radius')) : null,
+        point_angle: null,
+        pitch: type === 'thread-mill' ? length(pick(geometry, 'thread_pitch')) : null
+      },
+      specs: { material: null, coating: null },
+      warnings
+    };
+  });
+};
+
+// Import fields a CSV column can be mapped to, with header names recognized automatically
+const CSV_FIELDS = [
+  { key: 'name', label: 'Name / Description', aliases: ['name', 'description', 'tool name', 'desc'] },
+  { key: 'type', label: 'Type', aliases: ['type', 'tool type', 'kind'] },
+  { key: 'diameter', label: 'Diameter', aliases: ['diameter', 'dia', 'd', 'dc'], length: true },
+  { key: 'toolNumber', label: 'Tool Number (T#)', aliases: ['t#', 't', 'tool number', 'toolnumber', 'tool #', 'number', 'pocket'] },
+  { key: 'sku', label: 'SKU / Part Number', aliases: ['sku', 'part number', 'part', 'product id', 'product-id', 'mpn'] },
+  { key: 'flute_length', label: 'Flute Length', aliases: ['flute length', 'lcf', 'cutting length', 'loc'], length: true },
+  { key: 'overall_length', label: 'Overall Length', aliases: ['overall length', 'oal', 'length'], length: true },
+  { key: 'stickout', label: 'Stickout', aliases: ['stickout', 'stick out', 'lb'], length: true },
+  { key: 'taper_angle', label: 'Taper Angle', aliases: ['taper angle', 'angle', 'included angle', 'v angle'] },
+  { key: 'tip_diameter', label: 'Tip Diameter', aliases: ['tip diameter', 'tip'], length: true },
+  { key: 'radius', label: 'Corner Radius', aliases: ['radius', 'corner radius', 're', 'cr'], length: true },
+  { key: 'point_angle', label: 'Point Angle', aliases: ['point angle', 'sig'] },
+  { key: 'pitch', label: 'Thread Pitch', aliases: ['pitch', 'thread pitch'], length: true },
+  { key: 'material', label: 'Tool Material', aliases: ['material', 'tool material'] },
+  { key: 'coating', label: 'Coating', aliases: ['coating'] },
+  { key: 'flutes', label: 'Flutes', aliases: ['flutes', 'flute count', 'nof', 'z'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comment', 'comments'] },
+  { key: 'units', label: 'Units (mm / in)', aliases: ['units', 'unit'] },
+  { key: 'quantity', label: 'Stock On Hand', aliases: ['quantity', 'qty', 'on hand', 'stock'] },
+  { key: 'minimum', label: 'Minimum Stock', aliases: ['minimum', 'min', 'min stock', 'reorder point'] },
+  { key: 'supplier', label: 'Supplier', aliases: ['supplier', 'vendor'] },
+  { key: 'price', label: 'Unit Price', aliases: ['price', 'unit price', 'cost'] }
+];
+
+// Helper: Parse CSV text (quoted fields, escaped quotes, comma or semicolon separated)
+const parseCsv = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Helper: Guess which CSV column feeds each import field from the header row
+const guessCsvMapping = (headers) => {
+  const mapping = {};
+  const normalized = headers.map(h => String(h).trim().toLowerCase());
+  CSV_FIELDS.forEach(field => {
+    const index = normalized.findIndex(h => field.aliases.includes(h));
+    if (index >= 0 && !Object.values(mapping).includes(index)) {
+      mapping[field.key] = index;
+    }
+  });
+  return mapping;
+};
+
+// Helper: Convert CSV data rows to import drafts using a { fieldKey: columnIndex } mapping.
+// Lengths are in `units` unless the row has a Units column or the cell carries its own unit (1/4").
+const mapCsvRows = (rows, mapping, units = 'mm') => {
+  return rows.map(row => {
+    const warnings = [];
+    const value = (key) => (mapping[key] === undefined || mapping[key] === null ? '' : String(row[mapping[key]] ?? '').trim());
+    const unitsText = value('units').toLowerCase();
+    const rowUnits = /^(in|inch|inches|")$/.test(unitsText) ? 'inch' : (/^(mm|metric)$/.test(unitsText) ? 'mm' : units);
+    const numberValue = (key) => {
+      const raw = value(key);
+      if (raw === '') return null;
+      const field = CSV_FIELDS.find(f => f.key === key);
+      if (field.length) {
+        try {
+          return parseLength(raw, rowUnits).mm;
+        } catch (error) {
+          warnings.push(`${field.label}: ${error.message}`);
+          return null;
+        }
+      }
+      const parsed = parseFloat(raw.replace(',', '.'));
+      return Number.isFinite(parsed) ? parsed : null;
+    };
+
+    const typeText = value('type');
+    let type = Object.keys(TOOL_TYPE_LABELS).find(t => t === typeText.toLowerCase() || TOOL_TYPE_LABELS[t].toLowerCase() === typeText.toLowerCase())
+      || matchToolType(typeText)
+      || matchToolType(value('name'));
+    if (!type) {
+      warnings.push(typeText ? `Unknown type "${typeText}", imported as Flat End Mill` : 'No type given, imported as Flat End Mill');
+      type = 'flat';
+    }
+
+    const toolNumber = parseInt(value('toolNumber').replace(/^T/i, ''), 10);
+    const dimensions = {};
+    DIMENSION_FIELDS.forEach(field => {
+      dimensions[field.key] = !field.types || field.types.includes(type) ? numberValue(field.key) : null;
+    });
+
+    return {
+      name: value('name'),
+      type,
+      diameter: numberValue('diameter'),
+      units: rowUnits,
+      toolNumber: Number.isInteger(toolNumber) && toolNumber > 0 ? toolNumber : null,
+      sku: value('sku'),
+      notes: value('notes'),
+      dimensions,
+      specs: {
+        material: value('material') || null,
+        coating: value('coating') || null,
+        flutes: Number.isInteger(numberValue('flutes')) && numberValue('flutes') > 0 ? numberValue('flutes') : null
+      },
+      stock: {
+        quantity: Number.isInteger(numberValue('quantity')) ? numberValue('quantity') : null,
+        minimum: Number.isInteger(numberValue('minimum')) ? numberValue('minimum') : null,
+        supplier: value('supplier') || null,
+        price: numberValue('price')
+      },
+      warnings
+    };
+  });
+};
+
+// Helper: Work out what importing a list of drafts would do to the tool table.
+// Existing tools are matched by SKU, then by name + type + diameter. A tool in another machine's
+// magazine (`otherMachines`, from getOtherMachineAssignments) is not given a T#.
+const planImport = (drafts, tools, { assignToolNumbers = false, maxToolCount = 1, otherMachines = new Map() } = {}) => {
+  const claimedNumbers = new Set();
+  const matchedIds = new Set();
+
+  return drafts.map(draft => {
+    const notes = [...(draft.warnings || [])];
+
+    const basicErrors = [];
+    if (!draft.name) basicErrors.push('Missing name');
+    if (!(draft.diameter > 0)) basicErrors.push('Missing or invalid diameter');
+    const errors = basicErrors.concat(validateDimensions(draft));
+    if (errors.length > 0) {
+      return { action: 'skip', draft, existing: null, toolNumber: null, notes: notes.concat(errors), include: false };
+    }
+
+    const sku = String(draft.sku || '').toLowerCase();
+    const existing = tools.find(t => !matchedIds.has(t.id) && sku && String(t.metadata?.sku || '').toLowerCase() === sku) ||
+      tools.find(t =>
+        !matchedIds.has(t.id) &&
+        t.name.toLowerCase() === draft.name.toLowerCase() &&
+        t.type === draft.type &&
+        Math.abs(t.diameter - draft.diameter) <= DIAMETER_TOLERANCE_MM) ||
+      null;
+    if (existing) matchedIds.add(existing.id);
+
+    let toolNumber = existing ? existing.toolNumber ?? null : null;
+    if (assignToolNumbers && draft.toolNumber !== null && draft.toolNumber !== undefined) {
+      const holder = tools.find(t => t.toolNumber === draft.toolNumber && (!existing || t.id !== existing.id));
+      const other = existing ? otherMachines.get(existing.id) : null;
+      if (other) {
+        notes.push(`Left in the library: in use on ${other.machine.name} as T${other.toolNumber}`);
+      } else if (draft.toolNumber > maxToolCount) {
+        notes.push(`T${draft.toolNumber} is above the magazine's ${maxToolCount} pockets`);
+      } else if (holder) {
+        notes.push(`T${draft.toolNumber} is held by "${holder.name}"`);
+      } else if (claimedNumbers.has(draft.toolNumber)) {
+        notes.push(`T${draft.toolNumber} is used by another tool in this file`);
+      } else {
+        toolNumber = draft.toolNumber;
+      }
+    }
+    if (toolNumber !== null) claimedNumbers.add(toolNumber);
+
+    return { action: existing ? 'update' : 'create', draft, existing, toolNumber, notes, include: true };
+  });
+};
+
+// Helper: Apply the included entries of an import plan, returning the new tool list
+const applyImportPlan = (plan, tools, nextToolId = 1) => {
+  const result = tools.map(t => ({ ...t }));
+  let nextId = generateToolId(result, nextToolId);
+
+  const keepSet = (values) => Object.fromEntries(
+    Object.entries(values || {}).filter(([, value]) => value !== null && value !== undefined && value !== '')
+  );
+
+  plan.filter(entry => entry.include && entry.action !== 'skip').forEach(entry => {
+    const { draft } = entry;
+
+    if (entry.action === 'update') {
+      const index = result.findIndex(t => t.id === entry.existing.id);
+      const current = result[index];
+      result[index] = {
+        ...current,
+        toolNumber: entry.toolNumber,
+        name: draft.name,
+        type: draft.type,
+        diameter: draft.diameter,
+        units: draft.units || current.units,
+        metadata: {
+          ...current.metadata,
+          sku: draft.sku || current.metadata?.sku || '',
+          notes: draft.notes || current.metadata?.notes || ''
+        },
+        dimensions: { ...current.dimensions, ...keepSet(draft.dimensions) },
+        specs: { ...current.specs, ...keepSet(draft.specs) },
+        stock: { ...current.stock, ...keepSet(draft.stock) },
+        presets: mergePresets(current.presets, draft.presets)
+      };
+      return;
+    }
+
+    const tool = createDefaultTool(nextId++, entry.toolNumber);
+    result.push({
+      ...tool,
+      name: draft.name,
+      type: draft.type,
+      diameter: draft.diameter,
+      units: draft.units || tool.units,
+      metadata: { ...tool.metadata, sku: draft.sku || '', notes: draft.notes || '' },
+      dimensions: { ...tool.dimensions, ...keepSet(draft.dimensions) },
+      specs: { ...tool.specs, ...keepSet(draft.specs) },
+      stock: { ...tool.stock, ...keepSet(draft.stock) },
+      presets: draft.presets || []
+    });
+  });
+
+  return result;
+};
+
+// Number of tool table snapshots kept in the plugin settings (oldest are dropped first)
+const MAX_SNAPSHOTS = 25;
+
+// Largest size of the history (snapshots and the tool versions they list) as JSON. Older snapshots are
+// dropped past it, but the newest is always kept so the last change can be undone.
+const MAX_HISTORY_BYTES = 1024 * 1024;
+
+// Snapshots list their tools as keys into settings.snapshotTools, where each version of a tool is stored
+// once. A snapshot of a 300-tool table that differs from the previous one in one tool adds one tool, not 300.
+
+// Helper: Put the tools into a snapshot tool store, keyed by a hash of their content; returns the keys in order
+const storeSnapshotTools = (tools, store) => tools.map(tool => {
+  const json = JSON.stringify(tool);
+  const hash = hashString(json);
+  let key = hash;
+  // A different tool that happens to have the same hash gets a key of its own
+  for (let n = 1; store[key] && JSON.stringify(store[key]) !== json; n++) {
+    key = `${hash}-${n}`;
+  }
+  store[key] = store[key] || JSON.parse(json);
+  return key;
+});
+
+// Helper: Keep the newest snapshots within MAX_SNAPSHOTS and MAX_HISTORY_BYTES, and drop tool versions none of them lists
+const trimHistory = (snapshots, snapshotTools) => {
+  const listedTools = (list) => {
+    const listed = {};
+    list.forEach(snapshot => snapshot.toolKeys.forEach(key => {
+      if (snapshotTools[key]) listed[key] = snapshotTools[key];
+    }));
+    return listed;
+  };
+
+  let kept = snapshots.slice(0, MAX_SNAPSHOTS);
+  let tools = listedTools(kept);
+  while (kept.length > 1 && JSON.stringify({ snapshots: kept, snapshotTools: tools }).length > MAX_HISTORY_BYTES) {
+    kept = kept.slice(0, -1);
+    tools = listedTools(kept);
+  }
+  return { snapshots: kept, snapshotTools: tools };
+};
+
+// Helper: Add a snapshot of a tool list to the history in `settings`, newest first; returns { snapshots, snapshotTools }.
+// The T#s in it are the ones on `machineId`, so the snapshot can only be restored while that machine is active.
+const takeSnapshot = (settings, tools, reason, machineId = null) => {
+  const snapshotTools = { ...settings.snapshotTools };
+  const snapshot = {
+    id: Date.now(),
+    takenAt: new Date().toISOString(),
+    reason,
+    machineId,
+    toolKeys: storeSnapshotTools(tools, snapshotTools)
+  };
+  return trimHistory([snapshot, ...(settings.snapshots || [])], snapshotTools);
+};
+
+// Helper: The tool list of a history snapshot
+const readSnapshot = (settings, snapshot) =>
+  snapshot.toolKeys.map(key => (settings.snapshotTools || {})[key]).filter(Boolean);
+
+// Helper: History with snapshots stored before snapshotTools (each held a full copy of the table) moved into the tool store
+const migrateSnapshots = (snapshots, snapshotTools) => {
+  if (!snapshots.some(snapshot => Array.isArray(snapshot.tools))) {
+    return { snapshots, snapshotTools };
+  }
+
+  const store = { ...snapshotTools };
+  const migrated = snapshots.map(({ tools, ...snapshot }) =>
+    (Array.isArray(tools) ? { ...snapshot, toolKeys: storeSnapshotTools(tools, store) } : snapshot));
+  return trimHistory(migrated, store);
+};
+
+// Helper: Compare two tool lists by internal id
+const diffTools = (before, after) => {
+  const beforeById = new Map(before.map(t => [t.id, t]));
+  const afterById = new Map(after.map(t => [t.id, t]));
+
+  return {
+    added: after.filter(t => !beforeById.has(t.id)),
+    removed: before.filter(t => !afterById.has(t.id)),
+    changed: after.filter(t => beforeById.has(t.id) && JSON.stringify(beforeById.get(t.id)) !== JSON.stringify(t))
+  };
+};
+
+// Helper: Short text for a diffTools() result, e.g. "2 added, 1 removed, 3 changed"
+const summarizeDiff = (diff) => {
+  const parts = [];
+  if (diff.added.length) parts.push(`${diff.added.length} added`);
+  if (diff.removed.length) parts.push(`${diff.removed.length} removed`);
+  if (diff.changed.length) parts.push(`${diff.changed.length} changed`);
+  return parts.length ? parts.join(', ') : 'No differences';
+};
+
+
+// Id of the machine profile that inventories from before machine profiles are given
+const DEFAULT_MACHINE_ID = 'machine-1';
+
+// Helper: A machine profile. toolCount null means the app's magazine size (tool.count); assignments
+// holds the T# of each tool id while another machine is active.
+const createMachine = (id, name) => ({ id, name, toolCount: null, assignments: {}, activeToolNumber: null });
+
+// Tool images live in settings.images, keyed by a hash of their content. Tools refer to them as
+// "image:<key>", so history snapshots and undo don't copy the image data.
+const IMAGE_REF_PREFIX = 'image:';
+
+// Longest side in px of an uploaded tool image (larger uploads are scaled down before saving)
+const IMAGE_MAX_SIZE = 320;
+
+// Helper: Short content hash (djb2) for image keys; identical images share one entry
+const hashString = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36) + text.length.toString(36);
+};
+
+// Helper: Move images embedded in the tools as data URLs into the image store
+const storeToolImages = (tools, images = {}) => {
+  const stored = { ...images };
+  const result = tools.map(tool => {
+    const image = (tool.metadata && tool.metadata.image) || '';
+    if (!image.startsWith('data:image/')) return tool;
+
+    const key = hashString(image);
+    stored[key] = image;
+    return { ...tool, metadata: { ...tool.metadata, image: IMAGE_REF_PREFIX + key } };
+  });
+  return { tools: result, images: stored };
+};
+
+// Helper: Drop stored images that none of the tool lists (current tools and snapshots) refer to
+const pruneImages = (images, toolLists) => {
+  const used = new Set();
+  toolLists.forEach(tools => tools.forEach(tool => {
+    const image = (tool.metadata && tool.metadata.image) || '';
+    if (image.startsWith(IMAGE_REF_PREFIX)) used.add(image.slice(IMAGE_REF_PREFIX.length));
+  }));
+  return Object.fromEntries(Object.entries(images).filter(([key]) => used.has(key)));
+};
+
+// Helper: Image source for a tool (a data URL, or a URL stored by older versions), or '' when it has none
+const resolveToolImage = (tool, images = {}) => {
+  const image = (tool.metadata && tool.metadata.image) || '';
+  return image.startsWith(IMAGE_REF_PREFIX) ? images[image.slice(IMAGE_REF_PREFIX.length)] || '' : image;
+};
+
+// Helper: Tools with their image references replaced by the images, for export files
+const embedToolImages = (tools, images) => tools.map(tool => {
+  const image = (tool.metadata && tool.metadata.image) || '';
+  return image.startsWith(IMAGE_REF_PREFIX)
+    ? { ...tool, metadata: { ...tool.metadata, image: resolveToolImage(tool, images) } }
+    : tool;
+});
+
+// Helper: Side view of a tool as SVG markup, drawn to scale from its type and geometry (tip down).
+// Used where a tool has no image, and with annotate (dimension labels) as the tool form's live preview.
+const buildToolProfileSvg = (tool, { width = 48, height = 48, annotate = false, units = 'mm' } = {}) => {
+  const dims = tool.dimensions || {};
+  const r = Number(tool.diameter) > 0 ? Number(tool.diameter) / 2 : 3;
+  const positive = (value) => (Number(value) > 0 ? Number(value) : null);
+  const halfAngle = (angle, fallback) => ((positive(angle) && angle < 180 ? angle : fallback) / 2) * Math.PI / 180;
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  const shankR = tool.type === 'surfacing' ? Math.min(r, 6) : tool.type === 'probe' ? r * 0.35 : r;
+  let fluteLength = positive(dims.flute_length) || r * 4;
+  let outline;
+  let helix = [];
+
+  if (tool.type === 'v-bit' || tool.type === 'chamfer') {
+    const tip = Math.min(positive(dims.tip_diameter) || 0, r * 2) / 2;
+    const cone = (r - tip) / Math.tan(halfAngle(dims.taper_angle, 90));
+    fluteLength = tool.type === 'v-bit' ? Math.max(cone, positive(dims.flute_length) || cone) : cone;
+    outline = `M ${-r} 0 L ${r} 0 L ${r} ${fluteLength - cone} L ${tip} ${fluteLength} L ${-tip} ${fluteLength} L ${-r} ${fluteLength - cone} Z`;
+  } else if (tool.type === 'drill') {
+    const point = r / Math.tan(halfAngle(dims.point_angle, 118));
+    fluteLength = Math.max(fluteLength, point);
+    outline = `M ${-r} 0 L ${r} 0 L ${r} ${fluteLength - point} L 0 ${fluteLength} L ${-r} ${fluteLength - point} Z`;
+    helix = [fluteLength - point];
+  } else if (tool.type === 'probe') {
+    // Stylus: a thin stem ending in the probe ball
+    fluteLength = r * 5;
+    const stemEnd = fluteLength - r - Math.sqrt(r * r - shankR * shankR);
+    outline = `M ${-shankR} 0 L ${shankR} 0 L ${shankR} ${round(stemEnd)} A ${r} ${r} 0 1 1 ${-shankR} ${round(stemEnd)} Z`;
+  } else if (tool.type === 'ball') {
+    fluteLength = Math.max(fluteLength, r);
+    outline = `M ${-r} 0 L ${r} 0 L ${r} ${fluteLength - r} A ${r} ${r} 0 0 1 ${-r} ${fluteLength - r} Z`;
+    helix = [fluteLength - r];
+  } else if (tool.type === 'bull') {
+    const corner = Math.min(positive(dims.radius) || r * 0.25, r);
+    outline = `M ${-r} 0 L ${r} 0 L ${r} ${fluteLength - corner} A ${corner} ${corner} 0 0 1 ${r - corner} ${fluteLength} ` +
+      `L ${-(r - corner)} ${fluteLength} A ${corner} ${corner} 0 0 1 ${-r} ${fluteLength - corner} Z`;
+    helix = [fluteLength - corner];
+  } else {
+    fluteLength = tool.type === 'surfacing' ? Math.min(fluteLength, r * 0.6) : fluteLength;
+    outline = `M ${-r} 0 L ${r} 0 L ${r} ${fluteLength} L ${-r} ${fluteLength} Z`;
+    helix = [fluteLength];
+  }
+
+  // Keep the markup short: coordinates to 3 decimals
+  outline = outline.replace(/-?\d*\.\d+/g, value => String(round(Number(value))));
+
+  // Helix lines across the fluted part, stopping above the tip
+  const lines = [];
+  if (helix.length > 0) {
+    const pitch = r * 1.6;
+    for (let y = pitch * 0.25; y + r * 0.8 <= helix[0]; y += pitch) {
+      lines.push(`M ${-r} ${round(y)} L ${r} ${round(y + r * 0.8)}`);
+    }
+  }
+
+  const shankLength = positive(dims.overall_length) && dims.overall_length > fluteLength
+    ? dims.overall_length - fluteLength
+    : Math.max(fluteLength, r * 2) * 1.2;
+  const halfWidth = Math.max(r, shankR);
+  const pad = halfWidth * 0.15;
+  const drawingHeight = shankLength + fluteLength + pad * 2;
+
+  // Labels are sized for about 11px on screen, with room for them on both sides of the tool
+  let fontSize = 0;
+  let side = 0;
+  if (annotate) {
+    fontSize = 11 / Math.min(width / ((halfWidth + pad) * 2), height / drawingHeight);
+    fontSize = 11 / Math.min(width / ((halfWidth + pad + fontSize * 6) * 2), height / drawingHeight);
+    side = fontSize * 6;
+  }
+  const viewBox = [-halfWidth - pad - side, -shankLength - pad, (halfWidth + pad + side) * 2, drawingHeight].map(round).join(' ');
+
+  const labels = [];
+  if (annotate) {
+    const number = (value) => String(round(Number(value)));
+    const length = (value) => (units === 'inch' ? formatLengthWithUnits(value, units) : number(value));
+    const gap = fontSize * 0.4;
+    const label = (x, y, text, anchor) => labels.push(
+      `<text x="${round(x)}" y="${round(y + fontSize * 0.35)}" font-size="${round(fontSize)}" text-anchor="${anchor}" fill="currentColor">${escapeHtml(text)}</text>`
+    );
+    const dimensionLine = (x, y1, y2) => labels.push(
+      `<path d="M ${round(x)} ${round(y1)} L ${round(x)} ${round(y2)} M ${round(x - gap / 2)} ${round(y1)} L ${round(x + gap / 2)} ${round(y1)} ` +
+      `M ${round(x - gap / 2)} ${round(y2)} L ${round(x + gap / 2)} ${round(y2)}" fill="none" stroke="currentColor" vector-effect="non-scaling-stroke"/>`
+    );
+
+    // Right: length of cut, and the tip angle or corner radius
+    const right = halfWidth + gap;
+    dimensionLine(right, 0, fluteLength);
+    label(right + gap, fluteLength / 2, `LOC ${length(fluteLength)}`, 'start');
+    if (['v-bit', 'chamfer'].includes(tool.type)) {
+      label(right + gap, fluteLength, `${number(positive(dims.taper_angle) || 90)}°`, 'start');
+    } else if (tool.type === 'drill') {
+      label(right + gap, fluteLength, `${number(positive(dims.point_angle) || 118)}°`, 'start');
+    } else if (tool.type === 'ball') {
+      label(right + gap, fluteLength, `R${length(r)}`, 'start');
+    } else if (tool.type === 'bull') {
+      label(right + gap, fluteLength, `R${length(Math.min(positive(dims.radius) || r * 0.25, r))}`, 'start');
+    }
+
+    // Left: diameter, and the overall length when it is known
+    const left = -halfWidth - gap;
+    label(left - gap, fluteLength / 2, `Ø${length(r * 2)}`, 'end');
+    if (positive(dims.overall_length)) {
+      dimensionLine(left, -shankLength, fluteLength);
+      label(left - gap, -shankLength / 2, `OAL ${length(dims.overall_length)}`, 'end');
+    }
+  }
+
+  return `<svg class="tool-profile" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${viewBox}" preserveAspectRatio="xMidYMid meet">` +
+    `<rect x="${round(-shankR)}" y="${round(-shankLength)}" width="${round(shankR * 2)}" height="${round(shankLength)}" fill="#b8c0c8" stroke="#3d4650" vector-effect="non-scaling-stroke"/>` +
+    `<path d="${outline}" fill="#7d8894" stroke="#3d4650" vector-effect="non-scaling-stroke"/>` +
+    (lines.length ? `<path d="${lines.join(' ')}" fill="none" stroke="#3d4650" vector-effect="non-scaling-stroke"/>` : '') +
+    labels.join('') +
+    '</svg>';
+};
+
+// Fields a search query can name, e.g. `type:ball dia:3..6 material:aluminum life<20%`.
+// `kind` decides how the value is read and compared.
+const QUERY_FIELDS = [
+  { key: 't', aliases: ['t', 't#', 'tool', 'pocket'], kind: 'number' },
+  { key: 'type', aliases: ['type'], kind: 'type' },
+  { key: 'dia', aliases: ['dia', 'diameter', 'd'], kind: 'length' },
+  { key: 'loc', aliases: ['loc', 'flute'], kind: 'length' },
+  { key: 'oal', aliases: ['oal', 'length'], kind: 'length' },
+  { key: 'flutes', aliases: ['flutes', 'z'], kind: 'number' },
+  { key: 'material', aliases: ['material', 'mat'], kind: 'text' },
+  { key: 'coating', aliases: ['coating'], kind: 'text' },
+  { key: 'life', aliases: ['life'], kind: 'percent' },
+  { key: 'stock', aliases: ['stock', 'qty'], kind: 'stock' },
+  { key: 'in', aliases: ['in', 'location'], kind: 'location' },
+  { key: 'name', aliases: ['name'], kind: 'text' },
+  { key: 'sku', aliases: ['sku'], kind: 'text' },
+  { key: 'supplier', aliases: ['supplier', 'vendor'], kind: 'text' },
+  { key: 'notes', aliases: ['notes', 'note'], kind: 'text' }
+];
+
+// Helper: The tool's value for a query field (a list of texts for text fields)
+const readQueryField = (tool, key) => {
+  switch (key) {
+    case 't': return tool.toolNumber;
+    case 'type': return tool.type;
+    case 'dia': return tool.diameter;
+    case 'loc': return tool.dimensions?.flute_length;
+    case 'oal': return tool.dimensions?.overall_length;
+    case 'flutes': return tool.specs?.flutes;
+    // Tool material (Carbide) or a workpiece material the tool has a feeds and speeds preset for (Aluminum)
+    case 'material': return [tool.specs?.material, ...(tool.presets || []).map(p => p.material)];
+    case 'coating': return [tool.specs?.coating];
+    case 'life': return getLifeRemainingPercent(tool);
+    case 'stock': return tool.stock?.quantity;
+    case 'in': return tool.toolNumber === null || tool.toolNumber === undefined ? 'library' : 'magazine';
+    case 'name': return [tool.name];
+    case 'sku': return [tool.metadata?.sku];
+    case 'supplier': return [tool.stock?.supplier];
+    case 'notes': return [tool.metadata?.notes];
+    default: return null;
+  }
+};
+
+// Helper: Split a search query into tokens, keeping quoted values (name:"1/4 down") together
+const tokenizeQuery = (text) => String(text || '').match(/-?[\w#]+(?:<=|>=|:|<|>|=)"[^"]*"|"[^"]*"|\S+/g) || [];
+
+// Helper: Read a number range for a query: "3..6", "3..", "..6", a single value, or a comparison
+const parseQueryRange = (op, text, readValue, tolerance = 0) => {
+  const range = { min: null, max: null, includeMin: true, includeMax: true };
+  const read = (value) => {
+    const number = readValue(value);
+    if (!Number.isFinite(number)) throw new Error(`"${value}" is not a number`);
+    return number;
+  };
+
+  if (op === ':' || op === '=') {
+    const parts = text.split('..');
+    if (parts.length === 2) {
+      if (parts[0] !== '') range.min = read(parts[0]);
+      if (parts[1] !== '') range.max = read(parts[1]);
+    } else {
+      const value = read(text);
+      range.min = value - tolerance;
+      range.max = value + tolerance;
+    }
+  } else {
+    const value = read(text);
+    if (op.startsWith('<')) range.max = value;
+    else range.min = value;
+    range.includeMin = range.includeMax = op.endsWith('=');
+  }
+  return range;
+};
+
+// Helper: Parse a search query. Words without a field match T#, name or type like the plain search.
+// A leading "-" negates a field condition (-type:ball). Commas list alternatives (type:ball,bull).
+// Lengths are read in `units` unless they name their own (dia:1/4", dia:3..6mm).
+const parseToolQuery = (text, units = 'mm') => {
+  const query = { terms: [], conditions: [], errors: [] };
+
+  tokenizeQuery(text).forEach(token => {
+    const match = token.match(/^(-?)([\w#]+)(<=|>=|:|<|>|=)(.*)$/);
+    if (!match) {
+      query.terms.push(token.replace(/^"(.*)"$/, '$1').toLowerCase());
+      return;
+    }
+
+    const [, negate, name] = match;
+    let [, , , op, value] = match;
+    value = value.replace(/^"(.*)"$/, '$1').trim();
+    // dia:<6 reads the same as dia<6
+    const comparison = op === ':' && value.match(/^(<=|>=|<|>)(.*)$/);
+    if (comparison) {
+      op = comparison[1];
+      value = comparison[2].trim();
+    }
+    const field = QUERY_FIELDS.find(f => f.aliases.includes(name.toLowerCase()));
+    if (!field) {
+      query.errors.push(`Unknown field "${name}"`);
+      return;
+    }
+    if (value === '') return;
+
+    const condition = { field: field.key, negate: negate === '-' };
+    try {
+      if (field.kind === 'text' || field.kind === 'type' || field.kind === 'location') {
+        if (op !== ':' && op !== '=') throw new Error(`use ${field.key}:value`);
+        condition.values = value.toLowerCase().split(',').map(v => v.trim()).filter(Boolean);
+        if (field.kind === 'type') {
+          const plain = (v) => v.replace(/[^a-z0-9]/g, '');
+          condition.types = Object.keys(TOOL_TYPE_LABELS).filter(type => condition.values.some(v =>
+            plain(type) === plain(v) || plain(TOOL_TYPE_LABELS[type].toLowerCase()).includes(plain(v))));
+          if (condition.types.length === 0) throw new Error(`no tool type matches "${value}"`);
+        }
+        if (field.kind === 'location') {
+          condition.values = condition.values.map(v => (v.startsWith('mag') ? 'magazine' : (v.startsWith('lib') ? 'library' : v)));
+          const unknown = condition.values.find(v => v !== 'magazine' && v !== 'library');
+          if (unknown) throw new Error(`"${unknown}" is not magazine or library`);
+        }
+      } else if (field.kind === 'stock' && value.toLowerCase() === 'low') {
+        condition.low = true;
+      } else if (field.kind === 'length') {
+        // A unit at the end of a range applies to both ends (dia:3..6mm)
+        const rangeUnit = (value.match(/(mm|in|inch|")$/i) || [''])[0].toLowerCase();
+        const valueUnits = rangeUnit === '' ? units : (rangeUnit === 'mm' ? 'mm' : 'inch');
+        condition.range = parseQueryRange(op, value, v => {
+          const length = parseLength(v, valueUnits);
+          return length === null ? NaN : length.mm;
+        }, DIAMETER_TOLERANCE_MM);
+      } else {
+        condition.range = parseQueryRange(op, value.replace(/%$/, ''), v => (v.trim() === '' ? NaN : Number(v)));
+      }
+      query.conditions.push(condition);
+    } catch (error) {
+      query.errors.push(`${field.key}: ${error.message}`);
+    }
+  });
+
+  return query;
+};
+
+// Helper: True when a tool matches every word and condition of a parsed query
+const matchesToolQuery = (tool, query) => {
+  const toolNumber = tool.toolNumber !== null && tool.toolNumber !== undefined ? String(tool.toolNumber) : '';
+  const termsMatch = query.terms.every(term =>
+    toolNumber.includes(term) ||
+    String(tool.name || '').toLowerCase().includes(term) ||
+    String(tool.type || '').toLowerCase().includes(term));
+  if (!termsMatch) return false;
+
+  return query.conditions.every(condition => {
+    const field = QUERY_FIELDS.find(f => f.key === condition.field);
+    const value = readQueryField(tool, field.key);
+    let matches;
+
+    if (condition.types) {
+      matches = condition.types.includes(value);
+    } else if (condition.low) {
+      matches = isLowStock(tool);
+    } else if (condition.range) {
+      const { min, max, includeMin, includeMax } = condition.range;
+      matches = value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value)) &&
+        (min === null || (includeMin ? Number(value) >= min : Number(value) > min)) &&
+        (max === null || (includeMax ? Number(value) <= max : Number(value) < max));
+    } else if (field.kind === 'location') {
+      matches = condition.values.includes(value);
+    } else {
+      const texts = value.filter(Boolean).map(v => String(v).toLowerCase());
+      matches = condition.values.some(v => texts.some(text => text.includes(v)));
+    }
+
+    return condition.negate ? !matches : matches;
+  });
+};
+
+// Helper: Add or remove one value of a field in a query's text, e.g. the "ball" in type:ball,bull.
+// Used by the filter chips, so a chip and the typed query are always the same filter.
+const toggleQueryValue = (text, fieldKey, value) => {
+  const tokens = tokenizeQuery(text);
+  const index = tokens.findIndex(token => token.toLowerCase().startsWith(fieldKey + ':'));
+  const values = index >= 0 ? tokens[index].slice(fieldKey.length + 1).split(',').filter(Boolean) : [];
+  const next = values.includes(value) ? values.filter(v => v !== value) : values.concat(value);
+  const token = next.length > 0 ? `${fieldKey}:${next.join(',')}` : null;
+
+  if (index >= 0) {
+    tokens.splice(index, 1, ...(token ? [token] : []));
+  } else if (token) {
+    tokens.push(token);
+  }
+  return tokens.join(' ');
+};
+
+// Helper: Values a query gives a field (type:ball,bull gives ["ball", "bull"]), for highlighting chips
+const getQueryValues = (text, fieldKey) => {
+  const token = tokenizeQuery(text).find(t => t.toLowerCase().startsWith(fieldKey + ':'));
+  return token ? token.slice(fieldKey.length + 1).split(',').filter(Boolean) : [];
+};
+
+// Helper: Plugin settings with defaults filled in and the tools migrated to the current structure
+const normalizeSettings = (settings) => {
+  const normalized = {
+    lifeWarningPercent: DEFAULT_LIFE_WARNING_PERCENT,
+    visibleColumns: [],
+    snapshots: [],
+    snapshotTools: {},
+    activeToolNumber: null,
+    tloMacro: DEFAULT_TLO_MACRO,
+    tloReferenceZ: null,
+    tloSetterX: null,
+    tloSetterY: null,
+    tloDriftWarnMm: DEFAULT_TLO_DRIFT_WARN_MM,
+    controllerDialect: 'grblhal',
+    activeMachineId: DEFAULT_MACHINE_ID,
+    images: {},
+    viewMode: 'table',
+    displayUnits: 'mm',
+    savedFilters: [],
+    setups: [],
+    ...(settings || {}),
+    tools: migrateTools((settings && settings.tools) || [])
+  };
+  normalized.nextToolId = generateToolId(normalized.tools, normalized.nextToolId || 1);
+  Object.assign(normalized, migrateSnapshots(normalized.snapshots, normalized.snapshotTools));
+
+  if (!Array.isArray(normalized.machines) || normalized.machines.length === 0) {
+    normalized.machines = [createMachine(DEFAULT_MACHINE_ID, 'Machine 1')];
+  }
+  if (!normalized.machines.some(m => m.id === normalized.activeMachineId)) {
+    normalized.activeMachineId = normalized.machines[0].id;
+  }
+  return normalized;
+};
+
+// Helper: The machine profile whose T#s are in tools[].toolNumber
+const getActiveMachine = (settings) =>
+  settings.machines.find(m => m.id === settings.activeMachineId) || settings.machines[0];
+
+// Helper: Pocket count of the active machine's magazine
+const getMachineToolCount = (settings, appToolCount) => getActiveMachine(settings).toolCount || appToolCount;
+
+// Helper: Tools holding a T# on a machine other than the active one, as tool id -> { machine, toolNumber }
+const getOtherMachineAssignments = (settings) => {
+  const activeId = getActiveMachine(settings).id;
+  const assigned = new Map();
+  settings.machines
+    .filter(machine => machine.id !== activeId)
+    .forEach(machine => Object.entries(machine.assignments || {}).forEach(([toolId, toolNumber]) => {
+      if (toolNumber !== null) assigned.set(Number(toolId), { machine, toolNumber });
+    }));
+  return assigned;
+};
+
+// Helper: Drop deleted tools from the machines' stored T# assignments
+const pruneMachineAssignments = (machines, tools) => {
+  const ids = new Set(tools.map(t => t.id));
+  return machines.map(machine => ({
+    ...machine,
+    assignments: Object.fromEntries(Object.entries(machine.assignments || {}).filter(([toolId]) => ids.has(Number(toolId))))
+  }));
+};
+
+// Helper: Take tools that sit in another machine's magazine out of the active one (one cutter, one pocket)
+const releaseOtherMachineTools = (settings, tools) => {
+  const otherMachines = getOtherMachineAssignments(settings);
+  return tools.map(tool => (tool.toolNumber !== null && otherMachines.has(tool.id) ? { ...tool, toolNumber: null } : tool));
+};
+
+// Helper: Error for giving a T# to a tool that sits in another machine's magazine
+const validateMachineAssignment = (settings, tool) => {
+  if (tool.toolNumber === null || tool.toolNumber === undefined) return [];
+  const other = getOtherMachineAssignments(settings).get(tool.id);
+  return other ? [`Tool is in use on ${other.machine.name} as T${other.toolNumber}`] : [];
+};
+
+// Helper: Make another machine active. The T#s and spindle tool of the machine being left are stored
+// on its profile, and the target machine's are loaded into the tools.
+const switchMachine = (settings, machineId) => {
+  const current = getActiveMachine(settings);
+  const target = settings.machines.find(m => m.id === machineId);
+  if (!target || target.id === current.id) return settings;
+
+  const assignments = {};
+  settings.tools.forEach(tool => {
+    if (tool.toolNumber !== null) assignments[tool.id] = tool.toolNumber;
+  });
+
+  return {
+    ...settings,
+    machines: settings.machines.map(m =>
+      m.id === current.id ? { ...m, assignments, activeToolNumber: settings.activeToolNumber } : m
+    ),
+    activeMachineId: target.id,
+    activeToolNumber: target.activeToolNumber ?? null,
+    tools: settings.tools.map(tool => ({ ...tool, toolNumber: (target.assignments || {})[tool.id] ?? null }))
+  };
+};
+
+// Helper: Validate a tool about to be saved with upsertTool() (the tool holding its T# is swapped, not a duplicate)
+const validateToolChange = (tool, tools, originalTool = null) =>
+  validateTool(tool, tools.filter(t => t.toolNumber !== tool.toolNumber), originalTool);
+
+// Helper: Add or replace a tool by id; another tool holding its T# takes the saved tool's old T# (or none)
+const upsertTool = (tools, tool) => {
+  const existing = tools.find(t => t.id === tool.id);
+  const swappedWith = tool.toolNumber === null
+    ? null
+    : tools.find(t => t.toolNumber === tool.toolNumber && t.id !== tool.id) || null;
+  const oldToolNumber = existing ? existing.toolNumber : null;
+
+  const updated = tools.map(t => {
+    if (t.id === tool.id) return tool;
+    if (swappedWith && t.id === swappedWith.id) return { ...t, toolNumber: oldToolNumber };
+    return t;
+  });
+
+  return { tools: existing ? updated : [...updated, tool], swappedWith };
+};
+
+// Helper: Give the tools in `ids` consecutive T#s from `start`, in that order. Other tools holding
+// one of those T#s go to the library. Returns { tools, displaced, errors }; on errors the tools are unchanged.
+const assignToolNumberRange = (tools, ids, start, { maxToolCount = Infinity, otherMachines = new Map() } = {}) => {
+  const errors = [];
+  const end = start + ids.length - 1;
+
+  if (!Number.isInteger(start) || start < 1) {
+    errors.push('First T# must be a positive integer');
+  } else if (end > maxToolCount) {
+    errors.push(`T${start}–T${end} runs past the magazine's ${maxToolCount} pockets`);
+  }
+  ids.forEach(id => {
+    const other = otherMachines.get(id);
+    if (other) {
+      const tool = tools.find(t => t.id === id);
+      errors.push(`"${tool ? tool.name : id}" is in use on ${other.machine.name} as T${other.toolNumber}`);
+    }
+  });
+  if (errors.length > 0) return { tools, displaced: [], errors };
+
+  const numbers = new Map(ids.map((id, index) => [id, start + index]));
+  const displaced = tools.filter(t => !numbers.has(t.id) && t.toolNumber !== null && t.toolNumber >= start && t.toolNumber <= end);
+
+  return {
+    tools: tools.map(t => {
+      if (numbers.has(t.id)) return { ...t, toolNumber: numbers.get(t.id) };
+      if (displaced.includes(t)) return { ...t, toolNumber: null };
+      return t;
+    }),
+    displaced,
+    errors
+  };
+};
+
+// Helper: Set material, coating and/or notes on the tools in `ids`. Fields missing from `changes` are kept;
+// an empty value clears the field. With `appendNotes`, the notes are added on a new line instead.
+const applyBulkFields = (tools, ids, changes) => tools.map(tool => {
+  if (!ids.includes(tool.id)) return tool;
+
+  const updated = { ...tool, specs: { ...tool.specs }, metadata: { ...tool.metadata } };
+  if (changes.material !== undefined) updated.specs.material = changes.material.trim() || null;
+  if (changes.coating !== undefined) updated.specs.coating = changes.coating.trim() || null;
+  if (changes.notes !== undefined) {
+    const notes = changes.notes.trim();
+    updated.metadata.notes = changes.appendNotes && updated.metadata.notes
+      ? (notes ? updated.metadata.notes + '\n' + notes : updated.metadata.notes)
+      : notes;
+  }
+  return updated;
+});
+
+// Helper: A job setup: the magazine's T#-to-tool mapping saved under a name, to load again for the next run of the job
+const createSetup = (name, pockets, machineId) => ({
+  name,
+  machineId,
+  createdAt: new Date().toISOString(),
+  pockets: pockets
+    .map(p => ({ toolNumber: p.toolNumber, toolId: p.toolId, name: p.name }))
+    .sort((a, b) => a.toolNumber - b.toolNumber)
+});
+
+// Helper: The pockets of the current magazine, in the form createSetup() takes
+const getMagazinePockets = (tools) => tools
+  .filter(t => t.toolNumber !== null && t.toolNumber !== undefined)
+  .map(t => ({ toolNumber: t.toolNumber, toolId: t.id, name: t.name }));
+
+// Helper: Suggest setup pockets for a program's T words. Each T# keeps the tool holding it when that tool fits
+// the program's tool comment (or there is none); otherwise a free tool that fits is suggested. toolId is null when none fits.
+const suggestSetupFromProgram = (gcode, tools, { otherMachines = new Map() } = {}) => {
+  const headers = parseToolComments(gcode);
+  const numbers = new Set();
+  String(gcode || '').split(/\r?\n/).forEach(line => {
+    const { toolNumber } = parseGcodeLine(line);
+    if (toolNumber !== null && toolNumber !== 0) numbers.add(toolNumber);
+  });
+
+  const fits = (tool, header) => !header || (
+    Math.abs(tool.diameter - header.diameter) <= DIAMETER_TOLERANCE_MM &&
+    (!header.type || tool.type === header.type)
+  );
+  const available = tools.filter(t => !otherMachines.has(t.id));
+  const used = new Set();
+  const chosen = new Map();
+
+  // Tools already in the right pocket first, so a suggestion never takes one of them away
+  [...numbers].forEach(toolNumber => {
+    const current = available.find(t => t.toolNumber === toolNumber);
+    if (current && fits(current, headers[toolNumber])) {
+      chosen.set(toolNumber, current);
+      used.add(current.id);
+    }
+  });
+  [...numbers].forEach(toolNumber => {
+    const header = headers[toolNumber];
+    if (chosen.has(toolNumber) || !header) return;
+    // Prefer library tools, then tools in pockets the program doesn't use
+    const candidates = available.filter(t => !used.has(t.id) && fits(t, header));
+    const candidate = candidates.find(t => t.toolNumber === null) || candidates.find(t => !numbers.has(t.toolNumber));
+    if (candidate) {
+      chosen.set(toolNumber, candidate);
+      used.add(candidate.id);
+    }
+  });
+
+  return [...numbers].sort((a, b) => a - b).map(toolNumber => {
+    const tool = chosen.get(toolNumber) || null;
+    return { toolNumber, toolId: tool ? tool.id : null, name: tool ? tool.name : '', header: headers[toolNumber] || null };
+  });
+};
+
+// Helper: Work out loading a setup. Every setup pocket gets its tool, and a tool it displaces goes to the library;
+// with `unloadOthers` the pockets the setup doesn't use are emptied too. Returns { tools, changes, missing, errors }:
+// `changes` lists each pocket whose tool changes as { toolNumber, from, to }, and `missing` the setup's deleted tools,
+// whose pockets are left as they are. On errors the tools are unchanged.
+const planSetup = (tools, setup, { maxToolCount = Infinity, otherMachines = new Map(), unloadOthers = false } = {}) => {
+  const errors = [];
+  const missing = setup.pockets.filter(p => !tools.some(t => t.id === p.toolId));
+  const pockets = setup.pockets.filter(p => !missing.includes(p));
+
+  pockets.forEach(p => {
+    if (p.toolNumber > maxToolCount) {
+      errors.push(`T${p.toolNumber} is above the magazine's ${maxToolCount} pockets`);
+    }
+    const other = otherMachines.get(p.toolId);
+    if (other) {
+      errors.push(`"${p.name}" is in use on ${other.machine.name} as T${other.toolNumber}`);
+    }
+  });
+  if (errors.length > 0) return { tools, changes: [], missing, errors };
+
+  const numbers = new Map(pockets.map(p => [p.toolId, p.toolNumber]));
+  const setupNumbers = new Set(numbers.values());
+  const next = tools.map(t => {
+    if (numbers.has(t.id)) return t.toolNumber === numbers.get(t.id) ? t : { ...t, toolNumber: numbers.get(t.id) };
+    if (t.toolNumber !== null && (unloadOthers || setupNumbers.has(t.toolNumber))) return { ...t, toolNumber: null };
+    return t;
+  });
+
+  const toolAt = (list, toolNumber) => list.find(t => t.toolNumber === toolNumber) || null;
+  const pocketNumbers = [...new Set([...tools, ...next].map(t => t.toolNumber).filter(n => n !== null))].sort((a, b) => a - b);
+  const changes = pocketNumbers
+    .map(toolNumber => ({ toolNumber, from: toolAt(tools, toolNumber), to: toolAt(next, toolNumber) }))
+    .filter(change => (change.from && change.from.id) !== (change.to && change.to.id));
+
+  return { tools: next, changes, missing, errors };
+};
+
+// Inventory data service: the one place the tool table is read, validated, changed and written.
+// `store` says where the settings live ({ read, write }): ctx settings on the server, the
+// settings API in the dialog. Every read is migrated, and a change with a reason is snapshotted.
+const createInventoryService = (store) => {
+  // Migrating walks every tool, so the normalized settings are kept until the stored ones change.
+  // A store that hands back the same object is checked by identity, down to its top-level values since
+  // a settings API may assign new ones in place; a store that hands out copies is checked by content.
+  // Callers share the cached objects and must not change them.
+  const cache = { raw: null, values: [], json: null, settings: null };
+  const load = () => {
+    const raw = store.read() || {};
+    const values = Object.keys(raw).map(key => raw[key]);
+    if (raw === cache.raw && values.length === cache.values.length && values.every((value, i) => value === cache.values[i])) {
+      return cache.settings;
+    }
+
+    const json = JSON.stringify(raw);
+    if (json !== cache.json) {
+      cache.settings = normalizeSettings(raw);
+      cache.json = json;
+    }
+    cache.raw = raw;
+    cache.values = values;
+    return cache.settings;
+  };
+
+  // A store may update its settings object in place, so every write starts a fresh read.
+  // Each write also refreshes the lookup published for browser code.
+  const write = (settings) => {
+    cache.raw = null;
+    store.write({ ...settings, lookup: buildBrowserLookup(settings) });
+  };
+
+  // Every tool table write goes through here, so a tool loaded on another machine never gets a T# on this one
+  const commit = (tools, reason = null) => {
+    const settings = load();
+    const stored = storeToolImages(releaseOtherMachineTools(settings, tools), settings.images);
+    const changed = JSON.stringify(stored.tools) !== JSON.stringify(settings.tools);
+    const history = reason && changed
+      ? takeSnapshot(settings, settings.tools, reason, settings.activeMachineId)
+      : { snapshots: settings.snapshots, snapshotTools: settings.snapshotTools };
+    write({
+      ...settings,
+      ...history,
+      tools: stored.tools,
+      images: pruneImages(stored.images, [stored.tools, Object.values(history.snapshotTools)]),
+      machines: pruneMachineAssignments(settings.machines, stored.tools),
+      nextToolId: generateToolId(stored.tools, settings.nextToolId)
+    });
+    return load().tools;
+  };
+
+  return {
+    load,
+    getSettings: () => {
+      const { tools, ...settings } = load();
+      return settings;
+    },
+    updateSettings: (changes) => {
+      write({ ...load(), ...changes });
+      return load();
+    },
+    getTools: () => load().tools,
+    getTool: (id) => load().tools.find(t => t.id === id) || null,
+    getToolByNumber: (toolNumber) => load().tools.find(t => t.toolNumber === toolNumber) || null,
+    nextId: () => load().nextToolId,
+    validate: (tool) => {
+      const settings = load();
+      return [
+        ...validateToolChange(tool, settings.tools, settings.tools.find(t => t.id === tool.id) || null),
+        ...validateMachineAssignment(settings, tool)
+      ];
+    },
+    // Add or edit a tool, swapping T#s with the tool that held its number
+    saveTool: (tool, reason = null) => {
+      const settings = load();
+      const tools = settings.tools;
+      const errors = [
+        ...validateToolChange(tool, tools, tools.find(t => t.id === tool.id) || null),
+        ...validateMachineAssignment(settings, tool)
+      ];
+      if (errors.length > 0) {
+        return { errors, tools, swappedWith: null };
+      }
+
+      const result = upsertTool(tools, migrateTools([tool])[0]);
+      return { errors: [], tools: commit(result.tools, reason), swappedWith: result.swappedWith };
+    },
+    deleteTool: (id, reason = null) => commit(load().tools.filter(t => t.id !== id), reason),
+    replaceTools: (tools, reason = null) => commit(migrateTools(tools), reason),
+    updateTools: (updater, reason = null) => commit(updater(load().tools), reason),
+    getActiveMachine: () => getActiveMachine(load()),
+    // Load another machine's magazine into the tools' T#s
+    switchMachine: (machineId) => {
+      write(switchMachine(load(), machineId));
+      return load();
+    },
+    // Write back stored data that predates the current structure
+    migrate: () => {
+      const stored = store.read() || {};
+      const settings = load();
+      if (JSON.stringify(stored.tools || []) !== JSON.stringify(settings.tools) ||
+          JSON.stringify(stored.snapshots || []) !== JSON.stringify(settings.snapshots) ||
+          stored.lookup === undefined) {
+        write(settings);
+      }
+      return settings.tools;
+    }
+  };
+};
+
+// Other plugins find the lookup API at globalThis[Symbol.for('com.ncsender.toolinventory.api')]
+const TOOL_API_KEY = Symbol.for('com.ncsender.toolinventory.api');
+const TOOL_API_VERSION = 1;
+
+// Helper: Tool data published in the plugin settings as `lookup`, for browser code such as the G-code visualizer,
+// which can't reach the server-side lookup API: the tools with a T# on the active machine, and the spindle tool
+const buildBrowserLookup = (settings) => ({
+  version: TOOL_API_VERSION,
+  machineId: settings.activeMachineId,
+  activeToolNumber: settings.activeToolNumber,
+  tools: settings.tools
+    .filter(t => t.toolNumber !== null)
+    .sort((a, b) => a.toolNumber - b.toolNumber)
+    .map(tool => ({
+      id: tool.id,
+      toolNumber: tool.toolNumber,
+      name: tool.name,
+      type: tool.type,
+      diameter: tool.diameter,
+      effectiveDiameter: getEffectiveDiameter(tool),
+      tlo: tool.offsets ? tool.offsets.tlo : null
+    }))
+});
+
+// How often subscribers' view of the tools is checked against the settings (the dialog saves through the settings API)
+const TOOL_API_POLL_MS = 2000;
+
+// Helper: Read-only tool lookup for other plugins. Results are deep copies, so callers can't change the inventory.
+const createToolLookupApi = ({ inventory, getMaxToolCount, getActiveToolNumber, log }) => {
+  const listeners = new Set();
+  let lastToolsJson = JSON.stringify(inventory.getTools());
+  let lastActiveToolNumber = getActiveToolNumber();
+  let pollTimer = null;
+
+  // The service shares its tool objects, nested blocks included, so nothing leaves without a copy.
+  // Each copy also carries the diameter of the cutter actually mounted (reground instances are smaller).
+  const copyTool = (tool) => (tool === null ? null : { ...structuredClone(tool), effectiveDiameter: getEffectiveDiameter(tool) });
+  const copy = (value) => (Array.isArray(value) ? value.map(copyTool) : copyTool(value));
+
+  // Tools loaded in a pocket: a T# within the magazine's pocket count, in T# order
+  const listMagazine = () => copy(inventory.getTools()
+    .filter(t => t.toolNumber !== null && t.toolNumber <= getMaxToolCount())
+    .sort((a, b) => a.toolNumber - b.toolNumber));
+
+  const getActiveTool = () => {
+    const toolNumber = getActiveToolNumber();
+    return toolNumber === null ? null : copy(inventory.getToolByNumber(toolNumber));
+  };
+
+  const notify = (reason) => {
+    const tools = inventory.getTools();
+    lastToolsJson = JSON.stringify(tools);
+    lastActiveToolNumber = getActiveToolNumber();
+    listeners.forEach(listener => {
+      try {
+        // Each subscriber gets its own copy, so one can't change what the next one sees
+        listener({ reason, tools: copy(tools), magazine: listMagazine(), activeTool: getActiveTool() });
+      } catch (error) {
+        log(`Tool Inventory subscriber failed: ${error.message}`);
+      }
+    });
+  };
+
+  const checkForChanges = () => {
+    if (getActiveToolNumber() !== lastActiveToolNumber) {
+      notify('active-tool-changed');
+    } else if (JSON.stringify(inventory.getTools()) !== lastToolsJson) {
+      notify('tools-changed');
+    }
+  };
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  const api = Object.freeze({
+    version: TOOL_API_VERSION,
+    getToolByNumber: (toolNumber) => copy(inventory.getToolByNumber(toolNumber)),
+    getTool: (id) => copy(inventory.getTool(id)),
+    listTools: () => copy(inventory.getTools()),
+    listMagazine,
+    getActiveTool,
+    // Tools matching a search query such as "type:ball dia:3..6"; lengths without a unit are in mm
+    findTools: (text) => {
+      const query = parseToolQuery(text);
+      return copy(inventory.getTools().filter(tool => matchesToolQuery(tool, query)));
+    },
+    // listener({ reason, tools, magazine, activeTool }); returns a function that unsubscribes
+    subscribe: (listener) => {
+      listeners.add(listener);
+      if (pollTimer === null) {
+        pollTimer = setInterval(checkForChanges, TOOL_API_POLL_MS);
+      }
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          stopPolling();
+        }
+      };
+    }
+  });
+
+  return {
+    api,
+    notify,
+    checkForChanges,
+    close: () => {
+      listeners.clear();
+      stopPolling();
+    }
+  };
+};
+
+// The inventory rules for other plugins and for tests under Node
+export { createInventoryService, normalizeSettings, migrateTools, validateTool, validateToolChange, upsertTool, assignToolNumberRange, applyBulkFields, createSetup, suggestSetupFromProgram, planSetup, takeSnapshot, readSnapshot, switchMachine, retireTool, mergeServerRecorded };
+export { analyzeProgram, parseControllerToolTable, diffControllerToolTable, buildToolTableProgram, exportLinuxCncToolTable, getTloSetupErrors, buildTloMacro, computeTlo };
+export { parseLength, formatLength, parseFusionLibrary, parseCsv, guessCsvMapping, mapCsvRows, planImport, applyImportPlan, readExportEnvelope, mergeImportedTools, readSqliteTables, parseVectricDatabase };
+
+// Helper: Serialize data as a JavaScript literal for an inline <script> ("<" is escaped so it can't close the tag)
+const toScriptData = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// Inventory export files: an envelope around the tools so future versions can migrate them
+const EXPORT_FORMAT = 'ncsender-tool-inventory';
+const EXPORT_SCHEMA_VERSION = 2;
+
+// Helper: Wrap tools in a versioned export envelope
+const createExportEnvelope = (tools) => ({
+  format: EXPORT_FORMAT,
+  schemaVersion: EXPORT_SCHEMA_VERSION,
+  pluginId: 'com.ncsender.toolinventory',
+  exportedAt: new Date().toISOString(),
+  toolCount: tools.length,
+  tools
+});
+
+// Helper: Read an export file (envelope, or the bare array written before schema versions existed)
+// and migrate its tools to the current structure
+const readExportEnvelope = (data) => {
+  let schemaVersion;
+  let rawTools;
+  let exportedAt = null;
+
+  if (Array.isArray(data)) {
+    schemaVersion = 1;
+    rawTools = data;
+  } else if (data && data.format === EXPORT_FORMAT) {
+    schemaVersion = parseInt(data.schemaVersion);
+    rawTools = data.tools;
+    exportedAt = data.exportedAt || null;
+
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+      throw new Error('Export file has no valid schema version');
+    }
+    if (schemaVersion > EXPORT_SCHEMA_VERSION) {
+      throw new Error(`Export file uses schema version ${schemaVersion}; this plugin supports up to ${EXPORT_SCHEMA_VERSION}. Update the plugin to import it.`);
+    }
+    if (!Array.isArray(rawTools)) {
+      throw new Error('Export file has no tools array');
+    }
+  } else {
+    throw new Error('Not a Tool Inventory export file');
+  }
+
+  const invalid = rawTools.findIndex(tool => !tool || typeof tool !== 'object' || Array.isArray(tool));
+  if (invalid >= 0) {
+    throw new Error(`Tool #${invalid + 1} is not an object`);
+  }
+
+  return { schemaVersion, exportedAt, tools: migrateTools(rawTools) };
+};
+
+// Helper: Structural and value checks for a tool read from a file
+const validateToolSchema = (tool) => {
+  const errors = [];
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+  if (!Number.isInteger(tool.id) || tool.id < 1) {
+    errors.push('Internal id must be a positive integer');
+  }
+  if (typeof tool.name !== 'string') {
+    errors.push('Name must be text');
+  }
+  if (typeof tool.diameter !== 'number') {
+    errors.push('Diameter must be a number');
+  }
+  if (tool.toolNumber !== null && !Number.isInteger(tool.toolNumber)) {
+    errors.push('Tool number must be a whole number or empty');
+  }
+  ['offsets', 'metadata', 'dimensions', 'specs', 'life'].forEach(key => {
+    if (!isObject(tool[key])) {
+      errors.push(`${key} must be an object`);
+    }
+  });
+  if (isObject(tool.offsets) && typeof tool.offsets.tlo !== 'number') {
+    errors.push('TLO must be a number');
+  }
+  if (!Array.isArray(tool.presets) || tool.presets.some(preset => !isObject(preset))) {
+    errors.push('presets must be a list of objects');
+  }
+
+  return errors.concat(validateTool({ ...tool, name: String(tool.name || '') }, []));
+};
+
+// Helper: Find the existing tool each imported tool collides with, matched by 'toolNumber', 'sku' or 'id'
+const findImportConflicts = (imported, tools, matchBy) => imported.map(tool => {
+  if (matchBy === 'sku') {
+    const sku = String(tool.metadata?.sku || '').trim().toLowerCase();
+    return sku ? tools.find(t => String(t.metadata?.sku || '').trim().toLowerCase() === sku) || null : null;
+  }
+  if (matchBy === 'id') {
+    return tools.find(t => t.id === tool.id) || null;
+  }
+  return tool.toolNumber !== null ? tools.find(t => t.toolNumber === tool.toolNumber) || null : null;
+});
+
+// Helper: Field-level merge of an imported tool into an existing one.
+// Imported values win where they are set; life counters and identity stay with the existing tool.
+const mergeToolFields = (existing, imported) => {
+  const keepSet = (values) => Object.fromEntries(
+    Object.entries(values || {}).filter(([, value]) => value !== null && value !== undefined && value !== '')
+  );
+
+  return {
+    ...existing,
+    name: imported.name || existing.name,
+    type: imported.type || existing.type,
+    diameter: imported.diameter > 0 ? imported.diameter : existing.diameter,
+    toolNumber: imported.toolNumber ?? existing.toolNumber,
+    offsets: { ...existing.offsets, ...keepSet(imported.offsets) },
+    metadata: { ...existing.metadata, ...keepSet(imported.metadata) },
+    dimensions: { ...existing.dimensions, ...keepSet(imported.dimensions) },
+    specs: { ...existing.specs, ...keepSet(imported.specs) },
+    presets: mergePresets(existing.presets, imported.presets),
+    life: normalizeLife({
+      ...existing.life,
+      enabled: imported.life?.enabled ?? existing.life?.enabled,
+      total_minutes: imported.life?.total_minutes ?? existing.life?.total_minutes
+    })
+  };
+};
+
+// Helper: Merge imported tools into the tool list.
+// resolutions[i] is 'keep', 'replace', 'merge' or 'new' for each imported tool that has a conflict.
+// Returns the new list plus notes about tool numbers that had to be cleared: a T# another tool holds,
+// or any T# for a tool in another machine's magazine (`otherMachines`, from getOtherMachineAssignments).
+const mergeImportedTools = (imported, tools, matchBy, resolutions, nextToolId = 1, otherMachines = new Map()) => {
+  const conflicts = findImportConflicts(imported, tools, matchBy);
+  const result = tools.map(t => ({ ...t }));
+  const importedIds = new Set();
+  const notes = [];
+  let nextId = generateToolId(result, nextToolId);
+
+  imported.forEach((tool, index) => {
+    const existing = conflicts[index];
+    const resolution = existing ? resolutions[index] || 'keep' : 'new';
+
+    if (resolution === 'keep') return;
+
+    if (resolution === 'replace' || resolution === 'merge') {
+      const position = result.findIndex(t => t.id === existing.id);
+      result[position] = resolution === 'replace'
+        ? { ...tool, id: existing.id }
+        : mergeToolFields(result[position], tool);
+      importedIds.add(existing.id);
+      return;
+    }
+
+    // An id below nextToolId belonged to a deleted tool, so it isn't reused either
+    const id = result.some(t => t.id === tool.id) || tool.id < nextToolId ? nextId++ : tool.id;
+    nextId = Math.max(nextId, id + 1);
+    result.push({ ...tool, id });
+    importedIds.add(id);
+  });
+
+  // Tools already in the inventory keep their T#; imported tools that collide go to the library
+  const taken = new Map();
+  result.filter(t => !importedIds.has(t.id) && t.toolNumber !== null).forEach(t => taken.set(t.toolNumber, t));
+  result.filter(t => importedIds.has(t.id) && t.toolNumber !== null).forEach(t => {
+    const other = otherMachines.get(t.id);
+    if (other) {
+      notes.push(`"${t.name}" moved to the library: it is in use on ${other.machine.name} as T${other.toolNumber}`);
+      t.toolNumber = null;
+    } else if (taken.has(t.toolNumber)) {
+      notes.push(`"${t.name}" moved to the library: T${t.toolNumber} is held by "${taken.get(t.toolNumber).name}"`);
+      t.toolNumber = null;
+    } else {
+      taken.set(t.toolNumber, t);
+    }
+  });
+
+  return { tools: result, notes };
+};
+
+// Inventory types mapped onto Fusion 360 tool library types for export
+const FUSION_EXPORT_TYPES = {
+  'flat': 'flat end mill',
+  'ball': 'ball end mill',
+  'bull': 'bull nose end mill',
+  'v-bit': 'chamfer mill',
+  'chamfer': 'chamfer mill',
+  'surfacing': 'face mill',
+  'thread-mill': 'thread mill',
+  'drill': 'drill',
+  'probe': 'probe'
+};
+
+// Helper: Build a Fusion 360 tool library (JSON) from inventory tools. Inch tools are written
+// as Fusion inch tools so 1/4" comes back out as 0.25, not 0.24999.
+const exportFusionLibrary = (tools) => ({
+  version: 2,
+  data: tools.map(tool => {
+    const units = tool.units === 'inch' ? 'inch' : 'mm';
+    const dims = tool.dimensions || {};
+    const geometry = { DC: fromMm(tool.diameter, units) };
+    const setIf = (key, value) => {
+      if (value !== null && value !== undefined && value !== '') geometry[key] = Number(value);
+    };
+
+    setIf('LCF', fromMm(dims.flute_length, units));
+    setIf('OAL', fromMm(dims.overall_length, units));
+    setIf('LB', fromMm(dims.stickout, units));
+    setIf('RE', fromMm(dims.radius, units));
+    setIf('SIG', dims.point_angle);
+    setIf('thread-pitch', fromMm(dims.pitch, units));
+    setIf('tip-diameter', fromMm(dims.tip_diameter, units));
+    setIf('NOF', tool.specs?.flutes);
+    // Fusion measures taper from the tool axis; the inventory stores the included angle
+    if (dims.taper_angle) geometry.TA = Number(dims.taper_angle) / 2;
+
+    const material = { Carbide: 'carbide', HSS: 'hss', Ceramic: 'ceramics', 'Diamond (PCD)': 'diamond' }[tool.specs?.material];
+
+    return {
+      type: FUSION_EXPORT_TYPES[tool.type] || 'flat end mill',
+      description: tool.name,
+      unit: units === 'inch' ? 'inches' : 'millimeters',
+      'product-id': tool.metadata?.sku || '',
+      ...(material ? { BMC: material } : {}),
+      ...(tool.specs?.coating ? { GRADE: tool.specs.coating } : {}),
+      geometry,
+      ...((tool.presets || []).length > 0 ? {
+        'start-values': {
+          presets: tool.presets.map(preset => {
+            const values = { name: preset.material };
+            [['n', preset.rpm], ['v_f', preset.feed], ['v_f_plunge', preset.plunge], ['stepdown', preset.stepdown], ['stepover', preset.stepover]]
+              .forEach(([key, value]) => {
+                if (value > 0) values[key] = key === 'n' ? value : fromMm(value, units);
+              });
+            const chipLoad = computeChipLoad(preset.feed, preset.rpm, tool.specs?.flutes);
+            if (chipLoad !== null) values.f_z = Math.round(fromMm(chipLoad, units) * 10000) / 10000;
+            return values;
+          })
+        }
+      } : {}),
+      'post-process': {
+        number: tool.toolNumber || 0,
+        'length-offset': tool.toolNumber || 0,
+        'diameter-offset': tool.toolNumber || 0,
+        comment: tool.metadata?.notes || ''
+      }
+    };
+  })
+});
+
+// Helper: Quote a value for CSV output
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper: Build a CSV spreadsheet of the tools (headers match the CSV importer, so files round-trip).
+// Lengths are written in each tool's own units, named in the Units column; TLO stays in mm.
+const exportCsv = (tools) => {
+  const headers = ['T#', 'Name', 'Type', 'Units', 'Diameter', 'SKU']
+    .concat(DIMENSION_FIELDS.map(field => CSV_FIELDS.find(f => f.key === field.key).aliases[0].replace(/\b\w/g, c => c.toUpperCase())))
+    .concat(['Material', 'Coating', 'Flutes', 'TLO', 'Notes', 'Quantity', 'Minimum', 'Supplier', 'Price']);
+
+  const rows = tools.map(tool => {
+    const units = tool.units === 'inch' ? 'inch' : 'mm';
+    return [
+      tool.toolNumber ?? '',
+      tool.name,
+      tool.type,
+      LENGTH_UNITS[units].label,
+      fromMm(tool.diameter, units),
+      tool.metadata?.sku || ''
+    ]
+      .concat(DIMENSION_FIELDS.map(field => (field.length ? fromMm(tool.dimensions?.[field.key], units) : tool.dimensions?.[field.key]) ?? ''))
+      .concat([tool.specs?.material || '', tool.specs?.coating || '', tool.specs?.flutes ?? '', tool.offsets?.tlo ?? 0, tool.metadata?.notes || ''])
+      .concat([tool.stock?.quantity ?? '', tool.stock?.minimum ?? '', tool.stock?.supplier || '', tool.stock?.price ?? '']);
+  });
+
+  return [headers].concat(rows).map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// Helper: Build a LinuxCNC tool table (tool.tbl) for the tools in the magazine, in mm, with the mounted cutters' diameters
+const exportLinuxCncToolTable = (tools) => {
+  const magazine = tools
+    .filter(t => t.toolNumber !== null && t.toolNumber !== undefined)
+    .sort((a, b) => a.toolNumber - b.toolNumber);
+
+  const lines = magazine.map(tool => {
+    const tlo = Number(tool.offsets?.tlo || 0);
+    const comment = String(tool.name).replace(/[;\r\n]/g, ' ');
+    return `T${tool.toolNumber} P${tool.toolNumber} D${Number(getEffectiveDiameter(tool)).toFixed(4)} Z${tlo >= 0 ? '+' : ''}${tlo.toFixed(4)} ;${comment}`;
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+// Controller tool table dialects: both take G10 L1 (R is the radius); they differ in how the table is read back
+// and whether a program can put the units mode back (LinuxCNC saves and restores modal state with M70/M72)
+const CONTROLLER_DIALECTS = {
+  grblhal: {
+    label: 'grblHAL',
+    restoresModalState: false,
+    readBackHint: 'Send $# from the console and paste the output. Tool lines look like [T:1|0.000,0.000,-42.318|3.175].'
+  },
+  linuxcnc: {
+    label: 'LinuxCNC',
+    restoresModalState: true,
+    readBackHint: 'Paste the contents of the machine\'s tool table file (tool.tbl).'
+  }
+};
+
+// Offset or diameter difference (mm) below which the controller and the inventory agree
+const CONTROLLER_TABLE_TOLERANCE_MM = 0.001;
+
+// Helper: Parse a controller tool table read-back into { toolNumber, diameter, tlo } entries
+const parseControllerToolTable = (text, dialect) => {
+  const entries = [];
+
+  String(text || '').split(/\r?\n/).forEach(line => {
+    if (dialect === 'linuxcnc') {
+      // T1 P1 D6.3500 Z-42.3180 ;comment
+      const code = line.split(';')[0];
+      const toolNumber = code.match(/\bT(\d+)/i);
+      if (!toolNumber) return;
+      const word = (letter) => {
+        const match = code.match(new RegExp('\\b' + letter + '\\s*([+-]?[\\d.]+)', 'i'));
+        return match ? parseFloat(match[1]) : 0;
+      };
+      entries.push({ toolNumber: parseInt(toolNumber[1]), diameter: word('D'), tlo: word('Z') });
+    } else {
+      // [T:1|0.000,0.000,-42.318|3.175]: offsets per axis (Z third), then the radius
+      const match = line.match(/\[T:(\d+)\|([^|\]]*)(?:\|([^\]]*))?\]/i);
+      if (!match) return;
+      const offsets = match[2].split(',').map(parseFloat);
+      const radius = parseFloat(match[3]);
+      entries.push({
+        toolNumber: parseInt(match[1]),
+        diameter: Number.isFinite(radius) ? radius * 2 : 0,
+        tlo: Number.isFinite(offsets[2]) ? offsets[2] : 0
+      });
+    }
+  });
+
+  return entries;
+};
+
+// Helper: Compare magazine tools with a controller's tool table, one row per T#. The controller gets the
+// size of the cutter actually mounted (reground instances are smaller).
+// status: 'match', 'changed', 'missing' (not on the controller), 'extra' (only on the controller)
+const diffControllerToolTable = (magazine, controllerEntries) => {
+  const differs = (a, b) => Math.abs(Number(a || 0) - Number(b || 0)) > CONTROLLER_TABLE_TOLERANCE_MM;
+  const rows = magazine.map(tool => {
+    const controller = controllerEntries.find(entry => entry.toolNumber === tool.toolNumber) || null;
+    const status = !controller
+      ? 'missing'
+      : (differs(getEffectiveDiameter(tool), controller.diameter) || differs(tool.offsets?.tlo, controller.tlo) ? 'changed' : 'match');
+    return { toolNumber: tool.toolNumber, tool, controller, status };
+  });
+
+  controllerEntries
+    .filter(entry => !magazine.some(tool => tool.toolNumber === entry.toolNumber))
+    .filter(entry => differs(entry.diameter, 0) || differs(entry.tlo, 0))
+    .forEach(entry => rows.push({ toolNumber: entry.toolNumber, tool: null, controller: entry, status: 'extra' }));
+
+  return rows.sort((a, b) => a.toolNumber - b.toolNumber);
+};
+
+// Helper: G10 L1 program writing diff rows to the controller's tool table ('extra' rows are cleared).
+// The values are in mm, so the program switches to G21. Where the controller can't put the previous
+// units mode back afterwards, the program says so.
+const buildToolTableProgram = (rows, dialect) => {
+  const { label, restoresModalState } = CONTROLLER_DIALECTS[dialect];
+  const lines = [
+    `(Tool table from Tool Inventory for ${label}, ${new Date().toISOString()})`,
+    restoresModalState ? 'M70' : '(Switches the controller to mm with G21 and leaves it there: send G20 afterwards if you work in inches)',
+    'G21'
+  ];
+
+  rows.forEach(row => {
+    const diameter = row.tool ? Number(getEffectiveDiameter(row.tool)) : 0;
+    const tlo = row.tool ? Number(row.tool.offsets?.tlo || 0) : 0;
+    const comment = row.tool
+      ? String(row.tool.name).replace(/[()\r\n]/g, ' ')
+      : 'not in the magazine, cleared';
+    lines.push(`G10 L1 P${row.toolNumber} R${(diameter / 2).toFixed(4)} Z${tlo.toFixed(4)} (T${row.toolNumber} ${comment})`);
+  });
+
+  if (restoresModalState) {
+    lines.push('M72');
+  }
+  lines.push('M30');
+  return lines.join('\n') + '\n';
+};
+
+// Helper: Build a printable HTML setup sheet listing every magazine pocket
+const buildSetupSheet = (tools, maxToolCount, units = 'mm') => {
+  const date = new Date().toLocaleString();
+  const value = (number, digits = 3) => (number === null || number === undefined || number === '' ? '—' : Number(number).toFixed(digits));
+  const length = (number, digits = 3) => formatLength(number, units, digits) || '—';
+
+  const rows = [];
+  for (let pocket = 1; pocket <= maxToolCount; pocket++) {
+    const tool = tools.find(t => t.toolNumber === pocket);
+    rows.push(tool
+      ? `<tr><td>T${pocket}</td><td>${escapeHtml(tool.name)}</td><td>${escapeHtml(TOOL_TYPE_LABELS[tool.type] || tool.type)}</td>` +
+        `<td>${length(getEffectiveDiameter(tool))}</td><td>${length(tool.dimensions?.flute_length, 2)}</td><td>${length(tool.dimensions?.stickout, 2)}</td>` +
+        `<td>${value(tool.offsets?.tlo)}</td><td>${escapeHtml(tool.metadata?.sku || '')}</td><td>${escapeHtml(tool.metadata?.notes || '')}</td><td class="check"></td></tr>`
+      : `<tr class="empty"><td>T${pocket}</td><td colspan="8">— empty —</td><td class="check"></td></tr>`);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Magazine Setup Sheet</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .meta { color: #555; font-size: 12px; margin-bottom: 16px; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid #999; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  tr.empty td { color: #888; }
+  td.check { width: 24px; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>Magazine Setup Sheet</h1>
+<div class="meta">Generated ${escapeHtml(date)} &middot; ${maxToolCount} pocket(s) &middot; dimensions in ${LENGTH_UNITS[units].label}, TLO in mm</div>
+<table>
+<thead><tr><th>T#</th><th>Description</th><th>Type</th><th>Diameter</th><th>Flute</th><th>Stickout</th><th>TLO</th><th>SKU</th><th>Notes</th><th>&#10003;</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
+
+// Tool Inventory dialog client. It runs in the page, not on the server: it can only use the
+// helpers shared into the dialog script and persists through the plugin settings API.
+function toolInventoryDialog(storedSettings, appToolCount) {
+  const inventory = createInventoryService({
+    read: () => storedSettings,
+    write: (settings) => {
+      const base = storedSettings;
+      storedSettings = settings;
+      persistSettings(base, settings);
+    }
+  });
+
+  let tools = inventory.getTools();
+  let maxToolCount = getMachineToolCount(inventory.load(), appToolCount);
+  let filteredTools = [...tools];
+  let currentSort = 'toolNumber-asc';
+  let currentSearch = '';
+  let selectedIds = new Set();
+
+  // Suggestions for the tool material and coating fields
+  const TOOL_MATERIAL_OPTIONS = ['Carbide', 'HSS', 'Cobalt', 'Diamond (PCD)', 'Ceramic'];
+  const COATING_OPTIONS = ['Uncoated', 'TiN', 'TiCN', 'TiAlN', 'AlTiN', 'AlCrN', 'ZrN', 'DLC'];
+
+  // Optional table columns (geometry and specs), toggled from the Columns menu
+  const OPTIONAL_COLUMNS = DIMENSION_FIELDS.map(field => ({
+    key: field.key,
+    label: field.column,
+    value: (tool, settings) => {
+      const value = tool.dimensions ? tool.dimensions[field.key] : null;
+      return field.length ? formatLength(value, settings.displayUnits) : value;
+    }
+  })).concat([
+    { key: 'material', label: 'Material', value: tool => tool.specs ? tool.specs.material : null },
+    { key: 'coating', label: 'Coating', value: tool => tool.specs ? tool.specs.coating : null },
+    { key: 'flutes', label: 'Flutes', value: tool => tool.specs ? tool.specs.flutes : null },
+    { key: 'presets', label: 'Presets', value: tool => (tool.presets || []).map(p => p.material).join(', ') }
+  ]).concat([
+    { key: 'tlo', label: 'TLO', value: (tool, settings) => formatTlo(tool, settings) },
+    { key: 'stock', label: 'Stock', value: tool => formatStock(tool) },
+    { key: 'supplier', label: 'Supplier', value: tool => tool.stock ? tool.stock.supplier : null },
+    { key: 'instances', label: 'Instances', value: tool => formatInstanceCount(tool) }
+  ]);
+
+  // Initialize
+  document.getElementById('life-warning-percent').value = inventory.getSettings().lifeWarningPercent;
+  document.getElementById('display-units-select').value = displayUnits();
+  renderMachineSelect();
+  renderColumnMenu();
+  applyFilters();
+  updateToolCount();
+
+  // Life warning threshold
+  document.getElementById('life-warning-percent').addEventListener('change', function(e) {
+    const percent = parseFloat(e.target.value);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      e.target.value = inventory.getSettings().lifeWarningPercent;
+      return;
+    }
+    inventory.updateSettings({ lifeWarningPercent: percent });
+    renderTools();
+  });
+
+  // Units lengths are shown in; values are stored in mm either way
+  function displayUnits() {
+    return inventory.getSettings().displayUnits;
+  }
+
+  document.getElementById('display-units-select').addEventListener('change', function(e) {
+    inventory.updateSettings({ displayUnits: e.target.value });
+    renderTools();
+  });
+
+  // Search functionality
+  document.getElementById('tool-search').addEventListener('input', function(e) {
+    currentSearch = e.target.value;
+    applyFilters();
+  });
+
+  // Sort functionality
+  document.getElementById('tool-sort').addEventListener('change', function(e) {
+    currentSort = e.target.value;
+    applyFilters();
+  });
+
+  // Column picker
+  document.getElementById('columns-btn').addEventListener('click', function() {
+    document.getElementById('columns-menu').classList.toggle('hidden');
+  });
+
+  function renderColumnMenu() {
+    const menu = document.getElementById('columns-menu');
+    menu.innerHTML = OPTIONAL_COLUMNS.map(function(column) {
+      const checked = inventory.getSettings().visibleColumns.includes(column.key) ? ' checked' : '';
+      return '<label class="form-checkbox"><input type="checkbox" data-column="' + column.key + '"' + checked + '>' + escapeHtml(column.label) + '</label>';
+    }).join('');
+
+    menu.querySelectorAll('input[data-column]').forEach(function(input) {
+      input.addEventListener('change', function() {
+        const key = input.getAttribute('data-column');
+        const visibleColumns = inventory.getSettings().visibleColumns;
+        inventory.updateSettings({
+          visibleColumns: input.checked ? visibleColumns.concat(key) : visibleColumns.filter(k => k !== key)
+        });
+        renderTools();
+      });
+    });
+  }
+
+  function getVisibleColumns(settings = inventory.load()) {
+    return OPTIONAL_COLUMNS.filter(column => settings.visibleColumns.includes(column.key));
+  }
+
+  // Insert optional column headers before the Actions column
+  function renderOptionalHeaders(table, settings) {
+    const headerRow = table.querySelector('thead tr');
+    headerRow.querySelectorAll('th.optional-column').forEach(th => th.remove());
+    const actionsHeader = headerRow.lastElementChild;
+    getVisibleColumns(settings).forEach(function(column) {
+      const th = document.createElement('th');
+      th.className = 'optional-column';
+      th.textContent = column.label;
+      headerRow.insertBefore(th, actionsHeader);
+    });
+  }
+
+  function renderOptionalCells(tool, settings) {
+    return getVisibleColumns(settings).map(function(column) {
+      const value = column.value(tool, settings);
+      const text = value === null || value === undefined || value === ''
+        ? '—'
+        : (typeof value === 'number' ? String(value) : escapeHtml(value));
+      return '<td>' + text + '</td>';
+    }).join('');
+  }
+
+  // Apply filters and sort
+  function applyFilters() {
+    // Filter: plain words and field queries (type:ball dia:3..6 life<20%)
+    const query = parseToolQuery(currentSearch, displayUnits());
+    filteredTools = tools.filter(tool => matchesToolQuery(tool, query));
+
+    const errorsEl = document.getElementById('search-errors');
+    errorsEl.textContent = query.errors.join('. ');
+    errorsEl.classList.toggle('hidden', query.errors.length === 0);
+    renderFilterChips();
+    renderSavedFilters();
+
+    // Sort
+    const [field, direction] = currentSort.split('-');
+    filteredTools.sort((a, b) => {
+      let aVal = field === 'toolNumber' ? (a.toolNumber || 9999) : a[field];
+      let bVal = field === 'toolNumber' ? (b.toolNumber || 9999) : b[field];
+
+      if (field === 'life') {
+        // Tools without life tracking sort after tracked ones
+        aVal = getLifeRemainingPercent(a) ?? 101;
+        bVal = getLifeRemainingPercent(b) ?? 101;
+      }
+
+      if (typeof aVal === 'string') {
+        aVal = aVal.toLowerCase();
+        bVal = bVal.toLowerCase();
+      }
+
+      if (direction === 'asc') {
+        return aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
+      } else {
+        return aVal < bVal ? 1 : aVal > bVal ? -1 : 0;
+      }
+    });
+
+    renderTools();
+  }
+
+  // Set the search text from a chip or saved filter and filter the tables
+  function setSearch(text) {
+    currentSearch = text;
+    document.getElementById('tool-search').value = text;
+    applyFilters();
+  }
+
+  // Chips for the tool types in the inventory and for magazine/library. A chip adds or
+  // removes its value in the search text, so chips, typed queries and saved filters agree.
+  function renderFilterChips() {
+    const activeTypes = getQueryValues(currentSearch, 'type');
+    const activeLocations = getQueryValues(currentSearch, 'in');
+    const chip = (field, value, label, count, active) =>
+      '<button type="button" class="filter-chip' + (active ? ' active' : '') + '" data-chip-field="' + field + '" data-chip-value="' + value + '">' +
+      escapeHtml(label) + ' <span class="filter-chip-count">' + count + '</span></button>';
+
+    const typeChips = Object.keys(TOOL_TYPE_LABELS)
+      .filter(type => tools.some(t => t.type === type))
+      .map(type => chip('type', type, TOOL_TYPE_LABELS[type], tools.filter(t => t.type === type).length, activeTypes.includes(type)));
+    const magazineCount = tools.filter(t => t.toolNumber !== null && t.toolNumber !== undefined).length;
+    const locationChips = [
+      chip('in', 'magazine', 'Magazine', magazineCount, activeLocations.includes('magazine')),
+      chip('in', 'library', 'Library', tools.length - magazineCount, activeLocations.includes('library'))
+    ];
+
+    const container = document.getElementById('filter-chips');
+    container.innerHTML = locationChips.join('') + '<span class="filter-chips-divider"></span>' + typeChips.join('');
+    container.querySelectorAll('[data-chip-field]').forEach(function(button) {
+      button.addEventListener('click', function() {
+        setSearch(toggleQueryValue(currentSearch, button.dataset.chipField, button.dataset.chipValue));
+      });
+    });
+  }
+
+  // Saved filters are named search texts kept in the plugin settings
+  function renderSavedFilters() {
+    const savedFilters = inventory.getSettings().savedFilters;
+    const select = document.getElementById('saved-filter-select');
+    select.innerHTML = '<option value="">Saved filters…</option>' + savedFilters.map(function(filter, index) {
+      return '<option value="' + index + '" title="' + escapeHtml(filter.query) + '">' + escapeHtml(filter.name) + '</option>';
+    }).join('');
+    const current = savedFilters.findIndex(filter => filter.query === currentSearch.trim());
+    select.value = current >= 0 ? String(current) : '';
+    document.getElementById('delete-filter-btn').disabled = current < 0;
+  }
+
+  document.getElementById('saved-filter-select').addEventListener('change', function(e) {
+    if (e.target.value === '') return;
+    setSearch(inventory.getSettings().savedFilters[parseInt(e.target.value)].query);
+  });
+
+  document.getElementById('save-filter-btn').addEventListener('click', function() {
+    const query = currentSearch.trim();
+    if (query === '') {
+      showToast('Type a search or pick some chips first, then save it as a filter', { type: 'error' });
+      return;
+    }
+    showSaveFilterDialog(query);
+  });
+
+  document.getElementById('delete-filter-btn').addEventListener('click', function() {
+    const savedFilters = inventory.getSettings().savedFilters;
+    const index = parseInt(document.getElementById('saved-filter-select').value);
+    if (!Number.isInteger(index)) return;
+
+    const removed = savedFilters[index];
+    inventory.updateSettings({ savedFilters: savedFilters.filter((filter, i) => i !== index) });
+    renderSavedFilters();
+    showToast('Deleted filter "' + removed.name + '"', {
+      actionLabel: 'Undo',
+      onAction: function() {
+        inventory.updateSettings({ savedFilters: inventory.getSettings().savedFilters.concat(removed) });
+        renderSavedFilters();
+      }
+    });
+  });
+
+  function showSaveFilterDialog(query) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = '<div class="modal-content">' +
+      '<div class="modal-header">Save Filter</div>' +
+      '<form id="save-filter-form">' +
+      '<div class="form-group">' +
+      '<label class="form-label required" for="save-filter-name">Name</label>' +
+      '<input class="form-input" id="save-filter-name" required placeholder="e.g. Aluminum finishing">' +
+      '<div class="form-hint">' + escapeHtml(query) + '</div>' +
+      '<div class="form-hint">A filter with the same name is replaced.</div>' +
+      '</div>' +
+      '<div class="modal-footer">' +
+      '<button type="button" class="btn btn-secondary" id="save-filter-cancel">Cancel</button>' +
+      '<button type="submit" class="btn btn-primary">Save</button>' +
+      '</div>' +
+      '</form>' +
+      '</div>';
+    document.body.appendChild(overlay);
+    document.getElementById('save-filter-name').focus();
+
+    function close() {
+      document.body.removeChild(overlay);
+    }
+
+    document.getElementById('save-filter-cancel').addEventListener('click', close);
+    document.getElementById('save-filter-form').addEventListener('submit', function(e) {
+      e.preventDefault();
+      const name = document.getElementById('save-filter-name').value.trim();
+      if (name === '') return;
+
+      const savedFilters = inventory.getSettings().savedFilters.filter(filter => filter.name !== name);
+      inventory.updateSettings({ savedFilters: savedFilters.concat({ name: name, query: query }) });
+      close();
+      renderSavedFilters();
+      showToast('Saved filter "' + name + '"');
+    });
+  }
+
+  // Multi-select: a checkbox per row (and per gallery card) ticks tools for the bulk actions
+  function renderSelectBox(tool) {
+    return '<input type="checkbox" class="select-tool" data-select-tool="' + tool.id + '"' + (selectedIds.has(tool.id) ? ' checked' : '') +
+      ' title="Select for bulk actions">';
+  }
+
+  function getSelectedTools() {
+    return filteredTools.filter(t => selectedIds.has(t.id));
+  }
+
+  function isInMagazine(tool) {
+    return tool.toolNumber !== null && tool.toolNumber !== undefined;
+  }
+
+  function renderBulkBar() {
+    const count = selectedIds.size;
+    document.getElementById('bulk-bar').classList.toggle('hidden', count === 0);
+    document.getElementById('bulk-count').textContent = count + ' tool' + (count !== 1 ? 's' : '') + ' selected';
+
+    [['magazine-select-all', filteredTools.filter(isInMagazine)], ['library-select-all', filteredTools.filter(t => !isInMagazine(t))]]
+      .forEach(function([id, list]) {
+        const box = document.getElementById(id);
+        const ticked = list.filter(t => selectedIds.has(t.id)).length;
+        box.checked = list.length > 0 && ticked === list.length;
+        box.indeterminate = ticked > 0 && ticked < list.length;
+      });
+  }
+
+  function setSelected(ids, selected) {
+    ids.forEach(id => (selected ? selectedIds.add(id) : selectedIds.delete(id)));
+    renderTools();
+  }
+
+  document.querySelector('.tool-content').addEventListener('change', function(e) {
+    if (e.target.dataset && e.target.dataset.selectTool) {
+      setSelected([parseInt(e.target.dataset.selectTool)], e.target.checked);
+    }
+  });
+  document.getElementById('magazine-select-all').addEventListener('change', function(e) {
+    setSelected(filteredTools.filter(isInMagazine).map(t => t.id), e.target.checked);
+  });
+  document.getElementById('library-select-all').addEventListener('change', function(e) {
+    setSelected(filteredTools.filter(t => !isInMagazine(t)).map(t => t.id), e.target.checked);
+  });
+  document.getElementById('bulk-clear').addEventListener('click', function() {
+    selectedIds = new Set();
+    renderTools();
+  });
+
+  function describeCount(count) {
+    return count + ' tool' + (count !== 1 ? 's' : '');
+  }
+
+  document.getElementById('bulk-delete').addEventListener('click', function() {
+    const ids = getSelectedTools().map(t => t.id);
+    selectedIds = new Set();
+    changeTools('Deleted ' + describeCount(ids.length), function(next) {
+      return next.filter(t => !ids.includes(t.id));
+    });
+  });
+
+  document.getElementById('bulk-unload').addEventListener('click', function() {
+    const ids = getSelectedTools().filter(isInMagazine).map(t => t.id);
+    if (ids.length === 0) {
+      showToast('None of the selected tools are in the magazine', { type: 'error' });
+      return;
+    }
+    changeTools('Moved ' + describeCount(ids.length) + ' to the library', function(next) {
+      return next.map(t => ids.includes(t.id) ? { ...t, toolNumber: null } : t);
+    });
+  });
+
+  document.getElementById('bulk-export').addEventListener('click', function() {
+    const selected = getSelectedTools();
+    showExportDialog(selected, 'Export ' + describeCount(selected.length));
+  });
+
+  document.getElementById('bulk-assign').addEventListener('click', showAssignRangeDialog);
+  document.getElementById('bulk-fields').addEventListener('click', showBulkFieldsDialog);
+
+  // Give the selected tools consecutive T#s, in the order they are listed
+  function showAssignRangeDialog() {
+    const selected = getSelectedTools();
+    const ids = selected.map(t => t.id);
+    const otherMachines = getOtherMachineAssignments(inventory.load());
+
+    // Suggest the first T# where the whole run fits in pockets that are empty or held by the selection
+    let suggested = 1;
+    while (suggested + ids.length - 1 <= maxToolCount &&
+      tools.some(t => !ids.includes(t.id) && t.toolNumber !== null && t.toolNumber >= suggested && t.toolNumber < suggested + ids.length)) {
+      suggested++;
+    }
+    if (suggested + ids.length - 1 > maxToolCount) suggested = 1;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = '<div class="modal-content">' +
+      '<div class="modal-header">Assign T# Range</div>' +
+      '<div class="form-group">' +
+      '<label class="form-label" for="assign-start">First T#</label>' +
+      '<input class="form-input" type="number" min="1" step="1" id="assign-start" value="' + suggested + '">' +
+      '<div class="form-hint">' + describeCount(ids.length) + ' get consecutive T#s in the order they are listed. Tools already in those pockets move to the library.</div>' +
+      '</div>' +
+      '<div id="assign-preview"></div>' +
+      '<div class="modal-footer">' +
+      '<button type="button" class="btn btn-secondary" id="assign-cancel">Cancel</button>' +
+      '<button type="button" class="btn btn-primary" id="assign-apply">Assign</button>' +
+      '</div>' +
+      '</div>';
+    document.body.appendChild(overlay);
+
+    function plan() {
+      return assignToolNumberRange(tools, ids, parseInt(document.getElementById('assign-start').value), {
+        maxToolCount: maxToolCount,
+        otherMachines: otherMachines
+      });
+    }
+
+    function renderPreview() {
+      const result = plan();
+      const preview = document.getElementById('assign-preview');
+      if (result.errors.length > 0) {
+        preview.innerHTML = '<div class="form-error">' + result.errors.map(escapeHtml).join('<br>') + '</div>';
+      } else {
+        const start = parseInt(document.getElementById('assign-start').value);
+        preview.innerHTML = '<table class="machine-table"><tbody>' +
+          selected.map((tool, index) => '<tr><td>T' + (start + index) + '</td><td>' + escapeHtml(tool.name) + '</td><td>' +
+            (isInMagazine(tool) ? 'from T' + tool.toolNumber : 'from the library') + '</td></tr>').join('') +
+          result.displaced.map(tool => '<tr class="on-other-machine"><td>—</td><td>' + escapeHtml(tool.name) + '</td><td>T' + tool.toolNumber + ' to the library</td></tr>').join('') +
+          '</tbody></table>';
+      }
+      document.getElementById('assign-apply').disabled = result.errors.length > 0;
+    }
+    renderPreview();
+
+    function close() {
+      document.body.removeChild(overlay);
+    }
+
+    document.getElementById('assign-start').addEventListener('input', renderPreview);
+    document.getElementById('assign-cancel').addEventListener('click', close);
+    document.getElementById('assign-apply').addEventListener('click', function() {
+      const result = plan();
+      if (result.errors.length > 0) return;
+
+      const start = parseInt(document.getElementById('assign-start').value);
+      close();
+      changeTools('Assigned T' + start + '–T' + (start + ids.length - 1) + ' to ' + describeCount(ids.length), function() {
+        return result.tools;
+      }, result.displaced.length > 0 ? 'Moved to the library: ' + result.displaced.map(describeTool).join(', ') : null);
+    });
+  }
+
+  // Set material, coating or notes on every selected tool; only ticked fields change
+  function showBulkFieldsDialog() {
+    const ids = getSelectedTools().map(t => t.id);
+    const field = (key, label, input) =>
+      '<div class="form-group">' +
+      '<label class="form-checkbox"><input type="checkbox" id="bulk-set-' + key + '"> Set ' + label + '</label>' +
+      input +
+      '</div>';
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = '<div class="modal-content">' +
+      '<div class="modal-header">Set Fields on ' + describeCount(ids.length) + '</div>' +
+      field('material', 'tool material', '<input class="form-input" id="bulk-material" list="bulk-material-options" placeholder="e.g. Carbide (empty clears it)">' +
+        '<datalist id="bulk-material-options">' + TOOL_MATERIAL_OPTIONS.map(option => '<option value="' + option + '">').join('') + '</datalist>') +
+      field('coating', 'coating', '<input class="form-input" id="bulk-coating" list="bulk-coating-options" placeholder="e.g. TiAlN (empty clears it)">' +
+        '<datalist id="bulk-coating-options">' + COATING_OPTIONS.map(option => '<option value="' + option + '">').join('') + '</datalist>') +
+      field('notes', 'notes', '<textarea class="form-textarea" id="bulk-notes" rows="3"></textarea>' +
+        '<label class="form-checkbox"><input type="checkbox" id="bulk-append-notes" checked> Add to the existing notes instead of replacing them</label>') +
+      '<div class="modal-footer">' +
+      '<button type="button" class="btn btn-secondary" id="bulk-fields-cancel">Cancel</button>' +
+      '<button type="button" class="btn btn-primary" id="bulk-fields-apply">Apply</button>' +
+      '</div>' +
+      '</div>';
+    document.body.appendChild(overlay);
+
+    // Typing in a field ticks it
+    ['material', 'coating', 'notes'].forEach(function(key) {
+      document.getElementById('bulk-' + key).addEventListener('input', function() {
+        document.getElementById('bulk-set-' + key).checked = true;
+      });
+    });
+
+    function close() {
+      document.body.removeChild(overlay);
+    }
+
+    document.getElementById('bulk-fields-cancel').addEventListener('click', close);
+    document.getElementById('bulk-fields-apply').addEventListener('click', function() {
+      const changes = { appendNotes: document.getElementById('bulk-append-notes').checked };
+      const names = [];
+      ['material', 'coating', 'notes'].forEach(function(key) {
+        if (document.getElementById('bulk-set-' + key).checked) {
+          changes[key] = document.getElementById('bulk-' + key).value;
+          names.push(key);
+        }
+      });
+      if (names.length === 0) {
+        showToast('Tick at least one field to set', { type: 'error' });
+        return;
+      }
+
+      close();
+      changeTools('Set ' + names.join(', ') + ' on ' + describeCount(ids.length), function(next) {
+        return applyBulkFields(next, ids, changes);
+      });
+    });
+  }
+
+  // Render tools tables
+  function renderTools() {
+    // Read once for the whole render; the row helpers take these settings instead of reading their own
+    const settings = inventory.load();
+    const units = settings.displayUnits;
+    renderActiveTool(settings);
+
+    // Tools hidden by the search drop out of the selection, so bulk actions only touch what is shown
+    selectedIds = new Set(filteredTools.filter(t => selectedIds.has(t.id)).map(t => t.id));
+    renderBulkBar();
+
+    document.querySelectorAll('.diameter-header').forEach(th => {
+      th.textContent = 'Diameter (' + LENGTH_UNITS[units].label + ')';
+    });
+
+    // Separate tools into magazine (with tool number) and library (without tool number)
+    const magazineTools = filteredTools.filter(t => t.toolNumber !== null && t.toolNumber !== undefined);
+    const libraryTools = filteredTools.filter(t => t.toolNumber === null || t.toolNumber === undefined);
+
+    // Render magazine table
+    const magazineTbody = document.getElementById('magazine-tbody');
+    const magazineEmpty = document.getElementById('magazine-empty');
+    const magazineTable = document.getElementById('magazine-table');
+    const magazineCountEl = document.getElementById('magazine-count');
+
+    renderOptionalHeaders(magazineTable, settings);
+
+    if (magazineTools.length === 0) {
+      magazineTable.classList.add('hidden');
+      magazineEmpty.classList.remove('hidden');
+      magazineTbody.innerHTML = '';
+    } else {
+      magazineTable.classList.remove('hidden');
+      magazineEmpty.classList.add('hidden');
+
+      const activeToolNumber = settings.activeToolNumber;
+      magazineTbody.innerHTML = magazineTools.map(tool => `
+        <tr class="${isLifeLow(tool, settings) ? 'life-low' : ''}${tool.toolNumber === activeToolNumber ? ' active-tool' : ''}${selectedIds.has(tool.id) ? ' selected' : ''}">
+          <td class="select-column">${renderSelectBox(tool)}</td>
+          <td>T${tool.toolNumber}</td>
+          <td><span class="tool-name-cell">${renderThumbnail(tool, 32, settings)}<span>${escapeHtml(tool.name)}${formatMountedInstance(tool)}</span></span></td>
+          <td>${formatType(tool.type)}</td>
+          <td>${formatLength(tool.diameter, units)}</td>
+          <td class="life-cell">${formatLife(tool, settings)}</td>
+          ${renderOptionalCells(tool, settings)}
+          <td>
+            <div class="tool-actions">
+              <button class="btn btn-small btn-secondary" onclick="window.measureTool(${tool.id})">Measure</button>
+              <button class="btn btn-small btn-secondary" onclick="window.retireTool(${tool.id})" title="Replace a worn tool with a spare from stock">Retire</button>
+              <button class="btn btn-small btn-secondary" onclick="window.editTool(${tool.id})">Edit</button>
+              <button class="btn btn-small btn-danger" onclick="window.deleteTool(${tool.id})">Delete</button>
+            </div>
+          </td>
+        </tr>
+      `).join('');
+    }
+    magazineCountEl.textContent = `${magazineTools.length} tool${magazineTools.length !== 1 ? 's' : ''}`;
+
+    // Render library table (tools without tool numbers)
+    const libraryTbody = document.getElementById('library-tbody');
+    const libraryEmpty = document.getElementById('library-empty');
+    const libraryTable = document.getElementById('library-table');
+    const libraryCountEl = document.getElementById('library-count');
+
+    renderOptionalHeaders(libraryTable, settings);
+
+    if (libraryTools.length === 0) {
+      libraryTable.classList.add('hidden');
+      libraryEmpty.classList.remove('hidden');
+      libraryTbody.innerHTML = '';
+    } else {
+      libraryTable.classList.remove('hidden');
+      libraryEmpty.classList.add('hidden');
+
+      const otherMachines = getOtherMachineAssignments(settings);
+      libraryTbody.innerHTML = libraryTools.map(tool => `
+        <tr class="${isLifeLow(tool, settings) ? 'life-low' : ''}${otherMachines.has(tool.id) ? ' on-other-machine' : ''}${selectedIds.has(tool.id) ? ' selected' : ''}">
+          <td class="select-column">${renderSelectBox(tool)}</td>
+          <td><span class="tool-name-cell">${renderThumbnail(tool, 32, settings)}<span>${escapeHtml(tool.name)}${formatMountedInstance(tool)}${formatOtherMachine(otherMachines.get(tool.id))}</span></span></td>
+          <td>${formatType(tool.type)}</td>
+          <td>${formatLength(tool.diameter, units)}</td>
+          <td class="life-cell">${formatLife(tool, settings)}</td>
+          ${renderOptionalCells(tool, settings)}
+          <td>
+            <div class="tool-actions">
+              <button class="btn btn-small btn-secondary" onclick="window.retireTool(${tool.id})" title="Replace a worn tool with a spare from stock">Retire</button>
+              <button class="btn btn-small btn-secondary" onclick="window.editTool(${tool.id})">Edit</button>
+              <button class="btn btn-small btn-danger" onclick="window.deleteTool(${tool.id})">Delete</button>
+            </div>
+          </td>
+        </tr>
+      `).join('');
+    }
+    libraryCountEl.textContent = `${libraryTools.length} tool${libraryTools.length !== 1 ? 's' : ''}`;
+
+    // Gallery view shows the same tools as cards instead of table rows
+    const gallery = settings.viewMode === 'gallery';
+    renderGallery('magazine-gallery', gallery ? magazineTools : [], settings);
+    renderGallery('library-gallery', gallery ? libraryTools : [], settings);
+    if (gallery) {
+      magazineTable.classList.add('hidden');
+      libraryTable.classList.add('hidden');
+    }
+    document.getElementById('view-toggle-btn').textContent = gallery ? 'Table View' : 'Gallery View';
+  }
+
+  // Tool image, or the drawn profile when the tool has none
+  function renderThumbnail(tool, size, settings = inventory.load()) {
+    const image = resolveToolImage(tool, settings.images);
+    return image
+      ? '<img class="tool-thumb" src="' + escapeHtml(image) + '" width="' + size + '" height="' + size + '" alt="">'
+      : '<span class="tool-thumb">' + buildToolProfileSvg(tool, { width: size, height: size }) + '</span>';
+  }
+
+  function renderGallery(containerId, list, settings) {
+    const container = document.getElementById(containerId);
+    container.classList.toggle('hidden', list.length === 0);
+    const activeToolNumber = settings.activeToolNumber;
+    container.innerHTML = list.map(tool => `
+      <div class="tool-card${isLifeLow(tool, settings) ? ' life-low' : ''}${tool.toolNumber !== null && tool.toolNumber === activeToolNumber ? ' active-tool' : ''}">
+        <div class="tool-card-image">${renderThumbnail(tool, 120, settings)}</div>
+        <div class="tool-card-title">${renderSelectBox(tool)} ${tool.toolNumber !== null ? 'T' + tool.toolNumber + ' · ' : ''}${escapeHtml(tool.name)}</div>
+        <div class="tool-card-meta">${formatType(tool.type)} · Ø${formatLengthWithUnits(tool.diameter, settings.displayUnits)}</div>
+        <div class="tool-card-meta">${formatLife(tool, settings)}</div>
+        <div class="tool-actions">
+          <button class="btn btn-small btn-secondary" onclick="window.editTool(${tool.id})">Edit</button>
+          <button class="btn btn-small btn-danger" onclick="window.deleteTool(${tool.id})">Delete</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  document.getElementById('view-toggle-btn').addEventListener('click', function() {
+    const viewMode = inventory.getSettings().viewMode === 'gallery' ? 'table' : 'gallery';
+    inventory.updateSettings({ viewMode: viewMode });
+    renderTools();
+  });
+
+  // Update tool count
+  function updateToolCount() {
+    const count = tools.length;
+    document.getElementById('tool-count').textContent = `${count} tool${count !== 1 ? 's' : ''}`;
+
+    // Note: We don't disable Add Tool button anymore since tools can exist without tool numbers
+  }
+
+  // Format tool type
+  function formatType(type) {
+    const typeMap = {
+      'flat': 'Flat End Mill',
+      'ball': 'Ball End Mill',
+      'bull': 'Bull Nose End Mill',
+      'v-bit': 'V-Bit',
+      'drill': 'Drill',
+      'chamfer': 'Chamfer',
+      'surfacing': 'Surfacing',
+      'probe': 'Probe',
+      'thread-mill': 'Thread Mill'
+    };
+    return typeMap[type] || type;
+  }
+
+  // Active tool: the picker lists every tool with a T#, and the chip outside the dialog follows it
+  function renderActiveTool(settings = inventory.load()) {
+    const activeToolNumber = settings.activeToolNumber;
+    const numbered = tools
+      .filter(t => t.toolNumber !== null)
+      .sort((a, b) => a.toolNumber - b.toolNumber);
+
+    const select = document.getElementById('active-tool-select');
+    select.innerHTML = '<option value="">None</option>' + numbered.map(function(tool) {
+      return '<option value="' + tool.toolNumber + '">T' + tool.toolNumber + ' - ' + escapeHtml(tool.name) + '</option>';
+    }).join('');
+    if (activeToolNumber !== null && !numbered.some(t => t.toolNumber === activeToolNumber)) {
+      select.innerHTML += '<option value="' + activeToolNumber + '">T' + activeToolNumber + ' - not in inventory</option>';
+    }
+    select.value = activeToolNumber === null ? '' : String(activeToolNumber);
+
+    showActiveToolChip(formatActiveTool(activeToolNumber, tools.find(t => t.toolNumber === activeToolNumber), settings.displayUnits));
+  }
+
+  document.getElementById('active-tool-select').addEventListener('change', function(e) {
+    inventory.updateSettings({ activeToolNumber: e.target.value === '' ? null : parseInt(e.target.value) });
+    renderTools();
+  });
+
+  // Machine profiles: each has its own magazine, and the tables show the active one
+  function renderMachineSelect() {
+    const settings = inventory.getSettings();
+    const select = document.getElementById('machine-select');
+    select.innerHTML = settings.machines.map(function(machine) {
+      return '<option value="' + escapeHtml(machine.id) + '">' + escapeHtml(machine.name) + '</option>';
+    }).join('');
+    select.value = getActiveMachine(settings).id;
+  }
+
+  // Badge for a library tool that sits in another machine's magazine
+  function formatOtherMachine(assignment) {
+    if (!assignment) return '';
+    return ' <span class="machine-badge">On ' + escapeHtml(assignment.machine.name) + ' as T' + assignment.toolNumber + '</span>';
+  }
+
+  // Badge with the serial of the instance in the tool's slot
+  function formatMountedInstance(tool) {
+    const instance = getMountedInstance(tool);
+    return instance ? ' <span class="machine-badge" title="Mounted instance">#' + escapeHtml(instance.serial) + '</span>' : '';
+  }
+
+  // Usable (not scrapped) instances, e.g. "3 (1 dull)"
+  function formatInstanceCount(tool) {
+    const usable = (tool.instances || []).filter(i => i.status !== 'scrapped');
+    if (usable.length === 0) return null;
+    const dull = usable.filter(i => i.status === 'dull' || i.status === 'regrind').length;
+    return usable.length + (dull ? ' (' + dull + ' dull or at regrind)' : '');
+  }
+
+  // Undo entries hold T#s for one machine, so they don't survive a switch
+  function reloadMachine() {
+    tools = inventory.getTools();
+    maxToolCount = getMachineToolCount(inventory.load(), appToolCount);
+    undoStack = [];
+    redoStack = [];
+    document.getElementById('undo-btn').disabled = true;
+    document.getElementById('redo-btn').disabled = true;
+    renderMachineSelect();
+    applyFilters();
+    updateToolCount();
+  }
+
+  document.getElementById('machine-select').addEventListener('change', function(e) {
+    inventory.switchMachine(e.target.value);
+    reloadMachine();
+    showToast('Switched to ' + getActiveMachine(inventory.load()).name);
+  });
+
+  document.getElementById('machines-btn').addEventListener('click', showMachinesDialog);
+
+  function showMachinesDialog() {
+    const activeId = getActiveMachine(inventory.load()).id;
+    let machines = JSON.parse(JSON.stringify(inventory.getSettings().machines));
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    document.body.appendChild(overlay);
+
+    function close() {
+      document.body.removeChild(overlay);
+    }
+
+    function countAssigned(machine) {
+      if (machine.id === activeId) return tools.filter(t => t.toolNumber !== null).length;
+      return Object.values(machine.assignments || {}).filter(n => n !== null).length;
+    }
+
+    function render() {
+      overlay.innerHTML = '<div class="modal-content">' +
+        '<div class="modal-header">Machine Profiles</div>' +
+        '<div class="form-hint">Each machine has its own magazine. Leave Pockets empty to use ncSender\'s tool count (' + appToolCount + ').</div>' +
+        '<table class="machine-table">' +
+        '<thead><tr><th>Name</th><th>Pockets</th><th>Tools</th><th></th></tr></thead>' +
+        '<tbody>' +
+        machines.map(function(machine, index) {
+          return '<tr>' +
+            '<td><input class="form-input" data-machine-name="' + index + '" value="' + escapeHtml(machine.name) + '"></td>' +
+            '<td><input class="form-input" type="number" min="1" step="1" data-machine-pockets="' + index + '" value="' + (machine.toolCount || '') + '" placeholder="' + appToolCount + '"></td>' +
+            '<td>' + countAssigned(machine) + (machine.id === activeId ? ' (active)' : '') + '</td>' +
+            '<td><button type="button" class="btn btn-small btn-danger" data-machine-delete="' + index + '"' +
+            (machine.id === activeId ? ' disabled title="Switch to another machine before deleting this one"' : '') + '>Delete</button></td>' +
+            '</tr>';
+        }).join('') +
+        '</tbody>' +
+        '</table>' +
+        '<div class="modal-footer">' +
+        '<button type="button" class="btn btn-secondary" id="machines-add">Add Machine</button>' +
+        '<button type="button" class="btn btn-secondary" id="machines-cancel">Cancel</button>' +
+        '<button type="button" class="btn btn-primary" id="machines-save">Save</button>' +
+        '</div>' +
+        '</div>';
+
+      overlay.querySelectorAll('[data-machine-name]').forEach(function(input) {
+        input.addEventListener('input', function() {
+          machines[parseInt(input.dataset.machineName)].name = input.value;
+        });
+      });
+      overlay.querySelectorAll('[data-machine-pockets]').forEach(function(input) {
+        input.addEventListener('input', function() {
+          const count = parseInt(input.value);
+          machines[parseInt(input.dataset.machinePockets)].toolCount = count > 0 ? count : null;
+        });
+      });
+      overlay.querySelectorAll('[data-machine-delete]').forEach(function(button) {
+        button.addEventListener('click', function() {
+          machines.splice(parseInt(button.dataset.machineDelete), 1);
+          render();
+        });
+      });
+      document.getElementById('machines-add').addEventListener('click', function() {
+        machines.push(createMachine('machine-' + Date.now(), 'Machine ' + (machines.length + 1)));
+        render();
+      });
+      document.getElementById('machines-cancel').addEventListener('click', close);
+      document.getElementById('machines-save').addEventListener('click', function() {
+        if (machines.some(m => !m.name.trim())) {
+          showToast('Every machine needs a name', { type: 'error' });
+          return;
+        }
+        inventory.updateSettings({ machines: machines.map(m => ({ ...m, name: m.name.trim() })) });
+        close();
+        reloadMachine();
+      });
+    }
+
+    render();
+  }
+
+  // Check whether a tool is below the life warning threshold
+  function isLifeLow(tool, settings = inventory.load()) {
+    const percent = getLifeRemainingPercent(tool);
+    return percent !== null && percent < settings.lifeWarningPercent;
+  }
+
+  // Format remaining life for the tables
+  function formatLife(tool, settings = inventory.load()) {
+    const percent = getLifeRemainingPercent(tool);
+    if (percent === null) return '—';
+
+    const remaining = Math.max(0, tool.life.total_minutes - (tool.life.used_minutes || 0));
+    let text = remaining.toFixed(0) + ' min (' + percent.toFixed(0) + '%)';
+    if (isLifeLow(tool, settings)) {
+      text += '<span class="life-badge">Replace</span>';
+    }
+    return text;
+  }
+
+  // Add tool
+  document.getElementById('add-tool-btn').addEventListener('click', function() {
+    showToolForm(null, inventory.nextId());
+  });
+
+  // Edit tool
+  window.editTool = function(toolId) {
+    const tool = tools.find(t => t.id === toolId);
+    if (tool) {
+      showToolForm(tool);
+    }
+  };
+
+  // Magazine slot editor: every pocket of the active machine, filled or empty. Tools are dragged
+  // (or clicked, then a pocket clicked) from the library into a pocket, between pockets, or back out.
+  // Each move is saved straight away and can be undone like any other change.
+  let refreshSlotEditor = null;
+
+  document.getElementById('slots-btn').addEventListener('click', showSlotEditor);
+
+  function showSlotEditor() {
+    let picked = null;
+    let librarySearch = '';
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = '<div class="modal-content modal-wide">' +
+      '<div class="modal-header">Magazine Slots: ' + escapeHtml(getActiveMachine(inventory.load()).name) + '</div>' +
+      '<div class="form-hint">Drag a tool into a pocket, onto another pocket to swap, or back to the library. ' +
+      'Without a mouse, click a tool and then the pocket or the library.</div>' +
+      '<div class="slot-editor">' +
+      '<div class="slot-grid" id="slot-grid"></div>' +
+      '<div class="slot-library" id="slot-library" data-slot="library">' +
+      '<div class="slot-library-title">Library</div>' +
+      '<input class="form-input" id="slot-library-search" placeholder="Filter library...">' +
+      '<div id="slot-library-list"></div>' +
+      '</div>' +
+      '</div>' +
+      '<div class="modal-footer">' +
+      '<button type="button" class="btn btn-primary" id="slot-editor-close">Close</button>' +
+      '</div>' +
+      '</div>';
+    document.body.appendChild(overlay);
+
+    function renderCard(tool, disabledReason) {
+      return '<div class="slot-card' + (picked === tool.id ? ' picked' : '') + (disabledReason ? ' disabled' : '') + '"' +
+        (disabledReason ? ' title="' + escapeHtml(disabledReason) + '"' : ' draggable="true" data-slot-tool="' + tool.id + '"') + '>' +
+        renderThumbnail(tool, 40) +
+        '<div class="slot-card-text"><div class="slot-card-name">' + escapeHtml(tool.name) + '</div>' +
+        '<div class="slot-card-meta">' + formatType(tool.type) + ' · Ø' + formatLengthWithUnits(tool.diameter, displayUnits()) + '</div></div>' +
+        '</div>';
+    }
+
+    function render() {
+      const activeToolNumber = inventory.getSettings().activeToolNumber;
+      const highest = tools.reduce((max, t) => (t.toolNumber !== null && t.toolNumber > max ? t.toolNumber : max), 0);
+
+      let grid = '';
+      for (let pocket = 1; pocket <= Math.max(maxToolCount, highest); pocket++) {
+        const tool = tools.find(t => t.toolNumber === pocket);
+        const over = pocket > maxToolCount;
+        if (over && !tool) continue;
+        grid += '<div class="slot' + (tool ? '' : ' empty') + (over ? ' over' : '') + (pocket === activeToolNumber ? ' active-tool' : '') + '"' +
+          (over ? ' title="Beyond the magazine\'s ' + maxToolCount + ' pockets"' : ' data-slot="' + pocket + '"') + '>' +
+          '<div class="slot-number">T' + pocket + (pocket === activeToolNumber ? ' · in spindle' : '') + '</div>' +
+          (tool ? renderCard(tool, null) : '<div class="slot-empty-text">Empty</div>') +
+          '</div>';
+      }
+      document.getElementById('slot-grid').innerHTML = grid;
+
+      const otherMachines = getOtherMachineAssignments(inventory.load());
+      const query = parseToolQuery(librarySearch, displayUnits());
+      const library = tools
+        .filter(t => t.toolNumber === null && matchesToolQuery(t, query))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      document.getElementById('slot-library-list').innerHTML = library.length === 0
+        ? '<div class="slot-empty-text">No tools</div>'
+        : library.map(function(tool) {
+          const other = otherMachines.get(tool.id);
+          return renderCard(tool, other ? 'On ' + other.machine.name + ' as T' + other.toolNumber : null);
+        }).join('');
+    }
+
+    function moveTool(toolId, toolNumber) {
+      picked = null;
+      const tool = tools.find(t => t.id === toolId);
+      if (!tool || tool.toolNumber === toolNumber) {
+        render();
+        return;
+      }
+
+      const result = upsertTool(tools, { ...tool, toolNumber: toolNumber });
+      let label = toolNumber === null
+        ? 'Moved ' + describeTool(tool) + ' to the library'
+        : 'Moved "' + tool.name + '" to T' + toolNumber;
+      if (result.swappedWith) {
+        label += tool.toolNumber !== null
+          ? ', swapped with "' + result.swappedWith.name + '"'
+          : ', "' + result.swappedWith.name + '" went to the library';
+      }
+      changeTools(label, function() {
+        return result.tools;
+      });
+    }
+
+    // Where a drop or click lands: a pocket number, null for the library, undefined for neither
+    function targetOf(element) {
+      const target = element.closest('[data-slot]');
+      if (!target) return undefined;
+      return target.dataset.slot === 'library' ? null : parseInt(target.dataset.slot);
+    }
+
+    // Clicks on the library's title or search field are not a target; its list and background are
+    function clickTargetOf(element) {
+      const library = element.closest('[data-slot="library"]');
+      if (library && element !== library && !element.closest('#slot-library-list')) return undefined;
+      return targetOf(element);
+    }
+
+    overlay.addEventListener('dragstart', function(e) {
+      const card = e.target.closest && e.target.closest('[data-slot-tool]');
+      if (!card) return;
+      e.dataTransfer.setData('text/plain', card.dataset.slotTool);
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    overlay.addEventListener('dragover', function(e) {
+      const target = e.target.closest('[data-slot]');
+      if (!target) return;
+      e.preventDefault();
+      overlay.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+      target.classList.add('drag-over');
+    });
+    overlay.addEventListener('dragleave', function(e) {
+      const target = e.target.closest('[data-slot]');
+      if (target && !target.contains(e.relatedTarget)) target.classList.remove('drag-over');
+    });
+    overlay.addEventListener('drop', function(e) {
+      const target = targetOf(e.target);
+      if (target === undefined) return;
+      e.preventDefault();
+      const toolId = parseInt(e.dataTransfer.getData('text/plain'));
+      if (Number.isInteger(toolId)) moveTool(toolId, target);
+    });
+    overlay.addEventListener('click', function(e) {
+      const card = e.target.closest('[data-slot-tool]');
+      const cardId = card ? parseInt(card.dataset.slotTool) : null;
+      if (picked === null || cardId === picked) {
+        // Pick a tool up, or put it back down by clicking it again
+        picked = picked === null ? cardId : null;
+        render();
+        return;
+      }
+      const target = clickTargetOf(e.target);
+      if (target !== undefined) moveTool(picked, target);
+    });
+
+    document.getElementById('slot-library-search').addEventListener('input', function(e) {
+      librarySearch = e.target.value;
+      render();
+    });
+    document.getElementById('slot-editor-close').addEventListener('click', function(e) {
+      e.stopPropagation();
+      refreshSlotEditor = null;
+      document.body.removeChild(overlay);
+    });
+
+    refreshSlotEditor = render;
+    render();
+  }
+
+  // Measure tool length offsets on the tool setter: one tool, or every magazine tool in sequence
+  window.measureTool = function(toolId) {
+    showMeasureDialog([toolId]);
+  };
+
+  document.getElementById('measure-all-btn').addEventListener('click', function() {
+    const magazine = tools
+      .filter(t => t.toolNumber !== null)
+      .sort((a, b) => a.toolNumber - b.toolNumber);
+    if (magazine.length === 0) {
+      showToast('No tools in the magazine to measure', { type: 'error' });
+      return;
+    }
+    showMeasureDialog(magazine.map(t => t.id));
+  });
+
+  // TLO for the optional column, with the drift of the last measurement
+  function formatTlo(tool, settings = inventory.load()) {
+    const drift = getTloDrift(tool);
+    let text = Number(tool.offsets.tlo || 0).toFixed(3);
+    if (drift !== null) {
+      text += ' (' + (drift >= 0 ? '+' : '') + drift.toFixed(3) + (isTloDriftHigh(drift, settings) ? ' ⚠' : '') + ')';
+    }
+    return text;
+  }
+
+  function isTloDriftHigh(drift, settings = inventory.load()) {
+    return drift !== null && Math.abs(drift) > settings.tloDriftWarnMm;
+  }
+
+  // The last measured TLO (hand-typed values aren't measurements, so they aren't compared)
+  function previousTlo(tool) {
+    const history = tool.offsets.tlo_history || [];
+    return history.length > 0 ? history[0].tlo : null;
+  }
+
+  function describeDrift(tool, tlo) {
+    const previous = previousTlo(tool);
+    if (previous === null) return 'First measurement';
+    const drift = Math.round((tlo - previous) * 1000) / 1000;
+    return 'Drift ' + (drift >= 0 ? '+' : '') + drift.toFixed(3) + ' mm from ' + previous.toFixed(3);
+  }
+
+  function showMeasureDialog(toolIds) {
+    const results = [];
+    let index = 0;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    document.body.appendChild(overlay);
+
+    // Save everything measured so far as one undoable change
+    function finish() {
+      document.body.removeChild(overlay);
+      if (results.length === 0) return;
+
+      const measured = results.map(result => ({ ...result, tool: tools.find(t => t.id === result.id) }));
+      const drifted = measured.filter(result => {
+        const previous = previousTlo(result.tool);
+        return previous !== null && isTloDriftHigh(result.tlo - previous);
+      });
+
+      const label = measured.length === 1
+        ? 'Measured TLO of ' + describeTool(measured[0].tool)
+        : 'Measured TLO of ' + measured.length + ' tools';
+      const measuredAt = new Date().toISOString();
+      changeTools(label, function(next) {
+        return next.map(function(tool) {
+          const result = measured.find(r => r.id === tool.id);
+          return result ? recordTloMeasurement(tool, result.tlo, measuredAt) : tool;
+        });
+      }, drifted.map(result => 'Check ' + describeTool(result.tool) + ': ' + describeDrift(result.tool, result.tlo)).join('\n'));
+    }
+
+    function renderStep() {
+      const tool = tools.find(t => t.id === toolIds[index]);
+      const settings = inventory.getSettings();
+      const step = toolIds.length > 1 ? ' (' + (index + 1) + ' of ' + toolIds.length + ')' : '';
+
+      overlay.innerHTML = '<div class="modal-content modal-wide">' +
+        '<div class="modal-header">Measure TLO: ' + escapeHtml(describeTool(tool)) + step + '</div>' +
+        '<div class="form-hint" style="margin-bottom: 12px;">Load the tool, run this macro from ncSender, then paste the probe report (or type the probed Z). ' +
+        'Plugins can\'t run macros or read the probe yet, so these steps are manual.</div>' +
+        '<pre class="tlo-macro" id="tlo-macro"></pre>' +
+        '<div class="form-group">' +
+        '<label class="form-label" for="tlo-probe-input">Probe result</label>' +
+        '<input type="text" class="form-input" id="tlo-probe-input" placeholder="[PRB:0.000,0.000,-42.318:1] or -42.318">' +
+        '<div class="form-hint" id="tlo-preview"></div>' +
+        '</div>' +
+        '<details class="tlo-settings"' + (getTloSetupErrors(settings).length > 0 ? ' open' : '') + '>' +
+        '<summary>Probe settings</summary>' +
+        '<div class="form-row">' +
+        '<div class="form-group">' +
+        '<label class="form-label" for="tlo-setter-x-input">Tool setter X (machine, mm)</label>' +
+        '<input type="number" class="form-input" id="tlo-setter-x-input" step="0.001" value="' + (settings.tloSetterX === null ? '' : settings.tloSetterX) + '">' +
+        '</div>' +
+        '<div class="form-group">' +
+        '<label class="form-label" for="tlo-setter-y-input">Tool setter Y (machine, mm)</label>' +
+        '<input type="number" class="form-input" id="tlo-setter-y-input" step="0.001" value="' + (settings.tloSetterY === null ? '' : settings.tloSetterY) + '">' +
+        '</div>' +
+        '</div>' +
+        '<div class="form-group">' +
+        '<label class="form-label" for="tlo-macro-input">Probe macro ({tool} is replaced with the T#, {x} and {y} with the tool setter position)</label>' +
+        '<textarea class="form-input" id="tlo-macro-input">' + escapeHtml(settings.tloMacro) + '</textarea>' +
+        '</div>' +
+        '<div class="form-row">' +
+        '<div class="form-group">' +
+        '<label class="form-label" for="tlo-reference-input">Reference tool probed Z (mm)</label>' +
+        '<input type="number" class="form-input" id="tlo-reference-input" step="0.001" placeholder="Probed Z of the reference tool" value="' + (settings.tloReferenceZ === null ? '' : settings.tloReferenceZ) + '">' +
+        '</div>' +
+        '<div class="form-group">' +
+        '<label class="form-label" for="tlo-drift-input">Flag drift above (mm)</label>' +
+        '<input type="number" class="form-input" id="tlo-drift-input" min="0" step="0.001" value="' + settings.tloDriftWarnMm + '">' +
+        '</div>' +
+        '</div>' +
+        '</details>' +
+        '<div class="modal-footer">' +
+        '<button type="button" class="btn btn-secondary" id="tlo-copy">Copy Macro</button>' +
+        '<button type="button" class="btn btn-secondary" id="tlo-stop">' + (results.length > 0 ? 'Stop and Save' : 'Cancel') + '</button>' +
+        (toolIds.length > 1 ? '<button type="button" class="btn btn-secondary" id="tlo-skip">Skip</button>' : '') +
+        '<button type="button" class="btn btn-primary" id="tlo-record">' + (index < toolIds.length - 1 ? 'Record and Next' : 'Record') + '</button>' +
+        '</div>' +
+        '</div>';
+
+      const probeInput = document.getElementById('tlo-probe-input');
+      const preview = document.getElementById('tlo-preview');
+
+      // The macro is only shown once it can't probe away from the setter or record a raw machine Z
+      function renderMacro() {
+        const current = inventory.getSettings();
+        const errors = getTloSetupErrors(current);
+        document.getElementById('tlo-macro').textContent = errors.length > 0
+          ? errors.join('. ') + ' under Probe settings. The macro is shown once they are set.'
+          : buildTloMacro(current, tool.toolNumber);
+        document.getElementById('tlo-copy').disabled = errors.length > 0;
+        document.getElementById('tlo-record').disabled = errors.length > 0;
+      }
+
+      function renderPreview() {
+        preview.classList.remove('tlo-drift-warning');
+        if (probeInput.value.trim() === '') {
+          preview.textContent = '';
+          return;
+        }
+
+        try {
+          const tlo = computeTlo(parseProbeResult(probeInput.value), inventory.getSettings().tloReferenceZ);
+          const previous = previousTlo(tool);
+          preview.textContent = 'TLO ' + tlo.toFixed(3) + ' mm. ' + describeDrift(tool, tlo) + '.';
+          if (previous !== null && isTloDriftHigh(tlo - previous)) {
+            preview.classList.add('tlo-drift-warning');
+            preview.textContent += ' Check that the tool is seated and not worn.';
+          }
+        } catch (error) {
+          preview.textContent = error.message;
+        }
+      }
+
+      function next() {
+        index++;
+        if (index < toolIds.length) {
+          renderStep();
+        } else {
+          finish();
+        }
+      }
+
+      renderMacro();
+      probeInput.focus();
+      probeInput.addEventListener('input', renderPreview);
+      probeInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          document.getElementById('tlo-record').click();
+        }
+      });
+
+      document.getElementById('tlo-macro-input').addEventListener('change', function(e) {
+        inventory.updateSettings({ tloMacro: e.target.value.trim() === '' ? DEFAULT_TLO_MACRO : e.target.value });
+        renderMacro();
+      });
+      [['tlo-setter-x-input', 'tloSetterX'], ['tlo-setter-y-input', 'tloSetterY'], ['tlo-reference-input', 'tloReferenceZ']].forEach(function([id, key]) {
+        document.getElementById(id).addEventListener('change', function(e) {
+          const value = parseFloat(e.target.value);
+          inventory.updateSettings({ [key]: Number.isFinite(value) ? value : null });
+          renderMacro();
+          renderPreview();
+        });
+      });
+      document.getElementById('tlo-drift-input').addEventListener('change', function(e) {
+        const value = parseFloat(e.target.value);
+        inventory.updateSettings({ tloDriftWarnMm: Number.isFinite(value) && value >= 0 ? value : DEFAULT_TLO_DRIFT_WARN_MM });
+        renderPreview();
+      });
+
+      document.getElementById('tlo-copy').addEventListener('click', function() {
+        const text = document.getElementById('tlo-macro').textContent;
+        if (!navigator.clipboard) {
+          showToast('Select the macro and copy it by hand', { type: 'error' });
+          return;
+        }
+        navigator.clipboard.writeText(text).then(
+          () => showToast('Macro copied'),
+          () => showToast('Select the macro and copy it by hand', { type: 'error' })
+        );
+      });
+      document.getElementById('tlo-stop').addEventListener('click', finish);
+      if (toolIds.length > 1) {
+        document.getElementById('tlo-skip').addEventListener('click', next);
+      }
+      document.getElementById('tlo-record').addEventListener('click', function() {
+        try {
+          const tlo = computeTlo(parseProbeResult(probeInput.value), inventory.getSettings().tloReferenceZ);
+          results.push({ id: tool.id, tlo });
+          next();
+        } catch (error) {
+          showToast(error.message, { type: 'error' });
+        }
+      });
+    }
+
+    renderStep();
+  }
+
+  // Delete tool
+  window.deleteTool = function(toolId) {
+    const tool = tools.find(t => t.id === toolId);
+    if (!tool) return;
+
+    changeTools('Deleted ' + describeTool(tool), function(next) {
+      return next.filter(t => t.id !== toolId);
+    });
+  };
+
+  // Retire a worn tool: its replacement comes out of stock and starts with fresh life counters
+  window.retireTool = function(toolId) {
+    const tool = tools.find(t => t.id === toolId);
+    if (!tool) return;
+
+    const result = retireTool(tool);
+    if (result.errors.length > 0) {
+      showToast(result.errors.join('\n'), { type: 'error' });
+      return;
+    }
+
+    const retired = result.tool;
+    const detail = Number.isInteger(retired.stock.quantity)
+      ? retired.stock.quantity + ' spare(s) left' + (isLowStock(retired) ? ', below the minimum of ' + retired.stock.minimum : '')
+      : null;
+
+    changeTools('Retired ' + describeTool(tool), function(next) {
+      return next.map(t => t.id === toolId ? retired : t);
+    }, detail);
+  };
+
+  // Show tool form
+  function showToolForm(tool, newId = null) {
+    const isEdit = tool !== null;
+    const formData = tool || {
+      id: newId,
+      toolNumber: null,
+      name: '',
+      type: 'flat',
+      diameter: 0,
+      units: displayUnits(),
+      offsets: { tlo: 0 },
+      metadata: { notes: '', image: '', sku: '' }
+    };
+    const formUnits = formData.units || 'mm';
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    // Build HTML using string concatenation to avoid template literal nesting issues
+    let html = '<div class="modal-content">';
+    html += '<div class="modal-header">' + (isEdit ? 'Edit Tool' : 'Add Tool') + '</div>';
+    html += '<form id="tool-form">';
+
+    // Tool Number (Optional)
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Tool Number (T#)</label>';
+    const otherMachine = isEdit ? getOtherMachineAssignments(inventory.load()).get(formData.id) : null;
+    html += '<select class="form-select" id="form-toolnumber"' + (otherMachine ? ' disabled' : '') + '>';
+
+    // Add "None" option
+    const hasNoToolNumber = formData.toolNumber === null || formData.toolNumber === undefined;
+    html += '<option value=""' + (hasNoToolNumber ? ' selected' : '') + '>None (Not in magazine)</option>';
+
+    // Show all tool numbers (including assigned ones with swap indicator)
+    for (let i = 1; i <= maxToolCount; i++) {
+      const selected = i === formData.toolNumber ? ' selected' : '';
+
+      // Check if this tool number is already assigned to another tool
+      const assignedTool = tools.find(t => t.toolNumber === i && (!isEdit || t.id !== formData.id));
+
+      if (assignedTool) {
+        // Show with swap indicator
+        html += '<option value="' + i + '"' + selected + '>T' + i + ' (Swap with: ' + escapeHtml(assignedTool.name) + ')</option>';
+      } else {
+        // Available slot
+        html += '<option value="' + i + '"' + selected + '>T' + i + '</option>';
+      }
+    }
+
+    html += '</select>';
+    if (otherMachine) {
+      html += '<div class="form-hint">In use on ' + escapeHtml(otherMachine.machine.name) + ' as T' + otherMachine.toolNumber + '. Unload it there to give it a T# on this machine.</div>';
+    }
+    html += '<div class="form-error hidden" id="error-toolnumber"></div>';
+    html += '</div>';
+
+    // Tool Name
+    html += '<div class="form-group">';
+    html += '<label class="form-label required">Tool Name / Description</label>';
+    html += '<input type="text" class="form-input" id="form-name" ';
+    html += 'value="' + escapeHtml(formData.name) + '" ';
+    html += 'placeholder="e.g., 1/4in Flat Endmill" required>';
+    html += '<div class="form-error hidden" id="error-name"></div>';
+    html += '</div>';
+
+    // Tool Type
+    html += '<div class="form-group">';
+    html += '<label class="form-label required">Tool Type</label>';
+    html += '<select class="form-select" id="form-type" required>';
+    html += '<option value="flat"' + (formData.type === 'flat' ? ' selected' : '') + '>Flat End Mill</option>';
+    html += '<option value="ball"' + (formData.type === 'ball' ? ' selected' : '') + '>Ball End Mill</option>';
+    html += '<option value="bull"' + (formData.type === 'bull' ? ' selected' : '') + '>Bull Nose End Mill</option>';
+    html += '<option value="v-bit"' + (formData.type === 'v-bit' ? ' selected' : '') + '>V-Bit</option>';
+    html += '<option value="drill"' + (formData.type === 'drill' ? ' selected' : '') + '>Drill</option>';
+    html += '<option value="chamfer"' + (formData.type === 'chamfer' ? ' selected' : '') + '>Chamfer</option>';
+    html += '<option value="surfacing"' + (formData.type === 'surfacing' ? ' selected' : '') + '>Surfacing</option>';
+    html += '<option value="thread-mill"' + (formData.type === 'thread-mill' ? ' selected' : '') + '>Thread Mill</option>';
+    html += '<option value="probe"' + (formData.type === 'probe' ? ' selected' : '') + '>Probe</option>';
+    html += '</select>';
+    html += '</div>';
+
+    // Diameter, in the tool's own units unless the value says otherwise (6.35mm, 1/4")
+    html += '<div class="form-row">';
+    html += '<div class="form-group">';
+    html += '<label class="form-label required">Diameter</label>';
+    html += '<input type="text" inputmode="decimal" class="form-input" id="form-diameter" data-length="Diameter" ';
+    html += 'value="' + escapeHtml(formData.diameter > 0 ? formatLengthInput(formData.diameter, formUnits) : '') + '" ';
+    html += 'placeholder="6.35, 0.25in or 1/4&quot;" required>';
+    html += '<div class="form-error hidden" id="error-diameter"></div>';
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Tool Units</label>';
+    html += '<select class="form-select" id="form-units">';
+    Object.keys(LENGTH_UNITS).forEach(function(key) {
+      html += '<option value="' + key + '"' + (key === formUnits ? ' selected' : '') + '>' + (key === 'inch' ? 'Inch' : 'Millimeters') + '</option>';
+    });
+    html += '</select>';
+    html += '<div class="form-hint">Plain numbers are read in these units. Exports keep them.</div>';
+    html += '</div>';
+    html += '</div>';
+
+    // TLO (hidden for now)
+    html += '<div class="form-group hidden">';
+    html += '<label class="form-label">Tool Length Offset - TLO (mm)</label>';
+    html += '<input type="number" class="form-input" id="form-tlo" ';
+    html += 'value="' + formData.offsets.tlo + '" step="0.001" placeholder="0">';
+    html += '</div>';
+
+    // Geometry (fields shown depend on the tool type)
+    const dimensions = formData.dimensions || {};
+    html += '<div class="form-section-title">Geometry</div>';
+    html += '<div class="form-row">';
+    DIMENSION_FIELDS.forEach(function(field) {
+      const value = dimensions[field.key];
+      html += '<div class="form-group" data-types="' + (field.types ? field.types.join(' ') : '') + '">';
+      html += '<label class="form-label">' + field.label + '</label>';
+      if (field.length) {
+        html += '<input type="text" inputmode="decimal" class="form-input" id="form-dim-' + field.key + '" data-length="' + field.name + '" ';
+        html += 'value="' + escapeHtml(formatLengthInput(value, formUnits)) + '">';
+      } else {
+        html += '<input type="number" class="form-input" id="form-dim-' + field.key + '" ';
+        html += 'value="' + (value === null || value === undefined ? '' : value) + '" step="any" min="0">';
+      }
+      html += '</div>';
+    });
+    html += '</div>';
+
+    // Live side view, drawn to scale, so a wrong angle or length stands out before saving
+    html += '<div class="form-profile">';
+    html += '<div id="form-profile-drawing"></div>';
+    html += '<div class="form-error hidden" id="form-profile-errors"></div>';
+    html += '</div>';
+
+    // Specs
+    const specs = formData.specs || {};
+    html += '<div class="form-row">';
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Tool Material</label>';
+    html += '<input type="text" class="form-input" id="form-material" list="material-options" ';
+    html += 'value="' + escapeHtml(specs.material || '') + '" placeholder="e.g., Carbide">';
+    html += '<datalist id="material-options">';
+    TOOL_MATERIAL_OPTIONS.forEach(function(option) {
+      html += '<option value="' + option + '">';
+    });
+    html += '</datalist>';
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Coating</label>';
+    html += '<input type="text" class="form-input" id="form-coating" list="coating-options" ';
+    html += 'value="' + escapeHtml(specs.coating || '') + '" placeholder="e.g., TiAlN">';
+    html += '<datalist id="coating-options">';
+    COATING_OPTIONS.forEach(function(option) {
+      html += '<option value="' + option + '">';
+    });
+    html += '</datalist>';
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Flutes</label>';
+    html += '<input type="number" class="form-input" id="form-flutes" min="1" step="1" ';
+    html += 'value="' + (specs.flutes ?? '') + '" placeholder="e.g., 2">';
+    html += '</div>';
+    html += '</div>';
+
+    // Feeds and speeds presets, one per workpiece material
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Feeds &amp; Speeds</label>';
+    html += '<div id="form-presets"></div>';
+    html += '<datalist id="workpiece-options">';
+    WORKPIECE_MATERIALS.forEach(function(option) {
+      html += '<option value="' + option + '">';
+    });
+    html += '</datalist>';
+    html += '<button type="button" class="btn btn-small btn-secondary" id="form-preset-add">Add Preset</button>';
+    html += '<div class="form-hint">Chip load comes from feed, RPM and flute count. Type a chip load to calculate the feed instead.</div>';
+    html += '</div>';
+
+    // Tool life
+    const life = formData.life || { enabled: false, total_minutes: null, used_minutes: 0, usage_count: 0 };
+    html += '<div class="form-group">';
+    html += '<label class="form-checkbox">';
+    html += '<input type="checkbox" id="form-life-enabled"' + (life.enabled ? ' checked' : '') + '>';
+    html += 'Track tool life';
+    html += '</label>';
+    html += '</div>';
+
+    html += '<div class="form-group' + (life.enabled ? '' : ' hidden') + '" id="form-life-group">';
+    html += '<label class="form-label">Expected Life (spindle minutes)</label>';
+    html += '<input type="number" class="form-input" id="form-life-total" ';
+    html += 'value="' + (life.total_minutes ?? '') + '" min="1" step="1" placeholder="e.g., 600">';
+    html += '<div class="form-hint" id="form-life-usage">';
+    html += 'Used: ' + (life.used_minutes || 0).toFixed(1) + ' min over ' + (life.usage_count || 0) + ' job(s)';
+    html += '</div>';
+    html += '<label class="form-checkbox" style="margin-top: 8px;">';
+    html += '<input type="checkbox" id="form-life-reset">';
+    html += 'Reset usage counters (tool replaced or resharpened)';
+    html += '</label>';
+    html += '</div>';
+
+    // Physical instances of this tool; one of them can be mounted in the slot
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Instances</label>';
+    html += '<div id="form-instances"></div>';
+    html += '<button type="button" class="btn btn-small btn-secondary" id="form-instance-add">Add Instance</button>';
+    html += '<div class="form-hint">Back from regrind: enter the measured diameter, then click Reground.</div>';
+    html += '</div>';
+
+    // Notes
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Notes</label>';
+    html += '<textarea class="form-textarea" id="form-notes" ';
+    html += 'placeholder="Any additional information about this tool...">';
+    html += escapeHtml(formData.metadata.notes || '');
+    html += '</textarea>';
+    html += '</div>';
+
+    // SKU
+    html += '<div class="form-group">';
+    html += '<label class="form-label">SKU / Part Number</label>';
+    html += '<input type="text" class="form-input" id="form-sku" ';
+    html += 'value="' + escapeHtml(formData.metadata.sku || '') + '" ';
+    html += 'placeholder="e.g., MANUFACTURER-12345">';
+    html += '</div>';
+
+    // Stock (leave On Hand empty for tools that aren't counted)
+    const stock = formData.stock || {};
+    html += '<div class="form-row">';
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Spares On Hand</label>';
+    html += '<input type="number" class="form-input" id="form-stock-quantity" ';
+    html += 'value="' + (stock.quantity ?? '') + '" min="0" step="1" placeholder="Not counted">';
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Minimum Stock</label>';
+    html += '<input type="number" class="form-input" id="form-stock-minimum" ';
+    html += 'value="' + (stock.minimum ?? '') + '" min="0" step="1" placeholder="e.g., 2">';
+    html += '</div>';
+    html += '</div>';
+    html += '<div class="form-row">';
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Supplier</label>';
+    html += '<input type="text" class="form-input" id="form-stock-supplier" list="supplier-options" ';
+    html += 'value="' + escapeHtml(stock.supplier || '') + '" placeholder="e.g., Amana Tool">';
+    html += '<datalist id="supplier-options">';
+    [...new Set(tools.map(t => t.stock && t.stock.supplier).filter(Boolean))].sort().forEach(function(option) {
+      html += '<option value="' + escapeHtml(option) + '">';
+    });
+    html += '</datalist>';
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Unit Price</label>';
+    html += '<input type="number" class="form-input" id="form-stock-price" ';
+    html += 'value="' + (stock.price ?? '') + '" min="0" step="0.01" placeholder="e.g., 24.50">';
+    html += '</div>';
+    html += '</div>';
+
+    // Image, stored with the plugin settings (no network needed)
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Image</label>';
+    html += '<div class="form-image-preview">';
+    html += '<span id="form-image-preview"></span>';
+    html += '<input type="file" id="form-image-file" accept="image/*" class="hidden">';
+    html += '<button type="button" class="btn btn-small btn-secondary" id="form-image-upload">Upload Image</button>';
+    html += '<button type="button" class="btn btn-small btn-secondary" id="form-image-remove">Remove</button>';
+    html += '</div>';
+    html += '<div class="form-hint">Without an image, the tables show a drawing of the tool.</div>';
+    html += '</div>';
+
+    // Footer
+    html += '<div class="modal-footer">';
+    html += '<button type="button" class="btn btn-secondary" id="form-cancel">Cancel</button>';
+    html += '<button type="submit" class="btn btn-primary">' + (isEdit ? 'Save Changes' : 'Add Tool') + '</button>';
+    html += '</div>';
+
+    html += '</form>';
+    html += '</div>';
+
+    overlay.innerHTML = html;
+    document.body.appendChild(overlay);
+
+    // Cancel button
+    document.getElementById('form-cancel').addEventListener('click', function() {
+      document.body.removeChild(overlay);
+    });
+
+    // Show only the geometry fields that apply to the selected type
+    function updateGeometryFields() {
+      const type = document.getElementById('form-type').value;
+      overlay.querySelectorAll('[data-types]').forEach(function(group) {
+        const types = group.getAttribute('data-types');
+        group.classList.toggle('hidden', types !== '' && !types.split(' ').includes(type));
+      });
+    }
+    document.getElementById('form-type').addEventListener('change', updateGeometryFields);
+    updateGeometryFields();
+
+    // Redraw the profile from the current field values on every edit
+    function updateProfile() {
+      const type = document.getElementById('form-type').value;
+      const draft = {
+        type: type,
+        diameter: readLengthField('form-diameter') || 0,
+        dimensions: buildDimensions(type)
+      };
+      document.getElementById('form-profile-drawing').innerHTML = buildToolProfileSvg(draft, {
+        width: 320, height: 200, annotate: true, units: document.getElementById('form-units').value
+      });
+
+      const errors = draft.diameter > 0 ? validateDimensions(draft) : [];
+      const errorsEl = document.getElementById('form-profile-errors');
+      errorsEl.textContent = errors.join('. ');
+      errorsEl.classList.toggle('hidden', errors.length === 0);
+    }
+    document.getElementById('form-type').addEventListener('change', updateProfile);
+    document.getElementById('form-diameter').addEventListener('input', updateProfile);
+
+    // Changing the tool's units rewrites the length fields in the new units
+    let previousUnits = formUnits;
+    document.getElementById('form-units').addEventListener('change', function(e) {
+      overlay.querySelectorAll('[data-length]').forEach(function(input) {
+        try {
+          const length = parseLength(input.value, previousUnits);
+          input.value = length === null ? '' : formatLengthInput(length.mm, e.target.value);
+        } catch (error) {
+          // Leave unreadable text for the user to fix
+        }
+      });
+      previousUnits = e.target.value;
+      renderInstances();
+      renderPresets();
+      updateProfile();
+    });
+    DIMENSION_FIELDS.forEach(function(field) {
+      document.getElementById('form-dim-' + field.key).addEventListener('input', updateProfile);
+    });
+    updateProfile();
+
+    // Show life fields only while tracking is enabled
+    document.getElementById('form-life-enabled').addEventListener('change', function(e) {
+      document.getElementById('form-life-group').classList.toggle('hidden', !e.target.checked);
+    });
+
+    // Image: an upload is scaled down and kept as a data URL until the tool is saved
+    let formImage = formData.metadata.image || '';
+
+    function renderImagePreview() {
+      const preview = { ...formData, metadata: { ...formData.metadata, image: formImage } };
+      document.getElementById('form-image-preview').innerHTML = renderThumbnail(preview, 96);
+      document.getElementById('form-image-remove').classList.toggle('hidden', !formImage);
+    }
+    renderImagePreview();
+
+    document.getElementById('form-image-upload').addEventListener('click', function() {
+      document.getElementById('form-image-file').click();
+    });
+    document.getElementById('form-image-file').addEventListener('change', function(e) {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+
+      resizeImage(file).then(function(dataUrl) {
+        formImage = dataUrl;
+        renderImagePreview();
+      }).catch(function(error) {
+        showToast(error.message, { type: 'error' });
+      });
+    });
+    document.getElementById('form-image-remove').addEventListener('click', function() {
+      formImage = '';
+      renderImagePreview();
+    });
+
+    // Presets are edited here and saved with the tool; chip load and surface speed are calculated live
+    let presets = JSON.parse(JSON.stringify(formData.presets || []));
+
+    function formFlutes() {
+      return parseInt(document.getElementById('form-flutes').value) || null;
+    }
+
+    // Feeds and depths are stored in mm and shown in the tool's units
+    function presetUnits() {
+      return document.getElementById('form-units').value;
+    }
+
+    function formatPresetValue(field, value) {
+      if (value === null || value === undefined) return '';
+      if (!field.length || presetUnits() !== 'inch') return String(value);
+      return String(Number(fromMm(value, 'inch').toFixed(field.rate ? 2 : 4)));
+    }
+
+    function formatChipLoad(preset) {
+      const chipLoad = computeChipLoad(preset.feed, preset.rpm, formFlutes());
+      if (chipLoad === null) return '';
+      return presetUnits() === 'inch' ? fromMm(chipLoad, 'inch').toFixed(5) : chipLoad.toFixed(4);
+    }
+
+    function formatSurfaceSpeed(preset) {
+      const speed = computeSurfaceSpeed(preset.rpm, readLengthField('form-diameter'));
+      if (speed === null) return '—';
+      // Surface feet per minute for inch tools
+      return presetUnits() === 'inch' ? (speed / 0.3048).toFixed(0) + ' sfm' : speed.toFixed(0) + ' m/min';
+    }
+
+    function updatePresetResults() {
+      presets.forEach(function(preset, index) {
+        const chipLoadInput = overlay.querySelector('[data-preset-chipload="' + index + '"]');
+        if (chipLoadInput && document.activeElement !== chipLoadInput) {
+          chipLoadInput.value = formatChipLoad(preset);
+        }
+        const speed = overlay.querySelector('[data-preset-speed="' + index + '"]');
+        if (speed) speed.textContent = formatSurfaceSpeed(preset);
+      });
+    }
+
+    function renderPresets() {
+      const container = document.getElementById('form-presets');
+      if (presets.length === 0) {
+        container.innerHTML = '<div class="form-hint">No presets yet.</div>';
+        return;
+      }
+
+      let table = '<table class="machine-table"><thead><tr><th>Material</th>';
+      PRESET_FIELDS.forEach(function(field) {
+        table += '<th>' + escapeHtml(presetFieldLabel(field, presetUnits())) + '</th>';
+      });
+      table += '<th>Chip Load (' + (presetUnits() === 'inch' ? 'in' : 'mm') + '/tooth)</th><th>Surface Speed</th><th></th></tr></thead><tbody>';
+      presets.forEach(function(preset, index) {
+        table += '<tr>';
+        table += '<td><input class="form-input" list="workpiece-options" data-preset-material="' + index + '" value="' + escapeHtml(preset.material) + '"></td>';
+        PRESET_FIELDS.forEach(function(field) {
+          table += '<td><input class="form-input" type="number" min="0" step="any" data-preset-field="' + field.key + '" data-preset-index="' + index + '" value="' + formatPresetValue(field, preset[field.key]) + '"></td>';
+        });
+        table += '<td><input class="form-input" type="number" min="0" step="any" data-preset-chipload="' + index + '" value="' + formatChipLoad(preset) + '"></td>';
+        table += '<td data-preset-speed="' + index + '">' + formatSurfaceSpeed(preset) + '</td>';
+        table += '<td><button type="button" class="btn btn-small btn-danger" data-preset-remove="' + index + '">Remove</button></td>';
+        table += '</tr>';
+      });
+      table += '</tbody></table>';
+      container.innerHTML = table;
+
+      container.querySelectorAll('[data-preset-material]').forEach(function(input) {
+        input.addEventListener('input', function() {
+          presets[parseInt(input.dataset.presetMaterial)].material = input.value.trim();
+        });
+      });
+      container.querySelectorAll('[data-preset-field]').forEach(function(input) {
+        input.addEventListener('input', function() {
+          const field = PRESET_FIELDS.find(f => f.key === input.dataset.presetField);
+          const value = input.value === '' ? null : parseFloat(input.value);
+          presets[parseInt(input.dataset.presetIndex)][field.key] = field.length && value !== null ? toMm(value, presetUnits()) : value;
+          updatePresetResults();
+        });
+      });
+      // Calculator: a chip load sets the feed for the preset's RPM and the tool's flutes
+      container.querySelectorAll('[data-preset-chipload]').forEach(function(input) {
+        input.addEventListener('input', function() {
+          const index = parseInt(input.dataset.presetChipload);
+          const feed = computeFeedForChipLoad(toMm(parseFloat(input.value), presetUnits()), presets[index].rpm, formFlutes());
+          if (feed !== null) {
+            presets[index].feed = feed;
+            overlay.querySelector('[data-preset-field="feed"][data-preset-index="' + index + '"]').value =
+              formatPresetValue(PRESET_FIELDS.find(f => f.key === 'feed'), feed);
+          }
+        });
+      });
+      container.querySelectorAll('[data-preset-remove]').forEach(function(button) {
+        button.addEventListener('click', function() {
+          presets.splice(parseInt(button.dataset.presetRemove), 1);
+          renderPresets();
+        });
+      });
+    }
+    renderPresets();
+
+    document.getElementById('form-preset-add').addEventListener('click', function() {
+      const used = presets.map(p => p.material.toLowerCase());
+      presets.push(createPreset(WORKPIECE_MATERIALS.find(m => !used.includes(m.toLowerCase())) || ''));
+      renderPresets();
+    });
+    document.getElementById('form-flutes').addEventListener('input', updatePresetResults);
+    document.getElementById('form-diameter').addEventListener('input', updatePresetResults);
+
+    // Instances are edited here and saved with the tool
+    let instances = JSON.parse(JSON.stringify(formData.instances || []));
+    let mountedInstanceId = formData.mountedInstanceId ?? null;
+
+    function renderInstances() {
+      const container = document.getElementById('form-instances');
+      const units = document.getElementById('form-units').value;
+      if (instances.length === 0) {
+        container.innerHTML = '<div class="form-hint">No instances. Add one per physical cutter to track them separately.</div>';
+        return;
+      }
+
+      let table = '<table class="machine-table"><thead><tr>';
+      table += '<th>Mounted</th><th>Serial / Label</th><th>Status</th><th>Diameter</th><th>Regrinds</th><th>Used</th><th></th>';
+      table += '</tr></thead><tbody>';
+      instances.forEach(function(instance, index) {
+        const lastJob = (instance.jobs || [])[0];
+        table += '<tr' + (lastJob ? ' title="Last job: ' + escapeHtml((lastJob.file || 'unnamed') + ', ' + new Date(lastJob.at).toLocaleString()) + '"' : '') + '>';
+        table += '<td><input type="radio" name="form-instance-mounted" data-instance-mount="' + index + '"' +
+          (instance.id === mountedInstanceId ? ' checked' : '') + (instance.status === 'scrapped' ? ' disabled' : '') + '></td>';
+        table += '<td><input class="form-input" data-instance-serial="' + index + '" value="' + escapeHtml(instance.serial) + '"></td>';
+        table += '<td><select class="form-select" data-instance-status="' + index + '">' +
+          INSTANCE_STATUSES.map(status =>
+            '<option value="' + status.key + '"' + (status.key === instance.status ? ' selected' : '') + '>' + status.label + '</option>'
+          ).join('') + '</select></td>';
+        table += '<td><input class="form-input" type="text" inputmode="decimal" data-instance-diameter="' + index + '" value="' +
+          escapeHtml(formatLengthInput(instance.diameter, units)) + '" placeholder="' + escapeHtml(formatLengthInput(formData.diameter || null, units)) + '"></td>';
+        table += '<td>' + (instance.regrind_count || 0) + '</td>';
+        table += '<td>' + (instance.used_minutes || 0).toFixed(1) + ' min, ' + (instance.usage_count || 0) + ' job(s)</td>';
+        table += '<td><div class="tool-actions">' +
+          '<button type="button" class="btn btn-small btn-secondary" data-instance-regrind="' + index + '">Reground</button>' +
+          '<button type="button" class="btn btn-small btn-danger" data-instance-remove="' + index + '">Remove</button>' +
+          '</div></td>';
+        table += '</tr>';
+      });
+      table += '</tbody></table>';
+      container.innerHTML = table;
+
+      container.querySelectorAll('[data-instance-mount]').forEach(function(input) {
+        input.addEventListener('change', function() {
+          mountedInstanceId = instances[parseInt(input.dataset.instanceMount)].id;
+        });
+      });
+      container.querySelectorAll('[data-instance-serial]').forEach(function(input) {
+        input.addEventListener('input', function() {
+          instances[parseInt(input.dataset.instanceSerial)].serial = input.value.trim();
+        });
+      });
+      container.querySelectorAll('[data-instance-status]').forEach(function(select) {
+        select.addEventListener('change', function() {
+          const instance = instances[parseInt(select.dataset.instanceStatus)];
+          instance.status = select.value;
+          if (instance.status === 'scrapped' && instance.id === mountedInstanceId) {
+            mountedInstanceId = null;
+          }
+          renderInstances();
+        });
+      });
+      container.querySelectorAll('[data-instance-diameter]').forEach(function(input) {
+        input.addEventListener('input', function() {
+          let diameter;
+          try {
+            const length = parseLength(input.value, document.getElementById('form-units').value);
+            diameter = length === null ? null : length.mm;
+          } catch (error) {
+            diameter = NaN;
+          }
+          instances[parseInt(input.dataset.instanceDiameter)].diameter = diameter;
+        });
+      });
+      container.querySelectorAll('[data-instance-regrind]').forEach(function(button) {
+        button.addEventListener('click', function() {
+          const index = parseInt(button.dataset.instanceRegrind);
+          const diameter = instances[index].diameter;
+          if (!(diameter > 0)) {
+            showToast('Enter the diameter measured after regrinding first', { type: 'error' });
+            return;
+          }
+          instances[index] = regrindInstance(instances[index], diameter);
+          renderInstances();
+        });
+      });
+      container.querySelectorAll('[data-instance-remove]').forEach(function(button) {
+        button.addEventListener('click', function() {
+          const removed = instances.splice(parseInt(button.dataset.instanceRemove), 1)[0];
+          if (removed.id === mountedInstanceId) {
+            mountedInstanceId = null;
+          }
+          renderInstances();
+        });
+      });
+    }
+    renderInstances();
+
+    document.getElementById('form-instance-add').addEventListener('click', function() {
+      const id = generateInstanceId({ instances: instances });
+      instances.push(createInstance(id, String(id)));
+      renderInstances();
+    });
+
+    // Form submission
+    document.getElementById('tool-form').addEventListener('submit', function(e) {
+      e.preventDefault();
+
+      // Collect form data
+      const toolNumberValue = document.getElementById('form-toolnumber').value;
+      const newToolNumber = toolNumberValue === '' ? null : parseInt(toolNumberValue);
+
+      let newTool = {
+        id: formData.id, // Keep internal ID
+        toolNumber: newToolNumber,
+        name: document.getElementById('form-name').value.trim(),
+        type: document.getElementById('form-type').value,
+        diameter: readLengthField('form-diameter'),
+        units: document.getElementById('form-units').value,
+        offsets: {
+          ...formData.offsets,
+          tlo: parseFloat(document.getElementById('form-tlo').value) || 0
+        },
+        metadata: {
+          notes: document.getElementById('form-notes').value.trim(),
+          image: formImage,
+          sku: document.getElementById('form-sku').value.trim()
+        },
+        dimensions: buildDimensions(document.getElementById('form-type').value),
+        specs: {
+          ...specs,
+          material: document.getElementById('form-material').value.trim() || null,
+          coating: document.getElementById('form-coating').value.trim() || null,
+          flutes: document.getElementById('form-flutes').value === '' ? null : parseFloat(document.getElementById('form-flutes').value)
+        },
+        presets: presets,
+        life: buildLife(life),
+        stock: buildStock(),
+        instances: instances,
+        mountedInstanceId: mountedInstanceId
+      };
+      if (mountedInstanceId !== null) {
+        // The tool's life counters follow the mounted instance, so a reset applies to that instance
+        if (document.getElementById('form-life-reset').checked) {
+          newTool.instances = instances.map(i => i.id === mountedInstanceId ? { ...i, used_minutes: 0, usage_count: 0 } : i);
+        }
+        newTool = mountInstance(newTool, mountedInstanceId);
+      }
+
+      // Validate, reporting lengths that can't be read (e.g. "1/4x") before anything else
+      const unreadable = [];
+      overlay.querySelectorAll('[data-length]').forEach(function(input) {
+        if (input.closest('.hidden')) return;
+        try {
+          parseLength(input.value, newTool.units);
+        } catch (error) {
+          unreadable.push(input.dataset.length + ': ' + error.message);
+        }
+      });
+      const errors = unreadable.length > 0 ? unreadable : inventory.validate(newTool);
+      if (errors.length > 0) {
+        showToast('Validation errors:\n' + errors.join('\n'), { type: 'error' });
+        return;
+      }
+
+      // Another tool holding the chosen T# takes this tool's old number (or none)
+      const result = upsertTool(tools, newTool);
+
+      let label = (isEdit ? 'Edited ' : 'Added ') + describeTool(newTool);
+      if (result.swappedWith) {
+        label += ', swapped with "' + result.swappedWith.name + '"';
+      }
+
+      changeTools(label, function() {
+        return result.tools;
+      });
+      document.body.removeChild(overlay);
+    });
+  }
+
+  // Build the dimensions block from the form, clearing fields that don't apply to the type
+  function buildDimensions(type) {
+    const dimensions = {};
+    DIMENSION_FIELDS.forEach(function(field) {
+      const value = document.getElementById('form-dim-' + field.key).value;
+      const applies = !field.types || field.types.includes(type);
+      if (!applies || value === '') {
+        dimensions[field.key] = null;
+      } else {
+        dimensions[field.key] = field.length ? readLengthField('form-dim-' + field.key) : parseFloat(value);
+      }
+    });
+    return dimensions;
+  }
+
+  // Read a length field of the tool form in mm: null when empty, NaN when it can't be read
+  function readLengthField(id) {
+    try {
+      const length = parseLength(document.getElementById(id).value, document.getElementById('form-units').value);
+      return length === null ? null : length.mm;
+    } catch (error) {
+      return NaN;
+    }
+  }
+
+  // A length in mm as text for a form field in the given units. Inches are written as a fraction
+  // when exact, otherwise in full so re-saving the form doesn't round the stored value.
+  function formatLengthInput(value, units) {
+    if (value === null || value === undefined || value === '') return '';
+    if (units !== 'inch') return String(value);
+    const text = formatLength(value, 'inch');
+    return text.includes('/') || !text.includes('.') ? text : String(fromMm(value, 'inch'));
+  }
+
+  // Build the life block from the form, keeping accumulated usage unless reset
+  function buildLife(previousLife) {
+    const enabled = document.getElementById('form-life-enabled').checked;
+    const totalValue = document.getElementById('form-life-total').value;
+    const totalMinutes = totalValue === '' ? null : parseFloat(totalValue);
+    const reset = document.getElementById('form-life-reset').checked;
+    const usedMinutes = reset ? 0 : (previousLife.used_minutes || 0);
+
+    return {
+      enabled: enabled,
+      total_minutes: totalMinutes,
+      used_minutes: usedMinutes,
+      remaining_minutes: totalMinutes === null ? null : Math.max(0, totalMinutes - usedMinutes),
+      usage_count: reset ? 0 : (previousLife.usage_count || 0)
+    };
+  }
+
+  // Read an image file and scale it to at most IMAGE_MAX_SIZE px, as a JPEG data URL
+  function resizeImage(file) {
+    return new Promise(function(resolve, reject) {
+      const reader = new FileReader();
+      reader.onerror = function() {
+        reject(new Error('Could not read ' + file.name));
+      };
+      reader.onload = function(event) {
+        const img = new Image();
+        img.onerror = function() {
+          reject(new Error(file.name + ' is not an image that can be shown here'));
+        };
+        img.onload = function() {
+          const scale = Math.min(1, IMAGE_MAX_SIZE / Math.max(img.width, img.height));
+          const canvas = document.createElement('canvas');
+          canvas.width = Math.max(1, Math.round(img.width * scale));
+          canvas.height = Math.max(1, Math.round(img.height * scale));
+          const context = canvas.getContext('2d');
+          // JPEG has no transparency; product photos on a transparent background stay white
+          context.fillStyle = '#ffffff';
+          context.fillRect(0, 0, canvas.width, canvas.height);
+          context.drawImage(img, 0, 0, canvas.width, canvas.height);
+          resolve(canvas.toDataURL('image/jpeg', 0.85));
+        };
+        img.src = event.target.result;
+      };
+      reader.readAsDataURL(file);
+    });
+  }
+
+  // Build the stock block from the form; empty numbers are stored as null (not counted)
+  function buildStock() {
+    const numberOrNull = function(id) {
+      const value = document.getElementById(id).value;
+      return value === '' ? null : parseFloat(value);
+    };
+
+    return {
+      quantity: numberOrNull('form-stock-quantity'),
+      minimum: numberOrNull('form-stock-minimum'),
+      supplier: document.getElementById('form-stock-supplier').value.trim(),
+      price: numberOrNull('form-stock-price')
+    };
+  }
+
+  // Short label for a tool in toasts and history, e.g. 'T5 "1/4in Flat Endmill"'
+  function describeTool(tool) {
+    return (tool.toolNumber !== null && tool.toolNumber !== undefined ? 'T' + tool.toolNumber + ' ' : '') + '"' + tool.name + '"';
+  }
+
+  // Undo/redo: each entry holds the tool table on the other side of a labelled change
+  const MAX_UNDO_STEPS = 50;
+  let undoStack = [];
+  let redoStack = [];
+
+  // Apply a change to a copy of the tool table, save it, and offer to undo it
+  function changeTools(label, updater, detail) {
+    undoStack.push({ label: label, tools: JSON.parse(JSON.stringify(tools)) });
+    if (undoStack.length > MAX_UNDO_STEPS) {
+      undoStack.shift();
+    }
+    redoStack = [];
+
+    tools = updater(JSON.parse(JSON.stringify(tools)));
+    refreshAfterChange(label);
+    showToast(label + (detail ? '\n' + detail : ''), { actionLabel: 'Undo', onAction: undo });
+  }
+
+  function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return;
+
+    redoStack.push({ label: entry.label, tools: tools });
+    tools = entry.tools;
+    refreshAfterChange('Undid: ' + entry.label);
+    showToast('Undid: ' + entry.label, { actionLabel: 'Redo', onAction: redo });
+  }
+
+  function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return;
+
+    undoStack.push({ label: entry.label, tools: tools });
+    tools = entry.tools;
+    refreshAfterChange('Redid: ' + entry.label);
+    showToast('Redid: ' + entry.label, { actionLabel: 'Undo', onAction: undo });
+  }
+
+  function refreshAfterChange(reason) {
+    tools = inventory.replaceTools(tools, reason);
+    applyFilters();
+    updateToolCount();
+    if (refreshSlotEditor) refreshSlotEditor();
+    document.getElementById('undo-btn').disabled = undoStack.length === 0;
+    document.getElementById('redo-btn').disabled = redoStack.length === 0;
+  }
+
+  document.getElementById('undo-btn').addEventListener('click', undo);
+  document.getElementById('redo-btn').addEventListener('click', redo);
+
+  // Non-blocking notification, optionally with an action button (e.g. Undo)
+  function showToast(message, options = {}) {
+    const toast = document.createElement('div');
+    toast.className = 'toast' + (options.type === 'error' ? ' error' : '');
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+
+    const dismiss = function() {
+      if (toast.parentNode) {
+        toast.parentNode.removeChild(toast);
+      }
+    };
+
+    if (options.actionLabel) {
+      const action = document.createElement('button');
+      action.type = 'button';
+      action.className = 'toast-action';
+      action.textContent = options.actionLabel;
+      action.addEventListener('click', function() {
+        dismiss();
+        options.onAction();
+      });
+      toast.appendChild(action);
+    }
+
+    document.getElementById('toast-container').appendChild(toast);
+    setTimeout(dismiss, options.type === 'error' ? 10000 : 6000);
+  }
+
+  // Store for the inventory service: write the settings through the plugin settings API
+  // Saves run one after another, so an older save can't land after a newer one
+  let saveQueue = Promise.resolve();
+
+  function persistSettings(base, settings) {
+    saveQueue = saveQueue.then(function() {
+      return saveSettings(base, settings);
+    });
+    return saveQueue;
+  }
+
+  // ncSender has no way for a dialog to call its plugin, so saves can't go through the server's inventory
+  // service: read, fold in what the server recorded, and write back. A server write between the two is lost.
+  async function saveSettings(base, settings) {
+    const url = '/api/plugins/com.ncsender.toolinventory/settings';
+    try {
+      // Usage and the active tool may have been recorded by the server since the dialog opened
+      let merged = settings;
+      const current = await fetch(url);
+      if (current.ok) {
+        merged = mergeServerRecorded(base, settings, (await current.json()) || {});
+        merged = { ...merged, lookup: buildBrowserLookup(merged) };
+      }
+
+      const response = await fetch(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(merged)
+      });
+
+      if (!response.ok) {
+        console.error('Failed to save tools');
+      } else {
+        // Broadcast event to notify other components (like GCodeVisualizer)
+        window.postMessage({
+          type: 'tool-inventory-updated',
+          pluginId: 'com.ncsender.toolinventory',
+          data: { tools: merged.tools, lookup: merged.lookup }
+        }, '*');
+      }
+    } catch (error) {
+      console.error('Error saving tools:', error);
+    }
+  }
+
+  // Export tools
+  const EXPORT_FORMATS = [
+    { key: 'json', label: 'Tool Inventory JSON (for importing back into this plugin)' },
+    { key: 'fusion', label: 'Fusion 360 tool library (.json)' },
+    { key: 'csv', label: 'CSV spreadsheet (.csv)' },
+    { key: 'linuxcnc', label: 'LinuxCNC tool table (tool.tbl, magazine only)' },
+    { key: 'setup-sheet', label: 'Magazine setup sheet (printable HTML / PDF)' }
+  ];
+
+  document.getElementById('export-btn').addEventListener('click', function() {
+    if (tools.length === 0) {
+      showToast('No tools to export', { type: 'error' });
+      return;
+    }
+    showExportDialog(tools, 'Export Tools');
+  });
+
+  // Export a list of tools (the whole table, or the selected tools) in a chosen format
+  function showExportDialog(exportTools, title) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    let html = '<div class="modal-content">';
+    html += '<div class="modal-header">' + escapeHtml(title) + '</div>';
+    html += '<div class="form-group">';
+    EXPORT_FORMATS.forEach(function(format, index) {
+      html += '<label class="form-checkbox" style="margin-bottom: 10px;">';
+      html += '<input type="radio" name="export-format" value="' + format.key + '"' + (index === 0 ? ' checked' : '') + '>';
+      html += format.label;
+      html += '</label>';
+    });
+    html += '</div>';
+    html += '<div class="modal-footer">';
+    html += '<button type="button" class="btn btn-secondary" id="export-cancel">Cancel</button>';
+    html += '<button type="button" class="btn btn-secondary hidden" id="export-print">Print / Save as PDF</button>';
+    html += '<button type="button" class="btn btn-primary" id="export-download">Download</button>';
+    html += '</div>';
+    html += '</div>';
+
+    overlay.innerHTML = html;
+    document.body.appendChild(overlay);
+
+    function selectedFormat() {
+      return overlay.querySelector('input[name="export-format"]:checked').value;
+    }
+
+    overlay.querySelectorAll('input[name="export-format"]').forEach(function(input) {
+      input.addEventListener('change', function() {
+        document.getElementById('export-print').classList.toggle('hidden', selectedFormat() !== 'setup-sheet');
+      });
+    });
+
+    document.getElementById('export-cancel').addEventListener('click', function() {
+      document.body.removeChild(overlay);
+    });
+
+    document.getElementById('export-print').addEventListener('click', function() {
+      printHtml(buildSetupSheet(exportTools, maxToolCount, displayUnits()));
+      document.body.removeChild(overlay);
+    });
+
+    document.getElementById('export-download').addEventListener('click', function() {
+      const date = new Date().toISOString().split('T')[0];
+      const format = selectedFormat();
+
+      if (format === 'fusion') {
+        downloadFile(JSON.stringify(exportFusionLibrary(exportTools), null, 2), 'tool-library-fusion-' + date + '.json', 'application/json');
+      } else if (format === 'csv') {
+        downloadFile(exportCsv(exportTools), 'tool-library-' + date + '.csv', 'text/csv');
+      } else if (format === 'linuxcnc') {
+        downloadFile(exportLinuxCncToolTable(exportTools), 'tool.tbl', 'text/plain');
+      } else if (format === 'setup-sheet') {
+        downloadFile(buildSetupSheet(exportTools, maxToolCount, displayUnits()), 'setup-sheet-' + date + '.html', 'text/html');
+      } else {
+        downloadFile(JSON.stringify(createExportEnvelope(embedToolImages(exportTools, inventory.load().images)), null, 2), 'tool-library-' + date + '.json', 'application/json');
+      }
+
+      document.body.removeChild(overlay);
+    });
+  }
+
+  // Download text content as a file
+  function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Print an HTML document through a hidden iframe (the print dialog also offers Save as PDF)
+  function printHtml(content) {
+    const frame = document.createElement('iframe');
+    frame.style.position = 'fixed';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+    document.body.appendChild(frame);
+
+    frame.contentDocument.open();
+    frame.contentDocument.write(content);
+    frame.contentDocument.close();
+
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(function() {
+      document.body.removeChild(frame);
+    }, 1000);
+  }
+
+  // History of tool table snapshots with one-click restore
+  document.getElementById('history-btn').addEventListener('click', showHistory);
+  document.getElementById('reorder-btn').addEventListener('click', showReorderReport);
+
+  // Low-stock report: tools below their minimum stock, grouped by supplier
+  function showReorderReport() {
+    const report = buildReorderReport(tools);
+    const formatPrice = value => value === null ? '—' : value.toFixed(2);
+
+    let html = '<div class="modal-content modal-wide">';
+    html += '<div class="modal-header">Low Stock</div>';
+    if (report.length === 0) {
+      html += '<div class="empty-state"><p>Nothing to reorder. Tools appear here when their spares on hand drop below the minimum stock.</p></div>';
+    } else {
+      report.forEach(function(group) {
+        html += '<h4>' + escapeHtml(group.supplier || 'No supplier') + '</h4>';
+        html += '<table class="tool-table"><thead><tr>';
+        html += '<th>Name</th><th>SKU</th><th>On Hand</th><th>Minimum</th><th>To Order</th><th>Unit Price</th><th>Total</th>';
+        html += '</tr></thead><tbody>';
+        group.items.forEach(function(item) {
+          html += '<tr>';
+          html += '<td>' + escapeHtml(item.tool.name) + '</td>';
+          html += '<td>' + escapeHtml(item.tool.metadata.sku || '—') + '</td>';
+          html += '<td>' + item.tool.stock.quantity + '</td>';
+          html += '<td>' + item.tool.stock.minimum + '</td>';
+          html += '<td>' + item.toOrder + '</td>';
+          html += '<td>' + formatPrice(item.price) + '</td>';
+          html += '<td>' + formatPrice(item.total) + '</td>';
+          html += '</tr>';
+        });
+        html += '</tbody></table>';
+        html += '<div class="form-hint" style="margin-bottom: 12px;">Order total: ' + group.total.toFixed(2) + '</div>';
+      });
+    }
+    html += '<div class="modal-footer">';
+    html += '<button type="button" class="btn btn-secondary" id="reorder-close">Close</button>';
+    if (report.length > 0) {
+      html += '<button type="button" class="btn btn-primary" id="reorder-export">Export CSV</button>';
+    }
+    html += '</div>';
+    html += '</div>';
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = html;
+    document.body.appendChild(overlay);
+
+    document.getElementById('reorder-close').addEventListener('click', function() {
+      document.body.removeChild(overlay);
+    });
+    if (report.length > 0) {
+      document.getElementById('reorder-export').addEventListener('click', function() {
+        const date = new Date().toISOString().split('T')[0];
+        downloadFile(exportReorderCsv(report), 'reorder-' + date + '.csv', 'text/csv');
+      });
+    }
+  }
+
+  function showHistory() {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = '<div class="modal-content modal-wide">' +
+      '<div class="modal-header">History</div>' +
+      '<div class="form-hint" style="margin-bottom: 12px;">A snapshot of the tool table is kept before every change (the last ' + MAX_SNAPSHOTS + ', fewer once the history passes ' + (MAX_HISTORY_BYTES / (1024 * 1024)) + ' MB). Restoring one also snapshots the current table, so a restore can be undone from here too.</div>' +
+      '<div class="tool-table-container" id="history-table"></div>' +
+      '<div class="modal-footer">' +
+      '<button type="button" class="btn btn-secondary" id="history-close">Close</button>' +
+      '</div>' +
+      '</div>';
+    document.body.appendChild(overlay);
+
+    function renderHistory() {
+      const settings = inventory.load();
+      const snapshots = settings.snapshots;
+      const snapshotTools = snapshots.map(snapshot => readSnapshot(settings, snapshot));
+      const container = document.getElementById('history-table');
+      if (snapshots.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>No snapshots yet. One is taken each time the tool table is changed.</p></div>';
+        return;
+      }
+
+      let html = '<table class="tool-table"><thead><tr>';
+      html += '<th>Taken</th><th>Before</th><th>Tools</th><th>If restored</th><th></th>';
+      html += '</tr></thead><tbody>';
+      snapshots.forEach(function(snapshot, index) {
+        html += '<tr>';
+        html += '<td>' + escapeHtml(new Date(snapshot.takenAt).toLocaleString()) + '</td>';
+        html += '<td>' + escapeHtml(snapshot.reason) + '</td>';
+        html += '<td>' + snapshotTools[index].length + '</td>';
+        html += '<td>' + summarizeDiff(diffTools(tools, snapshotTools[index])) + '</td>';
+        html += '<td><button type="button" class="btn btn-secondary btn-small" data-snapshot-index="' + index + '">Restore</button></td>';
+        html += '</tr>';
+      });
+      html += '</tbody></table>';
+
+      container.innerHTML = html;
+      container.querySelectorAll('[data-snapshot-index]').forEach(function(button) {
+        button.addEventListener('click', function() {
+          const index = parseInt(button.getAttribute('data-snapshot-index'));
+          const snapshot = snapshots[index];
+          const takenAt = new Date(snapshot.takenAt).toLocaleString();
+          // The snapshot's T#s are that machine's (older snapshots didn't record one)
+          const current = inventory.load();
+          const machine = current.machines.find(m => m.id === snapshot.machineId);
+          if (machine && machine.id !== current.activeMachineId) {
+            showToast('This snapshot holds the T#s of ' + machine.name + '. Switch to that machine to restore it.', { type: 'error' });
+            return;
+          }
+          changeTools('Restored the snapshot from ' + takenAt, function() {
+            return snapshotTools[index];
+          });
+          renderHistory();
+        });
+      });
+    }
+    renderHistory();
+
+    document.getElementById('history-close').addEventListener('click', function() {
+      document.body.removeChild(overlay);
+    });
+  }
+
+  // Sync the magazine to the controller's tool table: read the table back, diff, then write G10 L1
+  document.getElementById('sync-controller-btn').addEventListener('click', showControllerSync);
+
+  function showControllerSync() {
+    const magazine = tools
+      .filter(t => t.toolNumber !== null && t.toolNumber <= maxToolCount)
+      .sort((a, b) => a.toolNumber - b.toolNumber);
+    let dialect = inventory.getSettings().controllerDialect;
+    let rows = [];
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    document.body.appendChild(overlay);
+
+    function close() {
+      document.body.removeChild(overlay);
+    }
+
+    function renderReadBack() {
+      overlay.innerHTML = '<div class="modal-content modal-wide">' +
+        '<div class="modal-header">Sync to Controller</div>' +
+        '<div class="form-group">' +
+        '<label class="form-label" for="sync-dialect">Controller</label>' +
+        '<select class="form-input" id="sync-dialect">' +
+        Object.keys(CONTROLLER_DIALECTS).map(key =>
+          '<option value="' + key + '"' + (key === dialect ? ' selected' : '') + '>' + escapeHtml(CONTROLLER_DIALECTS[key].label) + '</option>'
+        ).join('') +
+        '</select>' +
+        '</div>' +
+        '<div class="form-group">' +
+        '<label class="form-label" for="sync-readback">Controller tool table</label>' +
+        '<textarea class="form-input sync-readback" id="sync-readback"></textarea>' +
+        '<div class="form-hint" id="sync-hint"></div>' +
+        '<div class="form-hint">Plugins can\'t read or write the controller\'s tool table yet, so paste the table here and run the generated program from ncSender.</div>' +
+        '</div>' +
+        '<div class="modal-footer">' +
+        '<button type="button" class="btn btn-secondary" id="sync-cancel">Cancel</button>' +
+        '<button type="button" class="btn btn-secondary" id="sync-skip">Write All Without Comparing</button>' +
+        '<button type="button" class="btn btn-primary" id="sync-compare">Compare</button>' +
+        '</div>' +
+        '</div>';
+
+      function renderHint() {
+        document.getElementById('sync-hint').textContent = CONTROLLER_DIALECTS[dialect].readBackHint;
+      }
+      renderHint();
+
+      document.getElementById('sync-dialect').addEventListener('change', function(e) {
+        dialect = e.target.value;
+        inventory.updateSettings({ controllerDialect: dialect });
+        renderHint();
+      });
+      document.getElementById('sync-cancel').addEventListener('click', close);
+      document.getElementById('sync-skip').addEventListener('click', function() {
+        rows = diffControllerToolTable(magazine, []);
+        renderDiff(false);
+      });
+      document.getElementById('sync-compare').addEventListener('click', function() {
+        const entries = parseControllerToolTable(document.getElementById('sync-readback').value, dialect);
+        if (entries.length === 0) {
+          showToast('No tool table entries found. ' + CONTROLLER_DIALECTS[dialect].readBackHint, { type: 'error' });
+          return;
+        }
+        rows = diffControllerToolTable(magazine, entries);
+        renderDiff(true);
+      });
+    }
+
+    function renderDiff(compared) {
+      const formatEntry = (diameter, tlo) => 'D ' + Number(diameter || 0).toFixed(3) + ' / Z ' + Number(tlo || 0).toFixed(3);
+      const statusLabels = { match: 'Up to date', changed: 'Differs', missing: 'Not on controller', extra: 'Only on controller (will be cleared)' };
+      rows.forEach(row => {
+        row.include = row.status !== 'match';
+      });
+
+      let html = '<div class="modal-content modal-wide">';
+      html += '<div class="modal-header">Sync to Controller: ' + escapeHtml(CONTROLLER_DIALECTS[dialect].label) + '</div>';
+      html += '<div class="form-hint" id="sync-summary" style="margin-bottom: 12px;"></div>';
+      html += '<div class="tool-table-container"><table class="tool-table"><thead><tr>';
+      html += '<th></th><th>T#</th><th>Tool</th><th>Inventory</th><th>Controller</th><th>Status</th>';
+      html += '</tr></thead><tbody>';
+      rows.forEach(function(row, index) {
+        html += '<tr class="sync-' + row.status + '">';
+        html += '<td><input type="checkbox" data-sync-index="' + index + '"' + (row.include ? ' checked' : ' disabled') + '></td>';
+        html += '<td>T' + row.toolNumber + '</td>';
+        html += '<td>' + (row.tool ? escapeHtml(row.tool.name) : '—') + '</td>';
+        html += '<td>' + (row.tool ? formatEntry(getEffectiveDiameter(row.tool), row.tool.offsets.tlo) : '—') + '</td>';
+        html += '<td>' + (row.controller ? formatEntry(row.controller.diameter, row.controller.tlo) : (compared ? '—' : 'Not read')) + '</td>';
+        html += '<td>' + statusLabels[row.status] + '</td>';
+        html += '</tr>';
+      });
+      html += '</tbody></table></div>';
+      html += '<div class="modal-footer">';
+      html += '<button type="button" class="btn btn-secondary" id="sync-back">Back</button>';
+      html += '<button type="button" class="btn btn-secondary" id="sync-copy">Copy Program</button>';
+      html += '<button type="button" class="btn btn-primary" id="sync-download">Download Program</button>';
+      html += '</div>';
+      html += '</div>';
+      overlay.innerHTML = html;
+
+      function selectedRows() {
+        return rows.filter(row => row.include);
+      }
+
+      function renderSummary() {
+        const count = selectedRows().length;
+        document.getElementById('sync-summary').textContent = count === 0
+          ? 'The controller already matches the magazine.'
+          : count + ' tool table entr' + (count === 1 ? 'y' : 'ies') + ' to write. Run the program from ncSender to update the controller, then compare again to confirm.';
+      }
+      renderSummary();
+
+      overlay.querySelectorAll('[data-sync-index]').forEach(function(checkbox) {
+        checkbox.addEventListener('change', function() {
+          rows[parseInt(checkbox.getAttribute('data-sync-index'))].include = checkbox.checked;
+          renderSummary();
+        });
+      });
+
+      function program() {
+        if (selectedRows().length === 0) {
+          showToast('Nothing selected to write', { type: 'error' });
+          return null;
+        }
+        return buildToolTableProgram(selectedRows(), dialect);
+      }
+
+      document.getElementById('sync-back').addEventListener('click', renderReadBack);
+      document.getElementById('sync-copy').addEventListener('click', function() {
+        const content = program();
+        if (content === null) return;
+        if (!navigator.clipboard) {
+          showToast('Copying is not available here; use Download Program', { type: 'error' });
+          return;
+        }
+        navigator.clipboard.writeText(content).then(
+          () => showToast('Tool table program copied'),
+          () => showToast('Copying failed; use Download Program', { type: 'error' })
+        );
+      });
+      document.getElementById('sync-download').addEventListener('click', function() {
+        const content = program();
+        if (content === null) return;
+        downloadFile(content, 'tool-table-' + dialect + '.nc', 'text/plain');
+        close();
+      });
+    }
+
+    renderReadBack();
+  }
+
+  // Check a G-code program against the tool table
+  document.getElementById('check-program-btn').addEventListener('click', function() {
+    document.getElementById('program-file-input').click();
+  });
+
+  document.getElementById('program-file-input').addEventListener('change', function(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(event) {
+      const gcode = event.target.result;
+      const report = analyzeProgram(gcode, tools, maxToolCount);
+
+      const overlay = document.createElement('div');
+      overlay.className = 'modal-overlay';
+
+      let html = '<div class="modal-content modal-wide">';
+      html += '<div class="modal-header">Program Check: ' + escapeHtml(file.name) + '</div>';
+      html += renderProgramReport(report);
+      html += '<div class="modal-footer">';
+      if (report.tools.length > 0) {
+        html += '<button type="button" class="btn btn-secondary" id="program-check-setup">Save as Setup</button>';
+      }
+      html += '<button type="button" class="btn btn-secondary" id="program-check-close">Close</button>';
+      html += '</div>';
+      html += '</div>';
+
+      overlay.innerHTML = html;
+      document.body.appendChild(overlay);
+
+      document.getElementById('program-check-close').addEventListener('click', function() {
+        document.body.removeChild(overlay);
+      });
+      if (report.tools.length > 0) {
+        document.getElementById('program-check-setup').addEventListener('click', function() {
+          document.body.removeChild(overlay);
+          showProgramSetup(gcode, file.name);
+        });
+      }
+    };
+    reader.readAsText(file);
+
+    // Reset file input
+    e.target.value = '';
+  });
+
+  // Job setups: named T#-to-tool mappings that load a job's tools into the magazine in one step
+  document.getElementById('setups-btn').addEventListener('click', showSetupsDialog);
+
+  // Set by the setups dialog while it is open, so a setup saved from a program shows up in its list
+  let refreshSetupsDialog = null;
+
+  function formatSetupTool(tool) {
+    return escapeHtml(tool.name) + ' <span class="form-hint">Ø' + formatLengthWithUnits(tool.diameter, displayUnits()) + '</span>';
+  }
+
+  function showSetupsDialog() {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    document.body.appendChild(overlay);
+
+    function close() {
+      document.body.removeChild(overlay);
+    }
+
+    function render() {
+      const settings = inventory.load();
+      const setups = settings.setups;
+
+      overlay.innerHTML = '<div class="modal-content modal-wide">' +
+        '<div class="modal-header">Job Setups</div>' +
+        '<div class="form-hint">A setup is the tools a job needs and the pockets they go in. Load one to see which tools to swap and give them their T#s in one step.</div>' +
+        (setups.length === 0
+          ? '<div class="empty-state-text">No setups yet. Save the current magazine, or start one from a program\'s tool list.</div>'
+          : '<table class="machine-table">' +
+            '<thead><tr><th>Name</th><th>Machine</th><th>Tools</th><th>Saved</th><th></th></tr></thead>' +
+            '<tbody>' +
+            setups.map(function(setup, index) {
+              const machine = settings.machines.find(m => m.id === setup.machineId);
+              return '<tr>' +
+                '<td>' + escapeHtml(setup.name) + '</td>' +
+                '<td>' + (machine ? escapeHtml(machine.name) : '—') + '</td>' +
+                '<td>' + setup.pockets.map(p => 'T' + p.toolNumber).join(', ') + '</td>' +
+                '<td>' + new Date(setup.createdAt).toLocaleDateString() + '</td>' +
+                '<td class="actions">' +
+                '<button type="button" class="btn btn-small btn-primary" data-load-setup="' + index + '">Load</button> ' +
+                '<button type="button" class="btn btn-small btn-danger" data-delete-setup="' + index + '">Delete</button>' +
+                '</td>' +
+                '</tr>';
+            }).join('') +
+            '</tbody>' +
+            '</table>') +
+        '<div class="modal-footer">' +
+        '<button type="button" class="btn btn-secondary" id="setup-save-current">Save Current Magazine</button>' +
+        '<button type="button" class="btn btn-secondary" id="setup-from-program">From Program</button>' +
+        '<button type="button" class="btn btn-primary" id="setups-close">Close</button>' +
+        '</div>' +
+        '</div>';
+
+      overlay.querySelectorAll('[data-load-setup]').forEach(function(button) {
+        button.addEventListener('click', function() {
+          showLoadSetupDialog(setups[parseInt(button.dataset.loadSetup)]);
+        });
+      });
+      overlay.querySelectorAll('[data-delete-setup]').forEach(function(button) {
+        button.addEventListener('click', function() {
+          const index = parseInt(button.dataset.deleteSetup);
+          const removed = setups[index];
+          inventory.updateSettings({ setups: setups.filter((setup, i) => i !== index) });
+          render();
+          showToast('Deleted setup "' + removed.name + '"', {
+            actionLabel: 'Undo',
+            onAction: function() {
+              inventory.updateSettings({ setups: inventory.getSettings().setups.concat(removed) });
+              if (overlay.parentNode) render();
+            }
+          });
+        });
+      });
+      document.getElementById('setup-save-current').addEventListener('click', function() {
+        const pockets = getMagazinePockets(tools);
+        if (pockets.length === 0) {
+          showToast('The magazine is empty', { type: 'error' });
+          return;
+        }
+        showSetupEditor('Save Current Magazine', pockets, render);
+      });
+      document.getElementById('setup-from-program').addEventListener('click', function() {
+        document.getElementById('setup-program-input').click();
+      });
+      document.getElementById('setups-close').addEventListener('click', function() {
+        refreshSetupsDialog = null;
+        close();
+      });
+    }
+
+    refreshSetupsDialog = render;
+    render();
+  }
+
+  document.getElementById('setup-program-input').addEventListener('change', function(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(event) {
+      showProgramSetup(event.target.result, file.name);
+    };
+    reader.readAsText(file);
+
+    // Reset file input
+    e.target.value = '';
+  });
+
+  function showProgramSetup(gcode, fileName) {
+    const pockets = suggestSetupFromProgram(gcode, tools, { otherMachines: getOtherMachineAssignments(inventory.load()) });
+    if (pockets.length === 0) {
+      showToast('No tool numbers (T words) found in ' + fileName, { type: 'error' });
+      return;
+    }
+    showSetupEditor('Setup from ' + fileName, pockets, refreshSetupsDialog, fileName.replace(/\.[^.]+$/, ''));
+  }
+
+  // Name a setup and pick the tool for each of its pockets. A setup with the same name is replaced.
+  function showSetupEditor(title, pockets, onSaved, suggestedName) {
+    const otherMachines = getOtherMachineAssignments(inventory.load());
+    const choices = tools.filter(t => !otherMachines.has(t.id)).sort((a, b) => a.name.localeCompare(b.name));
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = '<div class="modal-content modal-wide">' +
+      '<div class="modal-header">' + escapeHtml(title) + '</div>' +
+      '<form id="setup-form">' +
+      '<div class="form-group">' +
+      '<label class="form-label required" for="setup-name">Name</label>' +
+      '<input class="form-input" id="setup-name" required placeholder="e.g. Cabinet doors" value="' + escapeHtml(suggestedName || '') + '">' +
+      '<div class="form-hint">A setup with the same name is replaced.</div>' +
+      '</div>' +
+      '<table class="machine-table">' +
+      '<thead><tr><th>T#</th><th>Tool</th><th>Program</th></tr></thead>' +
+      '<tbody>' +
+      pockets.map(function(pocket, index) {
+        return '<tr>' +
+          '<td>T' + pocket.toolNumber + '</td>' +
+          '<td><select class="form-input" data-setup-pocket="' + index + '">' +
+          '<option value="">— Leave out —</option>' +
+          choices.map(function(tool) {
+            return '<option value="' + tool.id + '"' + (tool.id === pocket.toolId ? ' selected' : '') + '>' +
+              escapeHtml((tool.toolNumber !== null ? 'T' + tool.toolNumber + ' ' : '') + tool.name + ' (Ø' + formatLengthWithUnits(tool.diameter, displayUnits()) + ')') +
+              '</option>';
+          }).join('') +
+          '</select></td>' +
+          '<td>' + (pocket.header
+            ? escapeHtml(pocket.header.description || TOOL_TYPE_LABELS[pocket.header.type] || '') + ' Ø' + formatLengthWithUnits(pocket.header.diameter, displayUnits())
+            : '') + '</td>' +
+          '</tr>';
+      }).join('') +
+      '</tbody>' +
+      '</table>' +
+      '<div class="form-error" id="setup-error"></div>' +
+      '<div class="modal-footer">' +
+      '<button type="button" class="btn btn-secondary" id="setup-cancel">Cancel</button>' +
+      '<button type="submit" class="btn btn-primary">Save Setup</button>' +
+      '</div>' +
+      '</form>' +
+      '</div>';
+    document.body.appendChild(overlay);
+    document.getElementById('setup-name').focus();
+
+    function close() {
+      document.body.removeChild(overlay);
+    }
+
+    document.getElementById('setup-cancel').addEventListener('click', close);
+    document.getElementById('setup-form').addEventListener('submit', function(e) {
+      e.preventDefault();
+      const name = document.getElementById('setup-name').value.trim();
+      if (name === '') return;
+
+      const chosen = [];
+      overlay.querySelectorAll('[data-setup-pocket]').forEach(function(select) {
+        if (select.value === '') return;
+        const tool = tools.find(t => t.id === parseInt(select.value));
+        chosen.push({ toolNumber: pockets[parseInt(select.dataset.setupPocket)].toolNumber, toolId: tool.id, name: tool.name });
+      });
+
+      const duplicate = chosen.find((pocket, index) => chosen.findIndex(p => p.toolId === pocket.toolId) !== index);
+      const error = chosen.length === 0
+        ? 'Pick a tool for at least one pocket'
+        : duplicate ? '"' + duplicate.name + '" is picked for more than one pocket' : '';
+      document.getElementById('setup-error').textContent = error;
+      if (error) return;
+
+      const setups = inventory.getSettings().setups.filter(setup => setup.name !== name);
+      inventory.updateSettings({ setups: setups.concat(createSetup(name, chosen, getActiveMachine(inventory.load()).id)) });
+      close();
+      if (onSaved) onSaved();
+      showToast('Saved setup "' + name + '"');
+    });
+  }
+
+  // Show what loading a setup changes, pocket by pocket, then give every tool its T# in one undo step
+  function showLoadSetupDialog(setup) {
+    let unloadOthers = false;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    document.body.appendChild(overlay);
+
+    function close() {
+      document.body.removeChild(overlay);
+    }
+
+    function plan() {
+      return planSetup(tools, setup, {
+        maxToolCount: maxToolCount,
+        otherMachines: getOtherMachineAssignments(inventory.load()),
+        unloadOthers: unloadOthers
+      });
+    }
+
+    function render() {
+      const result = plan();
+      const machine = inventory.getSettings().machines.find(m => m.id === setup.machineId);
+      const activeMachine = getActiveMachine(inventory.load());
+
+      // Where a tool ends up (or came from), in the operator's words
+      function whereTo(tool) {
+        const moved = result.tools.find(t => t.id === tool.id);
+        return moved.toolNumber === null ? 'to the library' : 'to T' + moved.toolNumber;
+      }
+      function whereFrom(tool) {
+        const original = tools.find(t => t.id === tool.id);
+        return original.toolNumber === null ? 'from the library' : 'from T' + original.toolNumber;
+      }
+
+      let html = '<div class="modal-content modal-wide">' +
+        '<div class="modal-header">Load Setup: ' + escapeHtml(setup.name) + '</div>';
+      if (machine && machine.id !== activeMachine.id) {
+        html += '<div class="form-hint">Saved on ' + escapeHtml(machine.name) + ', loading onto ' + escapeHtml(activeMachine.name) + '.</div>';
+      }
+      result.errors.forEach(function(error) {
+        html += '<div class="form-error">' + escapeHtml(error) + '</div>';
+      });
+      result.missing.forEach(function(pocket) {
+        html += '<div class="form-hint">"' + escapeHtml(pocket.name) + '" (T' + pocket.toolNumber + ') has been deleted, so T' + pocket.toolNumber + ' is left as it is.</div>';
+      });
+
+      if (result.errors.length === 0) {
+        html += result.changes.length === 0
+          ? '<div class="empty-state-text">The magazine already matches this setup.</div>'
+          : '<table class="machine-table">' +
+            '<thead><tr><th>Pocket</th><th>Now</th><th>After</th><th>Swap</th></tr></thead>' +
+            '<tbody>' +
+            result.changes.map(function(change) {
+              const steps = [];
+              if (change.from) steps.push('Take out "' + escapeHtml(change.from.name) + '" ' + whereTo(change.from));
+              if (change.to) steps.push('Put in "' + escapeHtml(change.to.name) + '" ' + whereFrom(change.to));
+              return '<tr>' +
+                '<td>T' + change.toolNumber + '</td>' +
+                '<td>' + (change.from ? formatSetupTool(change.from) : 'Empty') + '</td>' +
+                '<td>' + (change.to ? formatSetupTool(change.to) : 'Empty') + '</td>' +
+                '<td>' + steps.join('<br>') + '</td>' +
+                '</tr>';
+            }).join('') +
+            '</tbody>' +
+            '</table>';
+      }
+
+      html += '<label class="form-checkbox"><input type="checkbox" id="setup-unload-others"' + (unloadOthers ? ' checked' : '') + '> ' +
+        'Move tools the setup doesn\'t use to the library</label>' +
+        '<div class="modal-footer">' +
+        '<button type="button" class="btn btn-secondary" id="setup-load-cancel">Cancel</button>' +
+        '<button type="button" class="btn btn-primary" id="setup-load-apply"' +
+        (result.errors.length > 0 || result.changes.length === 0 ? ' disabled' : '') + '>Load Setup</button>' +
+        '</div>' +
+        '</div>';
+      overlay.innerHTML = html;
+
+      document.getElementById('setup-unload-others').addEventListener('change', function(e) {
+        unloadOthers = e.target.checked;
+        render();
+      });
+      document.getElementById('setup-load-cancel').addEventListener('click', close);
+      document.getElementById('setup-load-apply').addEventListener('click', function() {
+        const latest = plan();
+        if (latest.errors.length > 0) return;
+        close();
+        changeTools('Loaded setup "' + setup.name + '"', function() {
+          return latest.tools;
+        }, latest.changes.length + (latest.changes.length === 1 ? ' pocket changed' : ' pockets changed'));
+      });
+    }
+
+    render();
+  }
+
+  // Import tools
+  document.getElementById('import-btn').addEventListener('click', function() {
+    document.getElementById('import-file-input').click();
+  });
+
+  document.getElementById('import-file-input').addEventListener('change', function(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const extension = file.name.split('.').pop().toLowerCase();
+    const reader = new FileReader();
+    reader.onload = async function(event) {
+      try {
+        if (extension === 'vtdb') {
+          const drafts = parseVectricDatabase(readSqliteTables(event.target.result));
+          showImportPreview(drafts, 'Vectric tool database');
+        } else if (extension === 'tools') {
+          const entries = await readZipEntries(event.target.result);
+          const entry = entries.find(en => en.name.toLowerCase().endsWith('.json'));
+          if (!entry) {
+            showToast('No tool library found inside ' + file.name, { type: 'error' });
+            return;
+          }
+          const library = JSON.parse(new TextDecoder().decode(await entry.read()));
+          showImportPreview(parseFusionLibrary(library), 'Fusion 360 tool library');
+        } else if (extension === 'csv') {
+          showCsvMapping(parseCsv(event.target.result));
+        } else {
+          const parsed = JSON.parse(event.target.result);
+          if (Array.isArray(parsed) || (parsed && parsed.format === EXPORT_FORMAT)) {
+            importInventoryFile(parsed);
+          } else {
+            showImportPreview(parseFusionLibrary(parsed), 'Fusion 360 tool library');
+          }
+        }
+      } catch (error) {
+        showToast('Failed to import tools: ' + error.message, { type: 'error' });
+        console.error('Import error:', error);
+      }
+    };
+
+    if (extension === 'vtdb' || extension === 'tools') {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
+    }
+
+    // Reset file input
+    e.target.value = '';
+  });
+
+  // Import a Tool Inventory export file: validate, migrate, then resolve conflicts
+  function importInventoryFile(data) {
+    const envelope = readExportEnvelope(data);
+    const importedTools = envelope.tools;
+
+    // Validate imported tools
+    const validationErrors = [];
+    importedTools.forEach((tool, index) => {
+      const errors = validateToolSchema(tool);
+      if (errors.length > 0) {
+        validationErrors.push('Tool #' + (index + 1) + ' (' + (tool.name || 'unnamed') + '): ' + errors.join(', '));
+      }
+    });
+
+    if (validationErrors.length > 0) {
+      showToast('Import validation failed:\n' + validationErrors.slice(0, 5).join('\n') +
+        (validationErrors.length > 5 ? '\n...and ' + (validationErrors.length - 5) + ' more' : ''), { type: 'error' });
+      return;
+    }
+
+    showMergeDialog(envelope);
+  }
+
+  // Let the user decide what happens to each imported tool that collides with an existing one
+  function showMergeDialog(envelope) {
+    const importedTools = envelope.tools;
+    let matchBy = 'toolNumber';
+    let resolutions = {};
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    let html = '<div class="modal-content modal-wide">';
+    html += '<div class="modal-header">Import Tools</div>';
+    html += '<div class="form-hint" style="margin-bottom: 12px;">';
+    html += importedTools.length + ' tool(s), schema version ' + envelope.schemaVersion;
+    if (envelope.exportedAt) {
+      html += ', exported ' + escapeHtml(new Date(envelope.exportedAt).toLocaleString());
+    }
+    html += '</div>';
+    html += '<div class="form-row">';
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Match existing tools by</label>';
+    html += '<select class="form-select" id="merge-match-by">';
+    html += '<option value="toolNumber">Tool number (T#)</option>';
+    html += '<option value="sku">SKU / Part number</option>';
+    html += '<option value="id">Internal ID</option>';
+    html += '</select>';
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Set all conflicts to</label>';
+    html += '<select class="form-select" id="merge-apply-all">';
+    html += '<option value="">—</option>';
+    html += '<option value="keep">Keep existing</option>';
+    html += '<option value="replace">Replace with imported</option>';
+    html += '<option value="merge">Merge fields</option>';
+    html += '<option value="new">Import as new tool</option>';
+    html += '</select>';
+    html += '</div>';
+    html += '</div>';
+    html += '<div class="form-hint" id="merge-summary" style="margin-bottom: 12px;"></div>';
+    html += '<div class="tool-table-container" id="merge-conflicts"></div>';
+    html += '<div class="modal-footer">';
+    html += '<button type="button" class="btn btn-secondary" id="merge-cancel">Cancel</button>';
+    html += '<button type="button" class="btn btn-primary" id="merge-confirm">Import</button>';
+    html += '</div>';
+    html += '</div>';
+
+    overlay.innerHTML = html;
+    document.body.appendChild(overlay);
+
+    function describe(tool) {
+      return (tool.toolNumber !== null ? 'T' + tool.toolNumber + ' ' : '') + escapeHtml(tool.name) +
+        ' (' + formatType(tool.type) + ', ' + formatLengthWithUnits(tool.diameter, displayUnits()) + ')';
+    }
+
+    function renderConflicts() {
+      const conflicts = findImportConflicts(importedTools, tools, matchBy);
+      const conflictCount = conflicts.filter(Boolean).length;
+      document.getElementById('merge-summary').textContent =
+        (importedTools.length - conflictCount) + ' new tool(s), ' + conflictCount + ' conflict(s)';
+
+      if (conflictCount === 0) {
+        document.getElementById('merge-conflicts').innerHTML = '';
+        return;
+      }
+
+      let table = '<table class="tool-table"><thead><tr><th>Imported</th><th>Existing</th><th>Resolution</th></tr></thead><tbody>';
+      conflicts.forEach(function(existing, index) {
+        if (!existing) return;
+        const resolution = resolutions[index] || 'keep';
+        table += '<tr>';
+        table += '<td>' + describe(importedTools[index]) + '</td>';
+        table += '<td>' + describe(existing) + '</td>';
+        table += '<td><select class="form-select" data-merge-index="' + index + '">';
+        [['keep', 'Keep existing'], ['replace', 'Replace'], ['merge', 'Merge fields'], ['new', 'Import as new']].forEach(function(option) {
+          table += '<option value="' + option[0] + '"' + (resolution === option[0] ? ' selected' : '') + '>' + option[1] + '</option>';
+        });
+        table += '</select></td>';
+        table += '</tr>';
+      });
+      table += '</tbody></table>';
+
+      const container = document.getElementById('merge-conflicts');
+      container.innerHTML = table;
+      container.querySelectorAll('[data-merge-index]').forEach(function(select) {
+        select.addEventListener('change', function() {
+          resolutions[parseInt(select.getAttribute('data-merge-index'))] = select.value;
+        });
+      });
+    }
+    renderConflicts();
+
+    document.getElementById('merge-match-by').addEventListener('change', function(e) {
+      matchBy = e.target.value;
+      resolutions = {};
+      document.getElementById('merge-apply-all').value = '';
+      renderConflicts();
+    });
+
+    document.getElementById('merge-apply-all').addEventListener('change', function(e) {
+      if (!e.target.value) return;
+      importedTools.forEach(function(tool, index) {
+        resolutions[index] = e.target.value;
+      });
+      renderConflicts();
+    });
+
+    document.getElementById('merge-cancel').addEventListener('click', function() {
+      document.body.removeChild(overlay);
+    });
+
+    document.getElementById('merge-confirm').addEventListener('click', function() {
+      const result = mergeImportedTools(importedTools, tools, matchBy, resolutions, inventory.nextId(), getOtherMachineAssignments(inventory.load()));
+      document.body.removeChild(overlay);
+      changeTools('Imported ' + importedTools.length + ' tool(s) from an inventory file', function() {
+        return result.tools;
+      }, result.notes.join('\n'));
+    });
+  }
+
+  // Ask which CSV column feeds which tool field, then preview
+  function showCsvMapping(rows) {
+    if (rows.length < 2) {
+      showToast('The CSV file needs a header row and at least one tool row.', { type: 'error' });
+      return;
+    }
+
+    const headers = rows[0];
+    const mapping = guessCsvMapping(headers);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    let html = '<div class="modal-content">';
+    html += '<div class="modal-header">Map CSV Columns</div>';
+    html += '<div class="form-hint" style="margin-bottom: 16px;">' + (rows.length - 1) + ' row(s) found. Choose the column for each field.</div>';
+
+    CSV_FIELDS.forEach(function(field) {
+      html += '<div class="form-group">';
+      html += '<label class="form-label' + (field.key === 'name' || field.key === 'diameter' ? ' required' : '') + '">' + field.label + '</label>';
+      html += '<select class="form-select" data-csv-field="' + field.key + '">';
+      html += '<option value="">— Not mapped —</option>';
+      headers.forEach(function(header, index) {
+        html += '<option value="' + index + '"' + (mapping[field.key] === index ? ' selected' : '') + '>' + escapeHtml(header || 'Column ' + (index + 1)) + '</option>';
+      });
+      html += '</select>';
+      html += '</div>';
+    });
+
+    html += '<div class="form-group">';
+    html += '<label class="form-label">Length Units in File</label>';
+    html += '<select class="form-select" id="csv-units">';
+    html += '<option value="mm">Millimeters</option>';
+    html += '<option value="inch">Inches</option>';
+    html += '</select>';
+    html += '</div>';
+
+    html += '<div class="modal-footer">';
+    html += '<button type="button" class="btn btn-secondary" id="csv-cancel">Cancel</button>';
+    html += '<button type="button" class="btn btn-primary" id="csv-preview">Preview</button>';
+    html += '</div>';
+    html += '</div>';
+
+    overlay.innerHTML = html;
+    document.body.appendChild(overlay);
+
+    document.getElementById('csv-cancel').addEventListener('click', function() {
+      document.body.removeChild(overlay);
+    });
+
+    document.getElementById('csv-preview').addEventListener('click', function() {
+      const selected = {};
+      overlay.querySelectorAll('[data-csv-field]').forEach(function(select) {
+        if (select.value !== '') {
+          selected[select.getAttribute('data-csv-field')] = parseInt(select.value);
+        }
+      });
+
+      if (selected.name === undefined || selected.diameter === undefined) {
+        showToast('Map at least the Name and Diameter columns.', { type: 'error' });
+        return;
+      }
+
+      const units = document.getElementById('csv-units').value;
+      document.body.removeChild(overlay);
+      showImportPreview(mapCsvRows(rows.slice(1), selected, units), 'CSV file');
+    });
+  }
+
+  // Preview what an import will create or update before committing it
+  function showImportPreview(drafts, sourceLabel) {
+    if (drafts.length === 0) {
+      showToast('No tools found in the ' + sourceLabel + '.', { type: 'error' });
+      return;
+    }
+
+    let assignToolNumbers = false;
+    const otherMachines = getOtherMachineAssignments(inventory.load());
+    let plan = planImport(drafts, tools, { assignToolNumbers, maxToolCount, otherMachines });
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = '<div class="modal-content modal-wide">' +
+      '<div class="modal-header">Import Preview: ' + escapeHtml(sourceLabel) + '</div>' +
+      '<label class="form-checkbox" style="margin-bottom: 12px;"><input type="checkbox" id="import-assign-numbers">Assign tool numbers (T#) from the file</label>' +
+      '<div class="form-hint" id="import-summary" style="margin-bottom: 12px;"></div>' +
+      '<div class="tool-table-container" id="import-preview-table"></div>' +
+      '<div class="modal-footer">' +
+      '<button type="button" class="btn btn-secondary" id="import-cancel">Cancel</button>' +
+      '<button type="button" class="btn btn-primary" id="import-confirm">Import</button>' +
+      '</div>' +
+      '</div>';
+    document.body.appendChild(overlay);
+
+    function renderPreview() {
+      const counts = { create: 0, update: 0, skip: 0 };
+      plan.forEach(entry => { counts[entry.action]++; });
+      document.getElementById('import-summary').textContent =
+        counts.create + ' to create, ' + counts.update + ' to update, ' + counts.skip + ' skipped';
+
+      let html = '<table class="tool-table"><thead><tr>';
+      html += '<th></th><th>Action</th><th>T#</th><th>Name</th><th>Type</th><th>Diameter</th><th>Notes</th>';
+      html += '</tr></thead><tbody>';
+      plan.forEach(function(entry, index) {
+        const disabled = entry.action === 'skip' ? ' disabled' : '';
+        const checked = entry.include ? ' checked' : '';
+        html += '<tr>';
+        html += '<td><input type="checkbox" data-plan-index="' + index + '"' + checked + disabled + '></td>';
+        html += '<td>' + (entry.action === 'create' ? 'Create' : entry.action === 'update' ? 'Update' : 'Skip') + '</td>';
+        html += '<td>' + (entry.toolNumber !== null ? 'T' + entry.toolNumber : '—') + '</td>';
+        html += '<td>' + escapeHtml(entry.draft.name || '') + '</td>';
+        html += '<td>' + formatType(entry.draft.type) + '</td>';
+        html += '<td>' + (entry.draft.diameter > 0 ? formatLengthWithUnits(entry.draft.diameter, entry.draft.units || displayUnits()) : '—') + '</td>';
+        html += '<td>' + escapeHtml(entry.notes.join('; ')) + '</td>';
+        html += '</tr>';
+      });
+      html += '</tbody></table>';
+
+      const container = document.getElementById('import-preview-table');
+      container.innerHTML = html;
+      container.querySelectorAll('[data-plan-index]').forEach(function(checkbox) {
+        checkbox.addEventListener('change', function() {
+          plan[parseInt(checkbox.getAttribute('data-plan-index'))].include = checkbox.checked;
+        });
+      });
+    }
+    renderPreview();
+
+    document.getElementById('import-assign-numbers').addEventListener('change', function(e) {
+      assignToolNumbers = e.target.checked;
+      plan = planImport(drafts, tools, { assignToolNumbers, maxToolCount, otherMachines });
+      renderPreview();
+    });
+
+    document.getElementById('import-cancel').addEventListener('click', function() {
+      document.body.removeChild(overlay);
+    });
+
+    document.getElementById('import-confirm').addEventListener('click', function() {
+      const included = plan.filter(entry => entry.include && entry.action !== 'skip').length;
+      if (included === 0) {
+        showToast('Nothing selected to import.', { type: 'error' });
+        return;
+      }
+
+      document.body.removeChild(overlay);
+      changeTools('Imported ' + included + ' tool(s) from the ' + sourceLabel, function(next) {
+        return applyImportPlan(plan, next, inventory.nextId());
+      });
+    });
+  }
+
+  // Close dialog
+  document.getElementById('close-btn').addEventListener('click', function() {
+    window.postMessage({ type: 'close-plugin-dialog' }, '*');
+  });
+
+  // Close dialog on Escape key; Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redo
+  document.addEventListener('keydown', function(event) {
+    if (event.key === 'Escape') {
+      window.postMessage({ type: 'close-plugin-dialog' }, '*');
+      return;
+    }
+
+    // Leave text fields their own undo, and don't change the table behind an open form
+    const target = event.target;
+    const editing = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT');
+    if (!(event.ctrlKey || event.metaKey) || editing || document.querySelector('.modal-overlay')) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      redo();
+    }
+  });
+}
+
+// Stops the lookup API's change polling when the plugin unloads
+let closeToolLookup = null;
+
+export async function onLoad(ctx) {
+  ctx.log('Tool Management plugin loaded');
+
+  // All reads and writes of the tool table go through the inventory service
+  const inventory = createInventoryService({
+    read: () => ctx.getSettings() || {},
+    write: (settings) => {
+      ctx.setSettings(settings);
+      toolLookup.checkForChanges();
+    }
+  });
+
+  // Active tool: the T# in the spindle, kept in the settings so it survives a restart.
+  // Set by M6 commands sent through the sender, or by hand in the Tool Inventory dialog.
+  // Streaming works from the copy in memory, which is written through only when it changes. The stored
+  // value is read again where a choice made in the dialog matters: at job start and when the spindle starts.
+  let activeToolNumber = inventory.getSettings().activeToolNumber;
+  const getActiveToolNumber = () => activeToolNumber;
+  const reloadActiveToolNumber = () => {
+    activeToolNumber = inventory.getSettings().activeToolNumber;
+    return activeToolNumber;
+  };
+  const setActiveToolNumber = (toolNumber) => {
+    if (toolNumber === reloadActiveToolNumber()) return;
+    activeToolNumber = toolNumber;
+    inventory.updateSettings({ activeToolNumber: toolNumber });
+    ctx.log(`Active tool: ${formatActiveTool(toolNumber, inventory.getToolByNumber(toolNumber), inventory.getSettings().displayUnits)}`);
+  };
+
+  if (activeToolNumber !== null) {
+    ctx.log(`Active tool restored: T${activeToolNumber}`);
+  }
+
+  // Magazine size of the active machine profile; profiles without their own count use the app's tool.count
+  const getAppToolCount = () => (ctx.getAppSettings() || {}).tool?.count || 1;
+  const getMaxToolCount = () => getMachineToolCount(inventory.load(), getAppToolCount());
+
+  // Tool life tracking: spindle-on time is charged to the tool in the spindle
+  const usage = {
+    pendingToolNumber: null,
+    heldToolChange: null,
+    spindleStartedAt: null,
+    jobActive: false,
+    jobName: null,
+    jobToolNumbers: new Set()
+  };
+
+  // Public lookup API for other plugins (documented in the README)
+  const toolLookup = createToolLookupApi({
+    inventory,
+    getMaxToolCount,
+    getActiveToolNumber: () => reloadActiveToolNumber(),
+    log: (message) => ctx.log(message)
+  });
+  globalThis[TOOL_API_KEY] = toolLookup.api;
+  closeToolLookup = toolLookup.close;
+
+  // Browser code reads the tools from the `lookup` block in the settings, so save it (and any migrated data) right away
+  inventory.migrate();
+
+  const stopSpindleTimer = () => {
+    if (usage.spindleStartedAt === null) return;
+
+    const minutes = (Date.now() - usage.spindleStartedAt) / 60000;
+    const toolNumber = getActiveToolNumber();
+    usage.spindleStartedAt = null;
+
+    if (toolNumber === null || minutes <= 0) return;
+
+    inventory.updateTools(tools => tools.map(tool =>
+      tool.toolNumber === toolNumber ? recordToolUsage(tool, minutes) : tool
+    ));
+    ctx.log(`Recorded ${minutes.toFixed(2)} min of spindle time on T${toolNumber}`);
+  };
+
+  // Follow one line that goes to the controller; lines held back or dropped are never passed here. `loadsTool`
+  // is set for an M6 that is sent (or T0, which empties the spindle): a blocked M6 isn't sent, so it leaves the
+  // active tool alone until it is released. Lines that neither change the tool nor switch the spindle touch
+  // nothing but memory.
+  const trackCommand = (parsed, loadsTool) => {
+    if (loadsTool) {
+      stopSpindleTimer();
+      setActiveToolNumber(usage.pendingToolNumber || null);
+    }
+
+    if (parsed.spindle === 'on') {
+      const toolNumber = usage.spindleStartedAt === null ? reloadActiveToolNumber() : activeToolNumber;
+      if (toolNumber !== null && usage.jobActive) {
+        usage.jobToolNumbers.add(toolNumber);
+      }
+      if (usage.spindleStartedAt === null) {
+        usage.spindleStartedAt = Date.now();
+      }
+    } else if (parsed.spindle === 'off') {
+      stopSpindleTimer();
+    }
+  };
+
+  ctx.registerEventHandler('onBeforeJobStart', async (gcode, context = {}) => {
+    usage.jobActive = true;
+    usage.heldToolChange = null;
+    usage.jobToolNumbers = new Set();
+    usage.jobName = context?.filename || null;
+    reloadActiveToolNumber();
+
+    // Pre-flight check: warn the operator about tool problems before cutting starts
+    const tools = inventory.getTools();
+    const report = analyzeProgram(gcode, tools, getMaxToolCount());
+
+    if (report.issues.length > 0) {
+      ctx.log(`Program check found ${report.issues.length} tool issue(s)`);
+      ctx.showDialog(
+        'Program Check',
+        /* html */ `
+        <style>
+          ${PROGRAM_REPORT_STYLES}
+          .program-check-dialog { padding: 20px 24px; max-width: 760px; }
+          .program-check-footer { display: flex; justify-content: flex-end; margin-top: 20px; }
+          .program-check-footer button { padding: 10px 20px; border: none; border-radius: var(--radius-small); background: var(--gradient-accent); color: white; cursor: pointer; }
+        </style>
+        <div class="program-check-dialog">
+          ${renderProgramReport(report)}
+          <div class="program-check-footer">
+            <button onclick="window.postMessage({ type: 'close-plugin-dialog' }, '*')">OK</button>
+          </div>
+        </div>
+      `,
+        { closable: true }
+      );
+    }
+
+    return gcode;
+  });
+
+  // M6 integration: resolve the requested T# against the inventory and pause if it can't be loaded
+  const handleToolChange = (toolNumber) => {
+    const tools = inventory.getTools();
+    const result = resolveToolChange(toolNumber, tools, getMaxToolCount());
+    ctx.log(result.status === 'ok'
+      ? `Tool change: ${formatToolSummary(result.tool)}`
+      : `Tool change blocked: ${result.message}`);
+
+    ctx.showDialog(
+      result.status === 'ok' ? `Tool Change: T${toolNumber}` : `Tool Change Blocked: T${toolNumber}`,
+      buildToolChangeDialog(toolNumber, result, inventory.getSettings().displayUnits),
+      { closable: true }
+    );
+
+    return result;
+  };
+
+  // Build a new command in the same shape (text or object) as the one it's inserted next to.
+  // Only the line is set: the id and any other fields belong to the original command.
+  const insertedCommand = (cmd, line) => {
+    if (typeof cmd === 'string') return line;
+    const inserted = { command: line };
+    if (Object.prototype.hasOwnProperty.call(cmd, 'displayCommand')) {
+      inserted.displayCommand = line;
+    }
+    return inserted;
+  };
+
+  const toolChangeMessage = (cmd, tool) => insertedCommand(cmd, `(MSG, ${formatToolSummary(tool).replace(/[()]/g, '')})`);
+
+  // A blocked M6 is not sent. During a job the lines after it expect the new tool, so they are held back
+  // as well: each one first checks the change again, and once the T# resolves (the operator fixed the
+  // inventory during the pause) the M6 goes out, followed by the rest of the job. Until then lines are dropped.
+  const releaseHeldToolChange = (output) => {
+    const held = usage.heldToolChange;
+    const result = resolveToolChange(held.toolNumber, inventory.getTools(), getMaxToolCount());
+    if (result.status !== 'ok') {
+      held.dropped += 1;
+      return false;
+    }
+
+    usage.heldToolChange = null;
+    ctx.log(`Tool change released: ${formatToolSummary(result.tool)}`);
+    output.push(toolChangeMessage(held.cmd, result.tool));
+    output.push(held.cmd);
+    usage.pendingToolNumber = held.toolNumber;
+    trackCommand(parseGcodeLine(typeof held.cmd === 'string' ? held.cmd : held.cmd.command), true);
+    return true;
+  };
+
+  ctx.registerEventHandler('onBeforeCommand', async (commands) => {
+    const isList = Array.isArray(commands);
+    const output = [];
+
+    (isList ? commands : [commands]).forEach(cmd => {
+      if (usage.heldToolChange && !releaseHeldToolChange(output)) return;
+
+      const line = typeof cmd === 'string' ? cmd : cmd?.command;
+      const parsed = parseGcodeLine(line);
+      if (parsed.toolNumber !== null) {
+        usage.pendingToolNumber = parsed.toolNumber;
+      }
+
+      const toolNumber = parsed.toolChange ? usage.pendingToolNumber : null;
+      if (toolNumber === null || toolNumber === 0) {
+        trackCommand(parsed, toolNumber === 0);
+        output.push(cmd);
+        return;
+      }
+
+      const result = handleToolChange(toolNumber);
+      if (result.status !== 'ok') {
+        output.push(insertedCommand(cmd, `(MSG, TOOL CHANGE BLOCKED: ${result.message.replace(/[()]/g, '')})`));
+        output.push(insertedCommand(cmd, 'M0'));
+        if (usage.jobActive) {
+          usage.heldToolChange = { toolNumber, cmd, dropped: 0 };
+          ctx.log(`Holding back the rest of the job until T${toolNumber} can be loaded`);
+        }
+        return;
+      }
+
+      trackCommand(parsed, true);
+      output.push(toolChangeMessage(cmd, result.tool));
+      output.push(cmd);
+    });
+
+    return isList ? output : (output.length === 1 ? output[0] : output);
+  });
+
+  ctx.registerEventHandler('onAfterJobEnd', async () => {
+    stopSpindleTimer();
+
+    if (usage.heldToolChange) {
+      ctx.log(`Job ended with the change to T${usage.heldToolChange.toolNumber} still blocked; ${usage.heldToolChange.dropped} line(s) were not sent`);
+      usage.heldToolChange = null;
+    }
+
+    if (usage.jobToolNumbers.size > 0) {
+      const usedToolNumbers = usage.jobToolNumbers;
+      const job = { at: new Date().toISOString(), file: usage.jobName };
+      inventory.updateTools(tools => tools.map(tool =>
+        usedToolNumbers.has(tool.toolNumber) ? recordInstanceJob(recordToolUsage(tool, 0, 1), job) : tool
+      ));
+    }
+
+    usage.jobActive = false;
+    usage.jobToolNumbers = new Set();
+  });
+
+  ctx.registerToolMenu('Tool Inventory', async () => {
+    ctx.log('Tool Inventory opened');
+
+    // Save migrated data if needed
+    inventory.migrate();
+
+    ctx.showDialog(
+      'Tool Inventory',
+      /* html */ `
+      <style>
+        .tool-dialog-wrapper {
+          display: grid;
+          grid-template-rows: auto 1fr auto;
+          overflow: hidden;
+          width: 95vw;
+          max-width: 1400px;
+          height: 90vh;
+          max-height: 900px;
+        }
+
+        .tool-header {
+          padding: 16px 24px;
+          border-bottom: 1px solid var(--color-border);
+          display: flex;
+          gap: 12px;
+          align-items: center;
+          flex-wrap: wrap;
+        }
+
+        .tool-search {
+          flex: 1;
+          min-width: 200px;
+          padding: 8px 12px;
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-small);
+          background: var(--color-surface);
+          color: var(--color-text-primary);
+          font-size: 0.9rem;
+        }
+
+        .tool-search:focus {
+          outline: none;
+          border-color: var(--color-accent);
+        }
+
+        .tool-sort {
+          padding: 8px 12px;
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-small);
+          background: var(--color-surface);
+          color: var(--color-text-primary);
+          font-size: 0.9rem;
+          cursor: pointer;
+        }
+
+        .tool-life-threshold {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 0.85rem;
+          color: var(--color-text-secondary);
+        }
+
+        .active-tool-picker {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 0.85rem;
+          color: var(--color-text-secondary);
+        }
+
+        .machine-badge {
+          display: inline-block;
+          margin-left: 6px;
+          padding: 1px 6px;
+          border-radius: var(--radius-small);
+          background: var(--color-surface-muted);
+          color: var(--color-text-secondary);
+          font-size: 0.75rem;
+        }
+
+        .on-other-machine td {
+          color: var(--color-text-secondary);
+        }
+
+        .machine-table {
+          width: 100%;
+          border-collapse: collapse;
+          margin: 12px 0;
+        }
+
+        .machine-table th,
+        .machine-table td {
+          padding: 6px;
+          text-align: left;
+        }
+
+        .active-tool-picker select {
+          padding: 6px 8px;
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-small);
+          background: var(--color-surface);
+          color: var(--color-text-primary);
+        }
+
+        .tool-life-threshold input {
+          width: 64px;
+          padding: 6px 8px;
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-small);
+          background: var(--color-surface);
+          color: var(--color-text-primary);
+        }
+
+        .filter-bar {
+          padding: 8px 24px;
+          border-bottom: 1px solid var(--color-border);
+          display: flex;
+          gap: 12px;
+          align-items: center;
+          flex-wrap: wrap;
+        }
+
+        .filter-chips {
+          flex: 1;
+          display: flex;
+          gap: 6px;
+          align-items: center;
+          flex-wrap: wrap;
+        }
+
+        .filter-chip {
+          padding: 3px 10px;
+          border: 1px solid var(--color-border);
+          border-radius: 999px;
+          background: var(--color-surface);
+          color: var(--color-text-primary);
+          font-size: 0.8rem;
+          cursor: pointer;
+        }
+
+        .filter-chip.active {
+          border-color: var(--color-accent);
+          background: color-mix(in srgb, var(--color-accent) 18%, transparent);
+        }
+
+        .filter-chip-count {
+          color: var(--color-text-secondary);
+        }
+
+        .filter-chips-divider {
+          width: 1px;
+          align-self: stretch;
+          background: var(--color-border);
+        }
+
+        .saved-filters {
+          display: flex;
+          gap: 6px;
+          align-items: center;
+        }
+
+        .search-errors {
+          flex-basis: 100%;
+          color: var(--color-error);
+          font-size: 0.8rem;
+        }
+
+        .column-picker {
+          position: relative;
+        }
+
+        .tool-name-cell {
+          display: inline-flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .tool-thumb {
+          display: inline-flex;
+          flex-shrink: 0;
+          object-fit: contain;
+          border-radius: var(--radius-small);
+        }
+
+        .tool-gallery {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(170px, 1fr));
+          gap: 12px;
+          padding: 12px;
+        }
+
+        .tool-card {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          padding: 10px;
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-small);
+          background: var(--color-surface);
+        }
+
+        .tool-card.active-tool {
+          border-color: var(--color-accent);
+        }
+
+        .tool-card-image {
+          display: flex;
+          justify-content: center;
+          margin-bottom: 4px;
+        }
+
+        .tool-card-title {
+          font-weight: 600;
+          color: var(--color-text-primary);
+        }
+
+        .tool-card-meta {
+          font-size: 0.8rem;
+          color: var(--color-text-secondary);
+        }
+
+        .form-profile {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          margin-bottom: 16px;
+          padding: 8px;
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-small);
+          color: var(--color-text-secondary);
+        }
+
+        .form-image-preview {
+          display: flex;
+          align-items: center;
+          gap: 12px;
         }
 
-        .tool-sort {
+        .column-picker-menu {
+          position: absolute;
+          right: 0;
+          top: calc(100% + 4px);
+          z-index: 20;
+          min-width: 180px;
           padding: 8px 12px;
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          background: var(--color-surface);
           border: 1px solid var(--color-border);
           border-radius: var(--radius-small);
-          background: var(--color-surface);
-          color: var(--color-text-primary);
-          font-size: 0.9rem;
-          cursor: pointer;
+          box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
         }
 
         .tool-content {
@@ -199,6 +6912,61 @@ export async function onLoad(ctx) {
           border-bottom: 2px solid var(--color-border);
         }
 
+        .section-header-actions {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+        }
+
+        .tlo-macro {
+          margin: 0 0 16px;
+          padding: 10px 12px;
+          max-height: 200px;
+          overflow: auto;
+          border-radius: var(--radius-small);
+          background: var(--color-surface-muted);
+          color: var(--color-text-primary);
+          font-family: monospace;
+          font-size: 0.85rem;
+        }
+
+        .tlo-settings {
+          margin-top: 16px;
+          font-size: 0.9rem;
+          color: var(--color-text-secondary);
+        }
+
+        .tlo-settings summary {
+          cursor: pointer;
+          margin-bottom: 12px;
+        }
+
+        .tlo-settings textarea {
+          font-family: monospace;
+          min-height: 140px;
+        }
+
+        .sync-readback {
+          font-family: monospace;
+          min-height: 160px;
+        }
+
+        .tool-table tbody tr.sync-changed td:last-child,
+        .tool-table tbody tr.sync-extra td:last-child {
+          color: var(--color-warning, var(--color-text-primary));
+          font-weight: 600;
+        }
+
+        .tool-table tbody tr.sync-missing td:last-child {
+          color: var(--color-error);
+          font-weight: 600;
+        }
+
+        .tlo-drift-warning {
+          color: var(--color-error);
+          font-weight: 600;
+        }
+
         .section-header h4 {
           margin: 0;
           font-size: 1rem;
@@ -249,6 +7017,57 @@ export async function onLoad(ctx) {
           background: color-mix(in srgb, var(--color-accent) 10%, transparent);
         }
 
+        .tool-table tbody tr.active-tool {
+          box-shadow: inset 4px 0 0 var(--color-accent);
+          background: color-mix(in srgb, var(--color-accent) 16%, transparent);
+          font-weight: 600;
+        }
+
+        .tool-table tbody tr.life-low {
+          background: color-mix(in srgb, var(--color-error) 12%, transparent);
+        }
+
+        .tool-table tbody tr.selected {
+          background: color-mix(in srgb, var(--color-accent) 22%, transparent);
+        }
+
+        .tool-table .select-column {
+          width: 32px;
+          text-align: center;
+        }
+
+        .bulk-bar {
+          padding: 8px 24px;
+          border-bottom: 1px solid var(--color-border);
+          display: flex;
+          gap: 8px;
+          align-items: center;
+          flex-wrap: wrap;
+          background: color-mix(in srgb, var(--color-accent) 10%, transparent);
+        }
+
+        .bulk-count {
+          margin-right: 8px;
+          font-weight: 600;
+          font-size: 0.9rem;
+        }
+
+        .life-cell {
+          white-space: nowrap;
+          color: var(--color-text-secondary);
+        }
+
+        .life-badge {
+          display: inline-block;
+          margin-left: 6px;
+          padding: 2px 6px;
+          border-radius: var(--radius-small);
+          background: var(--color-error);
+          color: white;
+          font-size: 0.75rem;
+          font-weight: 600;
+        }
+
         .tool-actions {
           display: flex;
           gap: 8px;
@@ -416,6 +7235,36 @@ export async function onLoad(ctx) {
           min-height: 80px;
         }
 
+        .form-checkbox {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 0.9rem;
+          color: var(--color-text-primary);
+          cursor: pointer;
+        }
+
+        .form-section-title {
+          font-size: 0.95rem;
+          font-weight: 600;
+          color: var(--color-text-primary);
+          margin: 20px 0 12px;
+          padding-top: 12px;
+          border-top: 1px solid var(--color-border);
+        }
+
+        .form-row {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 0 12px;
+        }
+
+        .form-hint {
+          font-size: 0.8rem;
+          color: var(--color-text-secondary);
+          margin-top: 4px;
+        }
+
         .form-error {
           color: var(--color-error);
           font-size: 0.85rem;
@@ -431,6 +7280,162 @@ export async function onLoad(ctx) {
           border-top: 1px solid var(--color-border);
         }
 
+        .modal-content.modal-wide {
+          max-width: 860px;
+        }
+
+        .slot-editor {
+          display: flex;
+          gap: 16px;
+          margin-top: 12px;
+          align-items: flex-start;
+        }
+
+        .slot-grid {
+          flex: 1;
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(150px, 1fr));
+          gap: 8px;
+        }
+
+        .slot {
+          min-height: 88px;
+          padding: 6px;
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-small);
+          background: var(--color-surface-muted);
+        }
+
+        .slot.empty {
+          border-style: dashed;
+        }
+
+        .slot.over {
+          border-color: var(--color-error);
+          opacity: 0.7;
+        }
+
+        .slot.active-tool {
+          box-shadow: inset 0 0 0 2px var(--color-accent);
+        }
+
+        .slot.drag-over,
+        .slot-library.drag-over {
+          background: color-mix(in srgb, var(--color-accent) 20%, transparent);
+        }
+
+        .slot-number {
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: var(--color-text-secondary);
+          margin-bottom: 4px;
+        }
+
+        .slot-empty-text {
+          padding: 12px 0;
+          text-align: center;
+          font-size: 0.8rem;
+          color: var(--color-text-secondary);
+        }
+
+        .slot-library {
+          width: 240px;
+          max-height: 60vh;
+          overflow-y: auto;
+          padding: 8px;
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-small);
+        }
+
+        .slot-library-title {
+          font-weight: 600;
+          margin-bottom: 6px;
+        }
+
+        .slot-library .form-input {
+          margin-bottom: 6px;
+        }
+
+        .slot-card {
+          display: flex;
+          gap: 6px;
+          align-items: center;
+          padding: 4px;
+          margin-bottom: 4px;
+          border: 1px solid var(--color-border);
+          border-radius: var(--radius-small);
+          background: var(--color-surface);
+          cursor: grab;
+          font-size: 0.8rem;
+        }
+
+        .slot-card.picked {
+          border-color: var(--color-accent);
+          box-shadow: 0 0 0 2px var(--color-accent);
+        }
+
+        .slot-card.disabled {
+          cursor: not-allowed;
+          opacity: 0.5;
+        }
+
+        .slot-card-text {
+          min-width: 0;
+        }
+
+        .slot-card-name {
+          font-weight: 600;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .slot-card-meta {
+          color: var(--color-text-secondary);
+        }
+
+        ${PROGRAM_REPORT_STYLES}
+
+        .toast-container {
+          position: fixed;
+          bottom: 24px;
+          left: 50%;
+          transform: translateX(-50%);
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 8px;
+          z-index: 100000;
+        }
+
+        .toast {
+          display: flex;
+          align-items: center;
+          gap: 16px;
+          max-width: 560px;
+          padding: 10px 16px;
+          border: 1px solid var(--color-border);
+          border-radius: 6px;
+          background: var(--color-surface);
+          color: var(--color-text-primary);
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+          font-size: 0.9rem;
+          white-space: pre-line;
+        }
+
+        .toast.error {
+          border-color: var(--color-error);
+        }
+
+        .toast-action {
+          background: none;
+          border: none;
+          padding: 0;
+          color: var(--color-accent);
+          font-weight: 600;
+          cursor: pointer;
+        }
+
         .hidden {
           display: none;
         }
@@ -447,7 +7452,8 @@ export async function onLoad(ctx) {
             type="text"
             class="tool-search"
             id="tool-search"
-            placeholder="Search tools by T#, name, or type..."
+            placeholder="Search by T#, name or type, or type:ball dia:3..6 life<20%"
+            title="Fields: t, type, dia, loc, oal, flutes, material, coating, life, stock, in, name, sku, supplier, notes. Ranges: dia:3..6, comparisons: life<20%, negation: -type:drill, alternatives: type:ball,bull"
           >
           <select class="tool-sort" id="tool-sort">
             <option value="toolNumber-asc">Sort by T# (Asc)</option>
@@ -456,7 +7462,56 @@ export async function onLoad(ctx) {
             <option value="name-desc">Sort by Name (Z-A)</option>
             <option value="diameter-asc">Sort by Diameter (Small-Large)</option>
             <option value="diameter-desc">Sort by Diameter (Large-Small)</option>
+            <option value="life-asc">Sort by Remaining Life (Low-High)</option>
           </select>
+          <label class="tool-life-threshold" title="Tools with less remaining life than this are flagged">
+            Warn below
+            <input type="number" id="life-warning-percent" min="0" max="100" step="1">
+            % life
+          </label>
+          <label class="active-tool-picker" title="Units lengths are shown in. Each field also accepts 6.35mm, 0.25in or 1/4&quot;.">
+            Units
+            <select id="display-units-select">
+              <option value="mm">mm</option>
+              <option value="inch">inch</option>
+            </select>
+          </label>
+          <label class="active-tool-picker" title="The machine whose magazine is shown. Tools in another machine's magazine can't be given a T# here.">
+            Machine
+            <select id="machine-select"></select>
+          </label>
+          <button class="btn btn-secondary" id="machines-btn" type="button">Machines</button>
+          <label class="active-tool-picker" title="The tool in the spindle. M6 commands sent through ncSender update it automatically.">
+            In spindle
+            <select id="active-tool-select"></select>
+          </label>
+          <div class="column-picker">
+            <button class="btn btn-secondary" id="columns-btn" type="button">Columns</button>
+            <button class="btn btn-secondary" id="view-toggle-btn" type="button">Gallery View</button>
+            <div class="column-picker-menu hidden" id="columns-menu"></div>
+          </div>
+        </div>
+
+        <!-- Filter chips and saved filters -->
+        <div class="filter-bar">
+          <div class="filter-chips" id="filter-chips"></div>
+          <div class="saved-filters">
+            <select class="tool-sort" id="saved-filter-select"></select>
+            <button class="btn btn-secondary btn-small" id="save-filter-btn" type="button">Save Filter</button>
+            <button class="btn btn-secondary btn-small" id="delete-filter-btn" type="button">Delete</button>
+          </div>
+          <div class="search-errors hidden" id="search-errors"></div>
+        </div>
+
+        <!-- Actions for the ticked tools, shown while any are ticked -->
+        <div class="bulk-bar hidden" id="bulk-bar">
+          <span class="bulk-count" id="bulk-count"></span>
+          <button class="btn btn-secondary btn-small" id="bulk-unload" type="button">Move to Library</button>
+          <button class="btn btn-secondary btn-small" id="bulk-assign" type="button">Assign T# Range</button>
+          <button class="btn btn-secondary btn-small" id="bulk-fields" type="button">Set Fields</button>
+          <button class="btn btn-secondary btn-small" id="bulk-export" type="button">Export</button>
+          <button class="btn btn-danger btn-small" id="bulk-delete" type="button">Delete</button>
+          <button class="btn btn-secondary btn-small" id="bulk-clear" type="button">Clear Selection</button>
         </div>
 
         <!-- Content with two tables -->
@@ -465,16 +7520,22 @@ export async function onLoad(ctx) {
           <div class="tool-section">
             <div class="section-header">
               <h4>Tools in Magazine</h4>
-              <span class="section-count" id="magazine-count">0 tools</span>
+              <div class="section-header-actions">
+                <span class="section-count" id="magazine-count">0 tools</span>
+                <button class="btn btn-small btn-secondary" id="slots-btn" type="button">Arrange Slots</button>
+                <button class="btn btn-small btn-secondary" id="measure-all-btn" type="button">Measure All</button>
+              </div>
             </div>
             <div class="tool-table-container">
               <table class="tool-table" id="magazine-table">
                 <thead>
                   <tr>
+                    <th class="select-column"><input type="checkbox" id="magazine-select-all" title="Select all tools in the magazine"></th>
                     <th>T#</th>
                     <th>Description</th>
                     <th>Type</th>
-                    <th>Diameter (mm)</th>
+                    <th class="diameter-header">Diameter (mm)</th>
+                    <th>Life Remaining</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
@@ -483,6 +7544,7 @@ export async function onLoad(ctx) {
                 </tbody>
               </table>
             </div>
+            <div class="tool-gallery hidden" id="magazine-gallery"></div>
             <div class="empty-state hidden" id="magazine-empty">
               <div class="empty-state-text">No tools loaded in magazine</div>
             </div>
@@ -498,9 +7560,11 @@ export async function onLoad(ctx) {
               <table class="tool-table" id="library-table">
                 <thead>
                   <tr>
+                    <th class="select-column"><input type="checkbox" id="library-select-all" title="Select all tools in the library"></th>
                     <th>Description</th>
                     <th>Type</th>
-                    <th>Diameter (mm)</th>
+                    <th class="diameter-header">Diameter (mm)</th>
+                    <th>Life Remaining</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
@@ -509,6 +7573,7 @@ export async function onLoad(ctx) {
                 </tbody>
               </table>
             </div>
+            <div class="tool-gallery hidden" id="library-gallery"></div>
             <div class="empty-state hidden" id="library-empty">
               <div class="empty-state-icon">🔧</div>
               <div class="empty-state-text">No tools in your library that are not assigned to the magazine</div>
@@ -521,6 +7586,13 @@ export async function onLoad(ctx) {
         <div class="tool-footer">
           <div class="tool-count" id="tool-count">0 tools</div>
           <div class="tool-footer-actions">
+            <button class="btn btn-secondary" id="undo-btn" title="Undo (Ctrl+Z)" disabled>Undo</button>
+            <button class="btn btn-secondary" id="redo-btn" title="Redo (Ctrl+Shift+Z)" disabled>Redo</button>
+            <button class="btn btn-secondary" id="history-btn">History</button>
+            <button class="btn btn-secondary" id="reorder-btn">Low Stock</button>
+            <button class="btn btn-secondary" id="check-program-btn">Check Program</button>
+            <button class="btn btn-secondary" id="setups-btn">Setups</button>
+            <button class="btn btn-secondary" id="sync-controller-btn">Sync to Controller</button>
             <button class="btn btn-secondary" id="import-btn">Import</button>
             <button class="btn btn-secondary" id="export-btn">Export</button>
             <button class="btn btn-primary" id="add-tool-btn">Add Tool</button>
@@ -529,552 +7601,156 @@ export async function onLoad(ctx) {
         </div>
       </div>
 
+      <div class="toast-container" id="toast-container"></div>
+
       <!-- Hidden file input for import -->
-      <input type="file" id="import-file-input" accept=".json">
+      <input type="file" id="import-file-input" accept=".json,.tools,.vtdb,.csv">
+      <input type="file" id="program-file-input" accept=".nc,.gcode,.gc,.ngc,.tap,.cnc,.txt">
+      <input type="file" id="setup-program-input" accept=".nc,.gcode,.gc,.ngc,.tap,.cnc,.txt">
 
       <script>
         (function() {
-          let tools = JSON.parse('${toolsJson}');
-          let filteredTools = [...tools];
-          let currentSort = 'toolNumber-asc';
-          let currentSearch = '';
-          const maxToolCount = ${maxToolCount};
-
-          // Initialize
-          renderTools();
-          updateToolCount();
-
-          // Search functionality
-          document.getElementById('tool-search').addEventListener('input', function(e) {
-            currentSearch = e.target.value.toLowerCase();
-            applyFilters();
-          });
-
-          // Sort functionality
-          document.getElementById('tool-sort').addEventListener('change', function(e) {
-            currentSort = e.target.value;
-            applyFilters();
-          });
-
-          // Apply filters and sort
-          function applyFilters() {
-            // Filter
-            if (currentSearch) {
-              filteredTools = tools.filter(tool => {
-                const toolNum = tool.toolNumber !== null && tool.toolNumber !== undefined ? tool.toolNumber.toString() : '';
-                return toolNum.includes(currentSearch) ||
-                  tool.name.toLowerCase().includes(currentSearch) ||
-                  tool.type.toLowerCase().includes(currentSearch);
-              });
-            } else {
-              filteredTools = [...tools];
-            }
-
-            // Sort
-            const [field, direction] = currentSort.split('-');
-            filteredTools.sort((a, b) => {
-              let aVal = field === 'toolNumber' ? (a.toolNumber || 9999) : a[field];
-              let bVal = field === 'toolNumber' ? (b.toolNumber || 9999) : b[field];
-
-              if (typeof aVal === 'string') {
-                aVal = aVal.toLowerCase();
-                bVal = bVal.toLowerCase();
-              }
-
-              if (direction === 'asc') {
-                return aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
-              } else {
-                return aVal < bVal ? 1 : aVal > bVal ? -1 : 0;
-              }
-            });
-
-            renderTools();
-          }
-
-          // Render tools tables
-          function renderTools() {
-            // Separate tools into magazine (with tool number) and library (without tool number)
-            const magazineTools = filteredTools.filter(t => t.toolNumber !== null && t.toolNumber !== undefined);
-            const libraryTools = filteredTools.filter(t => t.toolNumber === null || t.toolNumber === undefined);
-
-            // Render magazine table
-            const magazineTbody = document.getElementById('magazine-tbody');
-            const magazineEmpty = document.getElementById('magazine-empty');
-            const magazineTable = document.getElementById('magazine-table');
-            const magazineCountEl = document.getElementById('magazine-count');
-
-            if (magazineTools.length === 0) {
-              magazineTable.classList.add('hidden');
-              magazineEmpty.classList.remove('hidden');
-              magazineTbody.innerHTML = '';
-            } else {
-              magazineTable.classList.remove('hidden');
-              magazineEmpty.classList.add('hidden');
-
-              magazineTbody.innerHTML = magazineTools.map(tool => \`
-                <tr>
-                  <td>T\${tool.toolNumber}</td>
-                  <td>\${escapeHtml(tool.name)}</td>
-                  <td>\${formatType(tool.type)}</td>
-                  <td>\${tool.diameter.toFixed(3)}</td>
-                  <td>
-                    <div class="tool-actions">
-                      <button class="btn btn-small btn-secondary" onclick="window.editTool(\${tool.id})">Edit</button>
-                      <button class="btn btn-small btn-danger" onclick="window.deleteTool(\${tool.id})">Delete</button>
-                    </div>
-                  </td>
-                </tr>
-              \`).join('');
-            }
-            magazineCountEl.textContent = \`\${magazineTools.length} tool\${magazineTools.length !== 1 ? 's' : ''}\`;
-
-            // Render library table (tools without tool numbers)
-            const libraryTbody = document.getElementById('library-tbody');
-            const libraryEmpty = document.getElementById('library-empty');
-            const libraryTable = document.getElementById('library-table');
-            const libraryCountEl = document.getElementById('library-count');
-
-            if (libraryTools.length === 0) {
-              libraryTable.classList.add('hidden');
-              libraryEmpty.classList.remove('hidden');
-              libraryTbody.innerHTML = '';
-            } else {
-              libraryTable.classList.remove('hidden');
-              libraryEmpty.classList.add('hidden');
-
-              libraryTbody.innerHTML = libraryTools.map(tool => \`
-                <tr>
-                  <td>\${escapeHtml(tool.name)}</td>
-                  <td>\${formatType(tool.type)}</td>
-                  <td>\${tool.diameter.toFixed(3)}</td>
-                  <td>
-                    <div class="tool-actions">
-                      <button class="btn btn-small btn-secondary" onclick="window.editTool(\${tool.id})">Edit</button>
-                      <button class="btn btn-small btn-danger" onclick="window.deleteTool(\${tool.id})">Delete</button>
-                    </div>
-                  </td>
-                </tr>
-              \`).join('');
-            }
-            libraryCountEl.textContent = \`\${libraryTools.length} tool\${libraryTools.length !== 1 ? 's' : ''}\`;
-          }
-
-          // Update tool count
-          function updateToolCount() {
-            const count = tools.length;
-            document.getElementById('tool-count').textContent = \`\${count} tool\${count !== 1 ? 's' : ''}\`;
-
-            // Note: We don't disable Add Tool button anymore since tools can exist without tool numbers
-          }
-
-          // Format tool type
-          function formatType(type) {
-            const typeMap = {
-              'flat': 'Flat End Mill',
-              'ball': 'Ball End Mill',
-              'v-bit': 'V-Bit',
-              'drill': 'Drill',
-              'chamfer': 'Chamfer',
-              'surfacing': 'Surfacing',
-              'probe': 'Probe',
-              'thread-mill': 'Thread Mill'
-            };
-            return typeMap[type] || type;
-          }
-
-          // Escape HTML
-          function escapeHtml(text) {
-            const div = document.createElement('div');
-            div.textContent = text;
-            return div.innerHTML;
-          }
-
-          // Add tool
-          document.getElementById('add-tool-btn').addEventListener('click', function() {
-            // Generate new internal ID
-            const newId = tools.length === 0 ? 1 : Math.max(...tools.map(t => t.id)) + 1;
-            showToolForm(null, newId);
-          });
-
-          // Edit tool
-          window.editTool = function(toolId) {
-            const tool = tools.find(t => t.id === toolId);
-            if (tool) {
-              showToolForm(tool);
-            }
-          };
-
-          // Delete tool
-          window.deleteTool = function(toolId) {
-            const tool = tools.find(t => t.id === toolId);
-            if (!tool) return;
-
-            if (confirm(\`Are you sure you want to delete T\${tool.id} - \${tool.name}?\`)) {
-              tools = tools.filter(t => t.id !== toolId);
-              saveTools();
-              applyFilters();
-              updateToolCount();
-            }
-          };
-
-          // Show tool form
-          function showToolForm(tool, newId = null) {
-            const isEdit = tool !== null;
-            const formData = tool || {
-              id: newId,
-              toolNumber: null,
-              name: '',
-              type: 'flat',
-              diameter: 0,
-              offsets: { tlo: 0 },
-              metadata: { notes: '', image: '', sku: '' }
-            };
-
-            const overlay = document.createElement('div');
-            overlay.className = 'modal-overlay';
-
-            // Build HTML using string concatenation to avoid template literal nesting issues
-            let html = '<div class="modal-content">';
-            html += '<div class="modal-header">' + (isEdit ? 'Edit Tool' : 'Add Tool') + '</div>';
-            html += '<form id="tool-form">';
-
-            // Tool Number (Optional)
-            html += '<div class="form-group">';
-            html += '<label class="form-label">Tool Number (T#)</label>';
-            html += '<select class="form-select" id="form-toolnumber">';
-
-            // Add "None" option
-            const hasNoToolNumber = formData.toolNumber === null || formData.toolNumber === undefined;
-            html += '<option value=""' + (hasNoToolNumber ? ' selected' : '') + '>None (Not in magazine)</option>';
-
-            // Show all tool numbers (including assigned ones with swap indicator)
-            for (let i = 1; i <= maxToolCount; i++) {
-              const selected = i === formData.toolNumber ? ' selected' : '';
-
-              // Check if this tool number is already assigned to another tool
-              const assignedTool = tools.find(t => t.toolNumber === i && (!isEdit || t.id !== formData.id));
-
-              if (assignedTool) {
-                // Show with swap indicator
-                html += '<option value="' + i + '"' + selected + '>T' + i + ' (Swap with: ' + escapeHtml(assignedTool.name) + ')</option>';
-              } else {
-                // Available slot
-                html += '<option value="' + i + '"' + selected + '>T' + i + '</option>';
-              }
-            }
-
-            html += '</select>';
-            html += '<div class="form-error hidden" id="error-toolnumber"></div>';
-            html += '</div>';
-
-            // Tool Name
-            html += '<div class="form-group">';
-            html += '<label class="form-label required">Tool Name / Description</label>';
-            html += '<input type="text" class="form-input" id="form-name" ';
-            html += 'value="' + escapeHtml(formData.name) + '" ';
-            html += 'placeholder="e.g., 1/4in Flat Endmill" required>';
-            html += '<div class="form-error hidden" id="error-name"></div>';
-            html += '</div>';
-
-            // Tool Type
-            html += '<div class="form-group">';
-            html += '<label class="form-label required">Tool Type</label>';
-            html += '<select class="form-select" id="form-type" required>';
-            html += '<option value="flat"' + (formData.type === 'flat' ? ' selected' : '') + '>Flat End Mill</option>';
-            html += '<option value="ball"' + (formData.type === 'ball' ? ' selected' : '') + '>Ball End Mill</option>';
-            html += '<option value="v-bit"' + (formData.type === 'v-bit' ? ' selected' : '') + '>V-Bit</option>';
-            html += '<option value="drill"' + (formData.type === 'drill' ? ' selected' : '') + '>Drill</option>';
-            html += '<option value="chamfer"' + (formData.type === 'chamfer' ? ' selected' : '') + '>Chamfer</option>';
-            html += '<option value="surfacing"' + (formData.type === 'surfacing' ? ' selected' : '') + '>Surfacing</option>';
-            html += '<option value="thread-mill"' + (formData.type === 'thread-mill' ? ' selected' : '') + '>Thread Mill</option>';
-            html += '<option value="probe"' + (formData.type === 'probe' ? ' selected' : '') + '>Probe</option>';
-            html += '</select>';
-            html += '</div>';
-
-            // Diameter
-            html += '<div class="form-group">';
-            html += '<label class="form-label required">Diameter (mm)</label>';
-            html += '<input type="number" class="form-input" id="form-diameter" ';
-            html += 'value="' + formData.diameter + '" min="0.001" step="0.001" ';
-            html += 'placeholder="6.350" required>';
-            html += '<div class="form-error hidden" id="error-diameter"></div>';
-            html += '</div>';
-
-            // TLO (hidden for now)
-            html += '<div class="form-group hidden">';
-            html += '<label class="form-label">Tool Length Offset - TLO (mm)</label>';
-            html += '<input type="number" class="form-input" id="form-tlo" ';
-            html += 'value="' + formData.offsets.tlo + '" step="0.001" placeholder="0">';
-            html += '</div>';
-
-            // Notes
-            html += '<div class="form-group">';
-            html += '<label class="form-label">Notes</label>';
-            html += '<textarea class="form-textarea" id="form-notes" ';
-            html += 'placeholder="Any additional information about this tool...">';
-            html += escapeHtml(formData.metadata.notes || '');
-            html += '</textarea>';
-            html += '</div>';
-
-            // SKU
-            html += '<div class="form-group">';
-            html += '<label class="form-label">SKU / Part Number</label>';
-            html += '<input type="text" class="form-input" id="form-sku" ';
-            html += 'value="' + escapeHtml(formData.metadata.sku || '') + '" ';
-            html += 'placeholder="e.g., MANUFACTURER-12345">';
-            html += '</div>';
-
-            // Image URL (hidden for now)
-            html += '<div class="form-group hidden">';
-            html += '<label class="form-label">Image URL</label>';
-            html += '<input type="text" class="form-input" id="form-image" ';
-            html += 'value="' + escapeHtml(formData.metadata.image || '') + '" ';
-            html += 'placeholder="https://...">';
-            html += '</div>';
-
-            // Footer
-            html += '<div class="modal-footer">';
-            html += '<button type="button" class="btn btn-secondary" id="form-cancel">Cancel</button>';
-            html += '<button type="submit" class="btn btn-primary">' + (isEdit ? 'Save Changes' : 'Add Tool') + '</button>';
-            html += '</div>';
-
-            html += '</form>';
-            html += '</div>';
-
-            overlay.innerHTML = html;
-            document.body.appendChild(overlay);
-
-            // Cancel button
-            document.getElementById('form-cancel').addEventListener('click', function() {
-              document.body.removeChild(overlay);
-            });
-
-            // Form submission
-            document.getElementById('tool-form').addEventListener('submit', function(e) {
-              e.preventDefault();
-
-              // Collect form data
-              const toolNumberValue = document.getElementById('form-toolnumber').value;
-              const newToolNumber = toolNumberValue === '' ? null : parseInt(toolNumberValue);
-
-              const newTool = {
-                id: formData.id, // Keep internal ID
-                toolNumber: newToolNumber,
-                name: document.getElementById('form-name').value.trim(),
-                type: document.getElementById('form-type').value,
-                diameter: parseFloat(document.getElementById('form-diameter').value),
-                offsets: {
-                  tlo: parseFloat(document.getElementById('form-tlo').value) || 0
-                },
-                metadata: {
-                  notes: document.getElementById('form-notes').value.trim(),
-                  image: document.getElementById('form-image').value.trim(),
-                  sku: document.getElementById('form-sku').value.trim()
-                },
-                dimensions: formData.dimensions || {
-                  flute_length: null,
-                  overall_length: null,
-                  taper_angle: null,
-                  radius: null,
-                  stickout: null
-                },
-                specs: formData.specs || {
-                  material: null,
-                  coating: null
-                },
-                life: formData.life || {
-                  enabled: false,
-                  total_minutes: null,
-                  used_minutes: 0,
-                  remaining_minutes: null,
-                  usage_count: 0
-                }
-              };
-
-              // Validate
-              const errors = validateTool(newTool, tools, tool);
-              if (errors.length > 0) {
-                alert('Validation errors:\\n' + errors.join('\\n'));
-                return;
-              }
-
-              // Handle tool number swapping
-              if (newToolNumber !== null) {
-                // Check if another tool has this tool number
-                const toolWithSameNumber = tools.find(t =>
-                  t.toolNumber === newToolNumber &&
-                  t.id !== formData.id
-                );
-
-                if (toolWithSameNumber) {
-                  // Swap: give the other tool this tool's old number (or null)
-                  const oldToolNumber = formData.toolNumber;
-                  toolWithSameNumber.toolNumber = oldToolNumber;
-                }
-              }
-
-              // Save
-              if (isEdit) {
-                const index = tools.findIndex(t => t.id === tool.id);
-                tools[index] = newTool;
-              } else {
-                tools.push(newTool);
-              }
-
-              saveTools();
-              applyFilters();
-              updateToolCount();
-              document.body.removeChild(overlay);
-            });
-          }
-
-          // Validate tool
-          function validateTool(tool, allTools, originalTool) {
-            const errors = [];
-
-            if (!tool.id || !Number.isInteger(tool.id) || tool.id < 1) {
-              errors.push('Tool number must be a positive integer');
-            }
-
-            const duplicate = allTools.find(t => t.id === tool.id && t !== originalTool);
-            if (duplicate) {
-              errors.push(\`Tool number \${tool.id} already exists\`);
-            }
-
-            if (!tool.name || tool.name.trim() === '') {
-              errors.push('Tool name is required');
-            }
-
-            if (!tool.diameter || tool.diameter <= 0) {
-              errors.push('Diameter must be greater than 0');
-            }
-
-            return errors;
-          }
-
-          // Save tools
-          async function saveTools() {
-            try {
-              const response = await fetch('/api/plugins/com.ncsender.toolinventory/settings', {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ tools: tools })
-              });
-
-              if (!response.ok) {
-                console.error('Failed to save tools');
-              } else {
-                // Broadcast event to notify other components (like GCodeVisualizer)
-                window.postMessage({
-                  type: 'tool-inventory-updated',
-                  pluginId: 'com.ncsender.toolinventory',
-                  data: { tools: tools }
-                }, '*');
-              }
-            } catch (error) {
-              console.error('Error saving tools:', error);
-            }
-          }
-
-          // Export tools
-          document.getElementById('export-btn').addEventListener('click', function() {
-            if (tools.length === 0) {
-              alert('No tools to export');
-              return;
-            }
-
-            const json = JSON.stringify(tools, null, 2);
-            const blob = new Blob([json], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = \`tool-library-\${new Date().toISOString().split('T')[0]}.json\`;
-            a.click();
-            URL.revokeObjectURL(url);
-          });
-
-          // Import tools
-          document.getElementById('import-btn').addEventListener('click', function() {
-            document.getElementById('import-file-input').click();
-          });
-
-          document.getElementById('import-file-input').addEventListener('change', function(e) {
-            const file = e.target.files[0];
-            if (!file) return;
-
-            const reader = new FileReader();
-            reader.onload = function(event) {
-              try {
-                const importedTools = JSON.parse(event.target.result);
-
-                if (!Array.isArray(importedTools)) {
-                  alert('Invalid file format. Expected an array of tools.');
-                  return;
-                }
-
-                // Validate imported tools
-                const validationErrors = [];
-                importedTools.forEach((tool, index) => {
-                  const errors = validateTool(tool, [], null);
-                  if (errors.length > 0) {
-                    validationErrors.push(\`Tool #\${index + 1}: \${errors.join(', ')}\`);
-                  }
-                });
-
-                if (validationErrors.length > 0) {
-                  alert('Import validation failed:\\n' + validationErrors.slice(0, 5).join('\\n'));
-                  return;
-                }
-
-                // Check for conflicts
-                const conflicts = importedTools.filter(importTool =>
-                  tools.some(existingTool => existingTool.id === importTool.id)
-                );
-
-                if (conflicts.length > 0) {
-                  const conflictList = conflicts.map(t => \`T\${t.id}\`).join(', ');
-                  if (!confirm(\`The following tool numbers already exist: \${conflictList}\\n\\nDo you want to replace existing tools and import?\`)) {
-                    return;
-                  }
-                }
-
-                // Merge tools (replace existing, add new)
-                importedTools.forEach(importTool => {
-                  const existingIndex = tools.findIndex(t => t.id === importTool.id);
-                  if (existingIndex >= 0) {
-                    tools[existingIndex] = importTool;
-                  } else {
-                    tools.push(importTool);
-                  }
-                });
-
-                saveTools();
-                applyFilters();
-                updateToolCount();
-                alert(\`Successfully imported \${importedTools.length} tool(s)\`);
-
-              } catch (error) {
-                alert('Failed to import tools. Invalid JSON file.');
-                console.error('Import error:', error);
-              }
-            };
-            reader.readAsText(file);
-
-            // Reset file input
-            e.target.value = '';
-          });
-
-          // Close dialog
-          document.getElementById('close-btn').addEventListener('click', function() {
-            window.postMessage({ type: 'close-plugin-dialog' }, '*');
-          });
-
-          // Close dialog on Escape key
-          document.addEventListener('keydown', function(event) {
-            if (event.key === 'Escape') {
-              window.postMessage({ type: 'close-plugin-dialog' }, '*');
-            }
-          });
+          // Module-level helpers shared with the server side
+          ${shareWithDialog({
+            EXPORT_FORMAT,
+            EXPORT_SCHEMA_VERSION,
+            TOOL_TYPE_LABELS,
+            escapeHtml,
+            ACTIVE_TOOL_CHIP_ID,
+            formatActiveTool,
+            showActiveToolChip,
+            DEFAULT_TLO_MACRO,
+            DEFAULT_TLO_DRIFT_WARN_MM,
+            TLO_HISTORY_LIMIT,
+            parseProbeResult,
+            computeTlo,
+            getTloSetupErrors,
+            buildTloMacro,
+            recordTloMeasurement,
+            getTloDrift,
+            CONTROLLER_DIALECTS,
+            CONTROLLER_TABLE_TOLERANCE_MM,
+            parseControllerToolTable,
+            diffControllerToolTable,
+            buildToolTableProgram,
+            LENGTH_UNITS,
+            toMm,
+            fromMm,
+            parseLength,
+            formatLength,
+            formatLengthWithUnits,
+            getLifeRemainingPercent,
+            QUERY_FIELDS,
+            readQueryField,
+            tokenizeQuery,
+            parseQueryRange,
+            parseToolQuery,
+            matchesToolQuery,
+            toggleQueryValue,
+            getQueryValues,
+            DIMENSION_FIELDS,
+            DIAMETER_TOLERANCE_MM,
+            FUSION_TYPE_MAP,
+            VECTRIC_TYPE_MAP,
+            CSV_FIELDS,
+            DEFAULT_LIFE_WARNING_PERCENT,
+            generateToolId,
+            createDefaultTool,
+            migrateTools,
+            normalizeLife,
+            mergeServerRecorded,
+            buildBrowserLookup,
+            TOOL_API_VERSION,
+            validateTool,
+            createExportEnvelope,
+            readExportEnvelope,
+            validateToolSchema,
+            findImportConflicts,
+            mergeToolFields,
+            mergeImportedTools,
+            MAX_SNAPSHOTS,
+            storeSnapshotTools,
+            trimHistory,
+            takeSnapshot,
+            readSnapshot,
+            migrateSnapshots,
+            MAX_HISTORY_BYTES,
+            diffTools,
+            summarizeDiff,
+            parseGcodeLine,
+            matchToolType,
+            parseToolComments,
+            analyzeProgram,
+            renderProgramReport,
+            validateDimensions,
+            parseFusionLibrary,
+            readZipEntries,
+            readSqliteTables,
+            parseVectricDatabase,
+            parseCsv,
+            guessCsvMapping,
+            mapCsvRows,
+            planImport,
+            applyImportPlan,
+            FUSION_EXPORT_TYPES,
+            exportFusionLibrary,
+            csvCell,
+            exportCsv,
+            exportLinuxCncToolTable,
+            buildSetupSheet,
+            IMAGE_REF_PREFIX,
+            IMAGE_MAX_SIZE,
+            hashString,
+            storeToolImages,
+            pruneImages,
+            resolveToolImage,
+            embedToolImages,
+            buildToolProfileSvg,
+            DEFAULT_MACHINE_ID,
+            createMachine,
+            PRESET_FIELDS,
+            presetFieldLabel,
+            WORKPIECE_MATERIALS,
+            createPreset,
+            computeChipLoad,
+            computeFeedForChipLoad,
+            computeSurfaceSpeed,
+            validatePresets,
+            mergePresets,
+            INSTANCE_STATUSES,
+            createInstance,
+            generateInstanceId,
+            getMountedInstance,
+            getEffectiveDiameter,
+            mountInstance,
+            regrindInstance,
+            validateInstances,
+            isLowStock,
+            formatStock,
+            retireTool,
+            buildReorderReport,
+            exportReorderCsv,
+            normalizeSettings,
+            getActiveMachine,
+            getMachineToolCount,
+            getOtherMachineAssignments,
+            releaseOtherMachineTools,
+            validateMachineAssignment,
+            switchMachine,
+            pruneMachineAssignments,
+            validateToolChange,
+            upsertTool,
+            assignToolNumberRange,
+            applyBulkFields,
+            createSetup,
+            getMagazinePockets,
+            suggestSetupFromProgram,
+            planSetup,
+            createInventoryService,
+            toolInventoryDialog
+          })}
+
+          toolInventoryDialog(${toScriptData(inventory.load())}, ${getAppToolCount()});
         })();
       </script>
     `,
@@ -1087,4 +7763,10 @@ export async function onLoad(ctx) {
 
 export async function onUnload(ctx) {
   ctx.log('Tool Management plugin unloading');
+
+  if (closeToolLookup) {
+    closeToolLookup();
+    closeToolLookup = null;
+  }
+  delete globalThis[TOOL_API_KEY];
 }
@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  migrateTools,
+  parseFusionLibrary,
+  parseCsv,
+  guessCsvMapping,
+  mapCsvRows,
+  planImport,
+  applyImportPlan,
+  readExportEnvelope,
+  mergeImportedTools,
+  readSqliteTables,
+  parseVectricDatabase
+} from '../index.js';
+
+// Small Vectric-style database: 512-byte pages, UUID blob ids and one row long enough to overflow
+const vectricFixture = () => readFileSync(new URL('./fixtures/tools.vtdb', import.meta.url));
+
+test('parseFusionLibrary converts tools to drafts and skips holders', () => {
+  const drafts = parseFusionLibrary({
+    data: [
+      { type: 'holder', description: 'ER20' },
+      {
+        type: 'ball end mill',
+        description: '1/8 Ball',
+        unit: 'inches',
+        vendor: 'Amana',
+        'product-id': '46202',
+        BMC: 'carbide',
+        geometry: { DC: 0.125, LCF: 0.5, OAL: 1.5, RE: 0.0625, NOF: 2 },
+        'post-process': { number: 3 },
+        'start-values': { presets: [{ name: 'MDF', n: 18000, v_f: 80 }] }
+      }
+    ]
+  });
+
+  assert.equal(drafts.length, 1);
+  const [draft] = drafts;
+  assert.equal(draft.name, '1/8 Ball');
+  assert.equal(draft.type, 'ball');
+  assert.equal(draft.units, 'inch');
+  assert.equal(draft.diameter, 3.175);
+  assert.equal(draft.toolNumber, 3);
+  assert.equal(draft.sku, '46202');
+  assert.equal(draft.dimensions.flute_length, 12.7);
+  assert.equal(draft.dimensions.radius, 1.5875);
+  assert.deepEqual(draft.specs, { material: 'Carbide', coating: null, flutes: 2 });
+  assert.deepEqual(draft.presets, [{ material: 'MDF', rpm: 18000, feed: 2032, plunge: null, stepdown: null, stepover: null }]);
+  assert.deepEqual(draft.warnings, []);
+});
+
+test('parseFusionLibrary imports unknown types as flat end mills with a warning', () => {
+  const [draft] = parseFusionLibrary([{ type: 'form mill', geometry: { DC: 6 } }]);
+  assert.equal(draft.type, 'flat');
+  assert.deepEqual(draft.warnings, ['Unknown Fusion tool type "form mill", imported as Flat End Mill']);
+  assert.throws(() => parseFusionLibrary({ tools: [] }), /Not a Fusion 360 tool library/);
+});
+
+test('readSqliteTables reads rows, blob ids, overflow pages and INTEGER PRIMARY KEY rowids', () => {
+  const tables = readSqliteTables(vectricFixture());
+  assert.deepEqual(Object.keys(tables), ['tool_geometry', 'tool_cutting_data', 'tool_entity', 'tool_tree_entry', 'version']);
+  assert.deepEqual(tables.version, [{ id: 1, label: 'fixture' }]);
+
+  const [geometry] = tables.tool_geometry;
+  assert.ok(geometry.id instanceof Uint8Array);
+  assert.equal(geometry.id.length, 16);
+  assert.equal(geometry.notes, 'Roughing '.repeat(80));
+  assert.equal(geometry.diameter, 6);
+  assert.throws(() => readSqliteTables(new TextEncoder().encode('not a database')), /Not an SQLite database/);
+});
+
+test('parseVectricDatabase joins tools to their names and T#s by blob id', () => {
+  const drafts = parseVectricDatabase(readSqliteTables(vectricFixture()));
+  assert.deepEqual(drafts.map(d => [d.name, d.type, d.diameter, d.units, d.toolNumber]), [
+    ['End Mill (6.000 mm)', 'flat', 6, 'mm', 3],
+    ['1/2" 90° V-Bit', 'v-bit', 12.7, 'inch', null]
+  ]);
+  assert.equal(drafts[1].dimensions.taper_angle, 90);
+  assert.throws(() => parseVectricDatabase({ version: [] }), /No tool_geometry table/);
+});
+
+test('parseCsv handles quotes, escaped quotes, semicolons and blank lines', () => {
+  assert.deepEqual(parseCsv('﻿Name,Notes\r\n"Flat, 1/4","say ""hi"""\r\n\r\nBall,\n'), [
+    ['Name', 'Notes'],
+    ['Flat, 1/4', 'say "hi"'],
+    ['Ball', '']
+  ]);
+  assert.deepEqual(parseCsv('Name;Diameter\nFlat;6,35'), [['Name', 'Diameter'], ['Flat', '6,35']]);
+});
+
+test('mapCsvRows reads lengths in the row\'s units and warns about unknown types', () => {
+  const [headers, ...rows] = parseCsv([
+    'Description,Tool Type,Dia,T#,Units,Qty',
+    '1/4 Flat,Flat End Mill,0.25,T2,in,3',
+    'Cutter,laser,"1/8""",,,',
+    'Bad,ball,wide,,mm,'
+  ].join('\n'));
+  const mapping = guessCsvMapping(headers);
+  assert.deepEqual(mapping, { name: 0, type: 1, diameter: 2, toolNumber: 3, units: 4, quantity: 5 });
+
+  const drafts = mapCsvRows(rows, mapping, 'mm');
+  assert.deepEqual(drafts.map(d => [d.name, d.type, d.diameter, d.units, d.toolNumber, d.stock.quantity]), [
+    ['1/4 Flat', 'flat', 6.35, 'inch', 2, 3],
+    ['Cutter', 'flat', 3.175, 'mm', null, null],
+    ['Bad', 'ball', null, 'mm', null, null]
+  ]);
+  assert.deepEqual(drafts[1].warnings, ['Unknown type "laser", imported as Flat End Mill']);
+  assert.match(drafts[2].warnings[0], /^Diameter: Can't read "wide"/);
+});
+
+test('planImport matches existing tools by SKU or name, type and diameter', () => {
+  const tools = migrateTools([
+    { id: 1, toolNumber: 1, name: 'Flat', type: 'flat', diameter: 6.35, metadata: { sku: 'A-1' } },
+    { id: 2, toolNumber: 2, name: 'Ball', type: 'ball', diameter: 3 }
+  ]);
+  const plan = planImport([
+    { name: 'Renamed', type: 'flat', diameter: 6.35, sku: 'a-1', toolNumber: null },
+    { name: 'ball', type: 'ball', diameter: 3.01, toolNumber: 2 },
+    { name: 'Drill', type: 'drill', diameter: 5, toolNumber: 1 },
+    { name: '', type: 'flat', diameter: 0 }
+  ], tools, { assignToolNumbers: true, maxToolCount: 6 });
+
+  assert.deepEqual(plan.map(e => [e.action, e.existing && e.existing.id, e.toolNumber]), [
+    ['update', 1, 1],
+    ['update', 2, 2],
+    ['create', null, null],
+    ['skip', null, null]
+  ]);
+  assert.deepEqual(plan[2].notes, ['T1 is held by "Flat"']);
+  assert.deepEqual(plan[3].notes, ['Missing name', 'Missing or invalid diameter']);
+});
+
+test('planImport leaves a tool loaded on another machine in the library', () => {
+  const tools = migrateTools([{ id: 1, toolNumber: null, name: 'Flat', type: 'flat', diameter: 6.35 }]);
+  const otherMachines = new Map([[1, { machine: { name: 'Router' }, toolNumber: 1 }]]);
+  const plan = planImport([{ name: 'Flat', type: 'flat', diameter: 6.35, toolNumber: 2 }], tools, { assignToolNumbers: true, maxToolCount: 6, otherMachines });
+
+  assert.deepEqual(plan.map(e => [e.action, e.toolNumber]), [['update', null]]);
+  assert.deepEqual(plan[0].notes, ['Left in the library: in use on Router as T1']);
+});
+
+test('mergeImportedTools sends imported tools loaded on another machine to the library', () => {
+  const tools = migrateTools([{ id: 1, toolNumber: null, name: 'Flat', type: 'flat', diameter: 6.35 }]);
+  const otherMachines = new Map([[1, { machine: { name: 'Router' }, toolNumber: 1 }]]);
+  const imported = migrateTools([{ id: 1, toolNumber: 2, name: 'Flat', type: 'flat', diameter: 6.35 }]);
+  const result = mergeImportedTools(imported, tools, 'id', ['replace'], 2, otherMachines);
+
+  assert.equal(result.tools[0].toolNumber, null);
+  assert.deepEqual(result.notes, ['"Flat" moved to the library: it is in use on Router as T1']);
+});
+
+test('applyImportPlan updates matched tools and gives new tools ids that were never used', () => {
+  const tools = migrateTools([{ id: 1, toolNumber: 1, name: 'Flat', type: 'flat', diameter: 6.35, metadata: { sku: 'A-1', notes: 'keep' } }]);
+  const plan = planImport([
+    { name: 'Flat 2F', type: 'flat', diameter: 6.35, sku: 'A-1', notes: '', specs: { flutes: 2 } },
+    { name: 'Drill', type: 'drill', diameter: 5 }
+  ], tools);
+  const result = applyImportPlan(plan, tools, 7);
+
+  assert.deepEqual(result.map(t => [t.id, t.name, t.toolNumber]), [[1, 'Flat 2F', 1], [7, 'Drill', null]]);
+  assert.equal(result[0].metadata.notes, 'keep');
+  assert.equal(result[0].specs.flutes, 2);
+  assert.equal(tools[0].name, 'Flat', 'the input list is not changed');
+});
+
+test('readExportEnvelope reads current and legacy exports and rejects newer schemas', () => {
+  const tool = { id: 1, toolNumber: 1, name: 'Flat', type: 'flat', diameter: 6.35 };
+  const current = readExportEnvelope({ format: 'ncsender-tool-inventory', schemaVersion: 2, exportedAt: '2026-01-01T00:00:00.000Z', tools: [tool] });
+  assert.equal(current.schemaVersion, 2);
+  assert.equal(current.exportedAt, '2026-01-01T00:00:00.000Z');
+  assert.equal(current.tools[0].units, 'mm');
+
+  assert.equal(readExportEnvelope([tool]).schemaVersion, 1);
+  assert.throws(() => readExportEnvelope({ format: 'ncsender-tool-inventory', schemaVersion: 99, tools: [] }), /schema version 99/);
+  assert.throws(() => readExportEnvelope({ format: 'other' }), /Not a Tool Inventory export file/);
+  assert.throws(() => readExportEnvelope([tool, 'x']), /Tool #2 is not an object/);
+});
@@ -0,0 +1,333 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createInventoryService,
+  normalizeSettings,
+  migrateTools,
+  validateTool,
+  validateToolChange,
+  upsertTool,
+  assignToolNumberRange,
+  createSetup,
+  planSetup,
+  takeSnapshot,
+  readSnapshot,
+  switchMachine,
+  retireTool,
+  mergeServerRecorded
+} from '../index.js';
+
+const tool = (id, toolNumber, name, extra = {}) => ({ id, toolNumber, name, type: 'flat', diameter: 6.35, ...extra });
+
+test('validateTool accepts a complete tool', () => {
+  assert.deepEqual(validateTool(tool(1, 1, '1/4 Flat'), []), []);
+});
+
+test('validateTool reports missing and invalid fields', () => {
+  const errors = validateTool({ toolNumber: 0, name: ' ', type: 'drill-press', diameter: 0 }, []);
+  assert.deepEqual(errors, [
+    'Tool number must be a positive integer',
+    'Tool name is required',
+    'Diameter must be greater than 0',
+    'Invalid tool type'
+  ]);
+});
+
+test('validateTool rejects a T# held by another tool, but not by the tool being edited', () => {
+  const tools = [tool(1, 1, 'A')];
+  assert.deepEqual(validateTool(tool(2, 1, 'B'), tools), ['Tool number 1 already exists']);
+  assert.deepEqual(validateTool(tool(1, 1, 'A2'), tools, tools[0]), []);
+});
+
+test('validateTool checks tool life and stock', () => {
+  const errors = validateTool(tool(1, 1, 'A', {
+    life: { enabled: true, total_minutes: 0 },
+    stock: { quantity: -1, minimum: 1.5, price: -2 }
+  }), []);
+  assert.deepEqual(errors, [
+    'Expected tool life must be greater than 0 minutes',
+    'Stock on hand must be a whole number of 0 or more',
+    'Stock minimum must be a whole number of 0 or more',
+    'Price cannot be negative'
+  ]);
+});
+
+test('validateToolChange allows taking a T# that upsertTool will swap', () => {
+  const tools = [tool(1, 1, 'A'), tool(2, 2, 'B')];
+  assert.deepEqual(validateToolChange(tool(2, 1, 'B'), tools, tools[1]), []);
+  assert.deepEqual(validateToolChange(tool(2, 1, ''), tools, tools[1]), ['Tool name is required']);
+});
+
+test('migrateTools turns the old id-as-T# structure into id + toolNumber', () => {
+  const [migrated] = migrateTools([{ id: 4, name: 'Old', type: 'ball', diameter: 3 }]);
+  assert.equal(migrated.id, 4);
+  assert.equal(migrated.toolNumber, 4);
+  assert.equal(migrated.units, 'mm');
+});
+
+test('migrateTools fills in blocks added since a tool was saved and keeps stored values', () => {
+  const [migrated] = migrateTools([{
+    id: 1,
+    toolNumber: null,
+    name: 'A',
+    type: 'flat',
+    diameter: 3,
+    life: { enabled: true, total_minutes: 60 },
+    presets: [{ material: 'MDF', rpm: 18000 }]
+  }]);
+  assert.equal(migrated.toolNumber, null);
+  assert.equal(migrated.life.enabled, true);
+  assert.equal(migrated.life.total_minutes, 60);
+  assert.equal(migrated.life.used_minutes, 0);
+  assert.deepEqual(migrated.stock, { quantity: null, minimum: null, supplier: '', price: null });
+  assert.deepEqual(migrated.instances, []);
+  assert.deepEqual(migrated.presets, [{ material: 'MDF', rpm: 18000, feed: null, plunge: null, stepdown: null, stepover: null }]);
+});
+
+test('normalizeSettings fills in defaults and a first machine profile', () => {
+  const settings = normalizeSettings(undefined);
+  assert.deepEqual(settings.tools, []);
+  assert.equal(settings.displayUnits, 'mm');
+  assert.equal(settings.activeToolNumber, null);
+  assert.equal(settings.machines.length, 1);
+  assert.equal(settings.activeMachineId, settings.machines[0].id);
+  assert.equal(settings.nextToolId, 1);
+});
+
+test('normalizeSettings keeps stored values and never hands out a used tool id', () => {
+  const settings = normalizeSettings({ displayUnits: 'inch', nextToolId: 9, tools: [tool(3, 1, 'A')] });
+  assert.equal(settings.displayUnits, 'inch');
+  assert.equal(settings.nextToolId, 9);
+  assert.equal(normalizeSettings({ nextToolId: 2, tools: [tool(3, 1, 'A')] }).nextToolId, 4);
+});
+
+test('normalizeSettings falls back to the first machine when the active one is gone', () => {
+  const settings = normalizeSettings({
+    activeMachineId: 'gone',
+    machines: [{ id: 'router', name: 'Router', toolCount: 6, assignments: {} }]
+  });
+  assert.equal(settings.activeMachineId, 'router');
+});
+
+test('upsertTool adds a new tool', () => {
+  const result = upsertTool([tool(1, 1, 'A')], tool(2, 2, 'B'));
+  assert.deepEqual(result.tools.map(t => [t.id, t.toolNumber]), [[1, 1], [2, 2]]);
+  assert.equal(result.swappedWith, null);
+});
+
+test('upsertTool swaps T#s with the tool that held the number', () => {
+  const tools = [tool(1, 1, 'A'), tool(2, 2, 'B')];
+  const result = upsertTool(tools, { ...tools[1], toolNumber: 1 });
+  assert.deepEqual(result.tools.map(t => [t.id, t.toolNumber]), [[1, 2], [2, 1]]);
+  assert.equal(result.swappedWith.id, 1);
+  assert.equal(tools[0].toolNumber, 1, 'the input list is not changed');
+});
+
+test('upsertTool sends the displaced tool to the library when the saved tool had no T#', () => {
+  const result = upsertTool([tool(1, 1, 'A'), tool(2, null, 'B')], tool(2, 1, 'B'));
+  assert.deepEqual(result.tools.map(t => [t.id, t.toolNumber]), [[1, null], [2, 1]]);
+});
+
+test('assignToolNumberRange numbers tools in order and displaces the tools in the range', () => {
+  const tools = [tool(1, 2, 'A'), tool(2, null, 'B'), tool(3, null, 'C'), tool(4, 5, 'D')];
+  const result = assignToolNumberRange(tools, [3, 2], 2);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.tools.map(t => [t.id, t.toolNumber]), [[1, null], [2, 3], [3, 2], [4, 5]]);
+  assert.deepEqual(result.displaced.map(t => t.id), [1]);
+});
+
+test('assignToolNumberRange refuses a range past the magazine or a tool used on another machine', () => {
+  const tools = [tool(1, null, 'A'), tool(2, null, 'B')];
+  const otherMachines = new Map([[2, { machine: { name: 'Laser' }, toolNumber: 4 }]]);
+  const result = assignToolNumberRange(tools, [1, 2], 6, { maxToolCount: 6, otherMachines });
+  assert.deepEqual(result.errors, [
+    'T6–T7 runs past the magazine\'s 6 pockets',
+    '"B" is in use on Laser as T4'
+  ]);
+  assert.equal(result.tools, tools);
+  assert.deepEqual(assignToolNumberRange(tools, [1], 0).errors, ['First T# must be a positive integer']);
+});
+
+test('planSetup loads the setup\'s tools and lists the pocket changes', () => {
+  const tools = [tool(1, 1, 'A'), tool(2, 2, 'B'), tool(3, null, 'C')];
+  const setup = createSetup('Sign', [{ toolNumber: 1, toolId: 3, name: 'C' }], 'machine-1');
+  const result = planSetup(tools, setup);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.tools.map(t => [t.id, t.toolNumber]), [[1, null], [2, 2], [3, 1]]);
+  assert.deepEqual(result.changes.map(c => [c.toolNumber, c.from && c.from.id, c.to && c.to.id]), [[1, 1, 3]]);
+});
+
+test('planSetup empties the other pockets with unloadOthers', () => {
+  const tools = [tool(1, 1, 'A'), tool(2, 2, 'B')];
+  const setup = createSetup('Sign', [{ toolNumber: 1, toolId: 1, name: 'A' }], 'machine-1');
+  const result = planSetup(tools, setup, { unloadOthers: true });
+  assert.deepEqual(result.tools.map(t => [t.id, t.toolNumber]), [[1, 1], [2, null]]);
+  assert.deepEqual(result.changes.map(c => [c.toolNumber, c.from && c.from.id, c.to]), [[2, 2, null]]);
+});
+
+test('planSetup reports deleted tools and refuses pockets past the magazine', () => {
+  const tools = [tool(1, null, 'A')];
+  const setup = createSetup('Sign', [
+    { toolNumber: 1, toolId: 9, name: 'Gone' },
+    { toolNumber: 8, toolId: 1, name: 'A' }
+  ], 'machine-1');
+  const result = planSetup(tools, setup, { maxToolCount: 6 });
+  assert.deepEqual(result.missing.map(p => p.toolId), [9]);
+  assert.deepEqual(result.errors, ['T8 is above the magazine\'s 6 pockets']);
+  assert.equal(result.tools, tools);
+});
+
+test('switchMachine stores the T#s and spindle tool of the machine being left and loads the target\'s', () => {
+  const settings = normalizeSettings({
+    activeMachineId: 'a',
+    activeToolNumber: 2,
+    machines: [
+      { id: 'a', name: 'Router', toolCount: null, assignments: {} },
+      { id: 'b', name: 'Mill', toolCount: null, assignments: { 3: 1 }, activeToolNumber: 1 }
+    ],
+    tools: [tool(1, 1, 'A'), tool(2, 2, 'B'), tool(3, null, 'C')]
+  });
+  const switched = switchMachine(settings, 'b');
+
+  assert.equal(switched.activeMachineId, 'b');
+  assert.equal(switched.activeToolNumber, 1);
+  assert.deepEqual(switched.tools.map(t => [t.id, t.toolNumber]), [[1, null], [2, null], [3, 1]]);
+  assert.deepEqual(switched.machines[0].assignments, { 1: 1, 2: 2 });
+  assert.equal(switched.machines[0].activeToolNumber, 2);
+
+  const back = switchMachine(switched, 'a');
+  assert.deepEqual(back.tools.map(t => [t.id, t.toolNumber]), [[1, 1], [2, 2], [3, null]]);
+  assert.equal(switchMachine(settings, 'gone'), settings);
+});
+
+test('retireTool resets the life counters, takes a spare off the shelf and retires the mounted instance', () => {
+  const worn = migrateTools([tool(1, 1, 'A', {
+    life: { enabled: true, total_minutes: 60, used_minutes: 55, usage_count: 9 },
+    stock: { quantity: 2 },
+    mountedInstanceId: 'i1',
+    instances: [{ id: 'i1', serial: 'S1', status: 'in-use' }, { id: 'i2', serial: 'S2', status: 'new' }]
+  })])[0];
+  const result = retireTool(worn);
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.tool.life.used_minutes, 0);
+  assert.equal(result.tool.life.usage_count, 0);
+  assert.equal(result.tool.stock.quantity, 1);
+  assert.equal(result.tool.mountedInstanceId, null);
+  assert.deepEqual(result.tool.instances.map(i => i.status), ['dull', 'new']);
+
+  const none = { ...worn, stock: { ...worn.stock, quantity: 0 } };
+  assert.deepEqual(retireTool(none), { tool: none, errors: ['No spare "A" in stock. Restock it before retiring the worn one.'] });
+});
+
+test('mergeServerRecorded takes what the server recorded unless the dialog changed it', () => {
+  const life = (used, count) => ({ enabled: true, total_minutes: 60, used_minutes: used, usage_count: count });
+  const base = { activeToolNumber: 1, tools: [tool(1, 1, 'A', { life: life(10, 1) }), tool(2, 2, 'B', { life: life(20, 2) })] };
+  const next = { ...base, tools: [{ ...base.tools[0], name: 'A2' }, { ...base.tools[1], life: life(0, 0) }] };
+  const server = { activeToolNumber: 2, tools: [tool(1, 1, 'A', { life: life(15, 2) }), tool(2, 2, 'B', { life: life(25, 3) })] };
+  const merged = mergeServerRecorded(base, next, server);
+
+  assert.equal(merged.activeToolNumber, 2);
+  assert.equal(merged.tools[0].name, 'A2');
+  assert.deepEqual([merged.tools[0].life.used_minutes, merged.tools[0].life.usage_count], [15, 2]);
+  assert.deepEqual([merged.tools[1].life.used_minutes, merged.tools[1].life.usage_count], [0, 0], 'a retired tool keeps its reset counters');
+  assert.equal(mergeServerRecorded(base, { ...next, activeToolNumber: 3 }, server).activeToolNumber, 3);
+});
+
+test('the inventory service swaps T#s on save and prunes machine assignments on delete', () => {
+  let settings = {
+    activeMachineId: 'a',
+    machines: [
+      { id: 'a', name: 'Router', toolCount: null, assignments: {} },
+      { id: 'b', name: 'Mill', toolCount: null, assignments: { 3: 1 } }
+    ],
+    tools: [tool(1, 1, 'A'), tool(2, 2, 'B'), tool(3, null, 'C')]
+  };
+  const inventory = createInventoryService({ read: () => settings, write: (next) => { settings = next; } });
+
+  const saved = inventory.saveTool({ ...inventory.getTool(2), toolNumber: 1 });
+  assert.deepEqual(saved.errors, []);
+  assert.equal(saved.swappedWith.id, 1);
+  assert.deepEqual(inventory.getTools().map(t => [t.id, t.toolNumber]), [[1, 2], [2, 1], [3, null]]);
+
+  inventory.deleteTool(3);
+  assert.deepEqual(settings.machines[1].assignments, {});
+  assert.equal(inventory.nextId(), 4, 'a deleted tool\'s id is not reused');
+});
+
+test('the inventory service never gives a T# to a tool loaded on another machine', () => {
+  let settings = {
+    activeMachineId: 'b',
+    machines: [
+      { id: 'a', name: 'Router', toolCount: null, assignments: { 1: 1 } },
+      { id: 'b', name: 'Mill', toolCount: null, assignments: {} }
+    ],
+    tools: [tool(1, null, 'A'), tool(2, 1, 'B')]
+  };
+  const inventory = createInventoryService({ read: () => settings, write: (next) => { settings = next; } });
+
+  assert.deepEqual(inventory.saveTool({ ...inventory.getTool(1), toolNumber: 2 }).errors, ['Tool is in use on Router as T1']);
+  inventory.replaceTools([tool(1, 2, 'A'), tool(2, 1, 'B2')], 'Import');
+  assert.deepEqual(inventory.getTools().map(t => [t.id, t.name, t.toolNumber]), [[1, 'A', null], [2, 'B2', 1]]);
+  assert.equal(settings.snapshots[0].machineId, 'b');
+});
+
+test('history snapshots store each version of a tool once', () => {
+  let settings = { tools: Array.from({ length: 300 }, (_, i) => tool(i + 1, null, `Tool ${i + 1}`)) };
+  const inventory = createInventoryService({ read: () => settings, write: (next) => { settings = next; } });
+
+  for (let i = 1; i <= 30; i++) {
+    inventory.saveTool({ ...inventory.getTool(i), name: `Renamed ${i}` }, `Edit ${i}`);
+  }
+  const before = inventory.getTools().map(t => (t.id === 30 ? { ...t, name: 'Tool 30' } : t));
+
+  assert.equal(settings.snapshots.length, 25);
+  assert.equal(Object.keys(settings.snapshotTools).length, 300 + 24);
+  assert.deepEqual(readSnapshot(settings, settings.snapshots[0]), before);
+  assert.equal(settings.snapshots[0].tools, undefined, 'snapshots list tool keys, not tools');
+});
+
+test('history drops the oldest snapshots past its size limit but keeps the newest', () => {
+  const big = (id) => [tool(id, null, 'Big', { metadata: { notes: 'x'.repeat(400 * 1024) } })];
+  let history = { snapshots: [], snapshotTools: {} };
+  [1, 2, 3].forEach(id => {
+    history = takeSnapshot(history, big(id), `Step ${id}`);
+  });
+  assert.deepEqual(history.snapshots.map(s => s.reason), ['Step 3', 'Step 2']);
+  assert.equal(Object.keys(history.snapshotTools).length, 2);
+
+  const huge = takeSnapshot({ snapshots: [], snapshotTools: {} }, [tool(1, null, 'Huge', { metadata: { notes: 'x'.repeat(1200 * 1024) } })], 'Import');
+  assert.equal(huge.snapshots.length, 1);
+});
+
+test('normalizeSettings moves snapshots holding full tool lists into the shared tool store', () => {
+  const a = tool(1, 1, 'A');
+  const settings = normalizeSettings({
+    tools: [a],
+    snapshots: [
+      { id: 2, takenAt: '2026-01-02T00:00:00.000Z', reason: 'Edit', tools: [a, tool(2, 2, 'B')] },
+      { id: 1, takenAt: '2026-01-01T00:00:00.000Z', reason: 'Add', tools: [a] }
+    ]
+  });
+  assert.equal(Object.keys(settings.snapshotTools).length, 2);
+  assert.deepEqual(settings.snapshots.map(s => readSnapshot(settings, s).map(t => t.name)), [['A', 'B'], ['A']]);
+});
+
+test('the inventory service publishes the tools with a T# and their mounted diameter for browser code', () => {
+  let settings = { activeToolNumber: 2, tools: [tool(1, null, 'A'), tool(2, 2, 'B')] };
+  const inventory = createInventoryService({ read: () => settings, write: (next) => { settings = next; } });
+
+  inventory.saveTool({
+    ...tool(3, 1, 'C', { diameter: 6 }),
+    mountedInstanceId: 'i1',
+    instances: [{ id: 'i1', serial: 'S1', status: 'in-use', diameter: 5.8 }]
+  });
+  assert.equal(settings.lookup.activeToolNumber, 2);
+  assert.deepEqual(settings.lookup.tools.map(t => [t.id, t.toolNumber, t.diameter, t.effectiveDiameter]), [
+    [3, 1, 6, 5.8],
+    [2, 2, 6.35, 6.35]
+  ]);
+
+  inventory.updateSettings({ activeToolNumber: 1 });
+  assert.equal(settings.lookup.activeToolNumber, 1);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  analyzeProgram,
+  parseControllerToolTable,
+  diffControllerToolTable,
+  buildToolTableProgram,
+  exportLinuxCncToolTable,
+  getTloSetupErrors,
+  buildTloMacro,
+  computeTlo,
+  migrateTools,
+  normalizeSettings
+} from '../index.js';
+
+const tool = (id, toolNumber, name, extra = {}) => ({ id, toolNumber, name, type: 'flat', diameter: 6.35, ...extra });
+
+// A 1/4" cutter reground to 6.1 mm and mounted
+const reground = (id, toolNumber) => migrateTools([tool(id, toolNumber, 'Reground', {
+  mountedInstanceId: 'i1',
+  instances: [{ id: 'i1', serial: 'S1', status: 'in-use', diameter: 6.1 }],
+  offsets: { tlo: -2.5 }
+})])[0];
+
+test('analyzeProgram checks each T# against the magazine and the program\'s tool headers', () => {
+  const gcode = [
+    '(T1 D=6.35 CR=0. - ZMIN=-3. - flat end mill)',
+    '(T2 D=3. CR=1.5 - ZMIN=-1. - ball end mill)',
+    '(T3 D=5. CR=0. - ZMIN=-1. - flat end mill)',
+    'G21',
+    'T1 M6',
+    'T2 M6',
+    'T3 M6',
+    'T9 M6',
+    'T1 M6'
+  ].join('\n');
+  const tools = [tool(1, 1, 'Flat'), tool(2, 2, 'Flat 3', { diameter: 3 }), tool(3, null, 'Spare 5', { diameter: 5 })];
+  const report = analyzeProgram(gcode, tools, 6);
+
+  assert.deepEqual(report.tools.map(e => [e.toolNumber, e.line, e.status]), [
+    [1, 5, 'ok'],
+    [2, 6, 'mismatch'],
+    [3, 7, 'load-from-library'],
+    [9, 8, 'over-capacity']
+  ]);
+  assert.deepEqual(report.issues.map(i => [i.level, i.toolNumber]), [
+    ['warning', 2],
+    ['error', 3],
+    ['error', 9]
+  ]);
+  assert.match(report.issues[1].message, /load library tool "Spare 5" into pocket 3/);
+});
+
+test('analyzeProgram reads header diameters in the program\'s units', () => {
+  const report = analyzeProgram('(T1 D=0.25 CR=0. - ZMIN=-0.1 - flat end mill)\nG20\nT1 M6', [tool(1, 1, 'Flat')], 6);
+  assert.equal(report.tools[0].header.diameter, 6.35);
+  assert.deepEqual(report.issues, []);
+  assert.deepEqual(analyzeProgram('G0 X0', [], 6), { tools: [], issues: [] });
+});
+
+test('analyzeProgram compares the program with the mounted cutter\'s diameter', () => {
+  const report = analyzeProgram('(T1 D=6.35 CR=0. - ZMIN=-3. - flat end mill)\nG21\nT1 M6', [reground(1, 1)], 6);
+  assert.equal(report.tools[0].status, 'mismatch');
+  assert.match(report.issues[0].message, /6\.350 mm in the program but 6\.100 mm for "Reground"/);
+});
+
+test('the controller tool table and the LinuxCNC export get the mounted cutter\'s diameter', () => {
+  const magazine = [reground(1, 1)];
+  assert.equal(exportLinuxCncToolTable(magazine), 'T1 P1 D6.1000 Z-2.5000 ;Reground\n');
+
+  const rows = diffControllerToolTable(magazine, [{ toolNumber: 1, diameter: 6.35, tlo: -2.5 }]);
+  assert.deepEqual(rows.map(r => [r.toolNumber, r.status]), [[1, 'changed']]);
+  assert.match(buildToolTableProgram(rows, 'grblhal'), /^G10 L1 P1 R3\.0500 Z-2\.5000 /m);
+});
+
+test('buildToolTableProgram writes in mm and puts the units back where the controller can', () => {
+  const rows = diffControllerToolTable([tool(1, 1, 'Flat (1/4)', { offsets: { tlo: -2.5 } })], [{ toolNumber: 4, diameter: 3, tlo: 0 }]);
+
+  const linuxcnc = buildToolTableProgram(rows, 'linuxcnc').trim().split('\n');
+  assert.deepEqual(linuxcnc.slice(1), [
+    'M70',
+    'G21',
+    'G10 L1 P1 R3.1750 Z-2.5000 (T1 Flat  1/4 )',
+    'G10 L1 P4 R0.0000 Z0.0000 (T4 not in the magazine, cleared)',
+    'M72',
+    'M30'
+  ]);
+
+  const grblhal = buildToolTableProgram(rows, 'grblhal').trim().split('\n');
+  assert.match(grblhal[1], /^\(Switches the controller to mm with G21 and leaves it there/);
+  assert.deepEqual([grblhal[2], grblhal.at(-1)], ['G21', 'M30']);
+  assert.ok(!grblhal.includes('M72'));
+});
+
+test('parseControllerToolTable reads grblHAL $# reports', () => {
+  const text = '[G54:0.000,0.000,0.000]\n[T:1|0.000,0.000,-42.318|3.175]\n[T:2|0.000,0.000,-12.5]\nok';
+  assert.deepEqual(parseControllerToolTable(text, 'grblhal'), [
+    { toolNumber: 1, diameter: 6.35, tlo: -42.318 },
+    { toolNumber: 2, diameter: 0, tlo: -12.5 }
+  ]);
+});
+
+test('parseControllerToolTable reads LinuxCNC tool.tbl lines and skips comments', () => {
+  const text = ';Tool table\nT1 P1 D6.3500 Z-42.3180 ;1/4 Flat\nT7 P7 Z+1.5\n';
+  assert.deepEqual(parseControllerToolTable(text, 'linuxcnc'), [
+    { toolNumber: 1, diameter: 6.35, tlo: -42.318 },
+    { toolNumber: 7, diameter: 0, tlo: 1.5 }
+  ]);
+});
+
+test('the TLO macro needs the tool setter position and the reference Z', () => {
+  const settings = normalizeSettings({});
+  assert.deepEqual(getTloSetupErrors(settings), ['Set the tool setter X and Y', 'Set the reference tool probed Z']);
+
+  const ready = { ...settings, tloSetterX: -10.5, tloSetterY: -20, tloReferenceZ: -40 };
+  assert.deepEqual(getTloSetupErrors(ready), []);
+  const macro = buildTloMacro(ready, 3).split('\n');
+  assert.equal(macro[0], '(Measure T3 on the tool setter)');
+  assert.equal(macro[3], 'G53 G0 X-10.500 Y-20.000');
+});
+
+test('computeTlo measures from the reference Z and refuses to store a raw machine Z', () => {
+  assert.equal(computeTlo(-42.318, -40), -2.318);
+  assert.throws(() => computeTlo(-42.318, null), /Set the reference tool probed Z first/);
+});
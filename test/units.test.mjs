@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLength, formatLength } from '../index.js';
+
+test('parseLength reads bare numbers in the default units', () => {
+  assert.deepEqual(parseLength('6.35'), { mm: 6.35, units: 'mm' });
+  assert.deepEqual(parseLength('0.25', 'inch'), { mm: 6.35, units: 'inch' });
+  assert.deepEqual(parseLength('6,35'), { mm: 6.35, units: 'mm' });
+});
+
+test('parseLength reads unit suffixes', () => {
+  assert.deepEqual(parseLength('6.35mm', 'inch'), { mm: 6.35, units: 'mm' });
+  assert.deepEqual(parseLength('0.25in'), { mm: 6.35, units: 'inch' });
+  assert.deepEqual(parseLength('0.5 inches'), { mm: 12.7, units: 'inch' });
+  assert.deepEqual(parseLength('.125"'), { mm: 3.175, units: 'inch' });
+});
+
+test('parseLength reads fractions as inches unless marked mm', () => {
+  assert.deepEqual(parseLength('1/4'), { mm: 6.35, units: 'inch' });
+  assert.deepEqual(parseLength('1-1/4"'), { mm: 31.75, units: 'inch' });
+  assert.deepEqual(parseLength('1 1/4 in'), { mm: 31.75, units: 'inch' });
+  assert.deepEqual(parseLength('1/64'), { mm: 0.396875, units: 'inch' });
+  assert.deepEqual(parseLength('1/2 mm'), { mm: 0.5, units: 'mm' });
+});
+
+test('parseLength returns null for an empty field and throws on text it can\'t read', () => {
+  assert.equal(parseLength(''), null);
+  assert.equal(parseLength('  '), null);
+  assert.equal(parseLength(null), null);
+  assert.throws(() => parseLength('quarter inch'), /Can't read "quarter inch" as a length/);
+  assert.throws(() => parseLength('1/0'), /Can't read/);
+});
+
+test('formatLength shows mm to the given decimals', () => {
+  assert.equal(formatLength(6.35), '6.350');
+  assert.equal(formatLength(6.35, 'mm', 1), '6.3');
+  assert.equal(formatLength(null), '');
+  assert.equal(formatLength(''), '');
+});
+
+test('formatLength shows whole 64ths of an inch as fractions', () => {
+  assert.equal(formatLength(6.35, 'inch'), '1/4');
+  assert.equal(formatLength(25.4, 'inch'), '1');
+  assert.equal(formatLength(28.575, 'inch'), '1 1/8');
+  assert.equal(formatLength(0.396875, 'inch'), '1/64');
+});
+
+test('formatLength shows 1/16" stored rounded to 3 mm decimals as a fraction', () => {
+  assert.equal(formatLength(1.5875, 'inch'), '1/16');
+  assert.equal(formatLength(1.588, 'inch'), '1/16');
+  assert.equal(formatLength(0.397, 'inch'), '1/64');
+});
+
+test('formatLength shows other inch values to 4 decimals', () => {
+  assert.equal(formatLength(1.59, 'inch'), '0.0626');
+  assert.equal(formatLength(6, 'inch'), '0.2362');
+});